@@ -5,221 +5,123 @@
  * 
  * Intelligently identifies and deletes aliases created by this script
  * based on themed word bundle patterns. Preserves manually created aliases.
+ *
+ * Usage: node cleanup-generated-aliases.js [domain] [--dry-run] [--max <n>] [--confirm <domain>]
+ * Deleting requires typing the domain name (or --confirm <domain> without a
+ * terminal) and refuses to delete more than --max / CLEANUP_MAX_DELETE aliases.
  * 
  * @requires Node.js 18+
  */
 
-import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
-import https from 'https';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { createInterface } from 'readline';
+import {
+    loadEnvFile,
+    parseCliArgs,
+    isGeneratedAlias,
+    DEFAULT_TEMPLATE,
+    loadCustomBundlesWithWarnings,
+    createCloudflareClient,
+    resolveZoneId,
+    getDomainFile,
+    readTrackingEntries,
+    writeTrackingEntries,
+    updateTxtFile,
+    appendFileAtomic,
+    createTrashArchive,
+    createRateLimiter,
+    rateFromDelay,
+    runPool,
+    acquireLock
+} from './lib/index.js';
+
+const DEFAULT_MAX_DELETE = 500;
 
 // ============================================================================
-// WORD BUNDLES (from create script - used to identify generated aliases)
+// SAFETY
 // ============================================================================
 
-const WORD_BUNDLES = {
-    'privacy-guardian': {
-        prefixes: [
-            'anonymous', 'cipher', 'crypt', 'ghost', 'hidden', 'incognito', 'masked',
-            'phantom', 'private', 'secret', 'secure', 'shadow', 'shield', 'silent',
-            'stealth', 'vault', 'veiled', 'whisper', 'cloak', 'enigma', 'obscure',
-            'covert', 'discrete', 'guarded', 'keeper', 'sentinel', 'warden', 'aegis',
-            'bastion', 'fortress', 'haven', 'refuge', 'sanctuary', 'guardian', 'protector',
-            'defender', 'encrypted', 'locked', 'sealed', 'shielded', 'armored', 'fortified',
-            'invisible', 'unseen', 'untraced', 'untraceable', 'nameless', 'faceless', 'void',
-            'dark', 'night', 'twilight', 'dusk', 'shade', 'umbra', 'eclipse'
-        ],
-        suffixes: [
-            'vault', 'cipher', 'lock', 'key', 'gate', 'wall', 'shield', 'guard',
-            'keeper', 'watcher', 'sentinel', 'proxy', 'mask', 'cloak', 'veil',
-            'shadow', 'ghost', 'phantom', 'spirit', 'shade', 'wraith', 'specter',
-            'node', 'relay', 'tunnel', 'bridge', 'portal', 'passage', 'path',
-            'route', 'channel', 'conduit', 'link', 'nexus', 'hub', 'core',
-            'fortress', 'bastion', 'citadel', 'haven', 'refuge', 'sanctuary', 'asylum',
-            'den', 'lair', 'cache', 'stash', 'reserve', 'archive', 'repository',
-            'sentry', 'lookout', 'observer', 'monitor', 'scanner', 'detector'
-        ]
-    },
-    'tech-wizard': {
-        prefixes: [
-            'binary', 'quantum', 'neural', 'cyber', 'digital', 'virtual', 'pixel',
-            'byte', 'nano', 'micro', 'macro', 'meta', 'proto', 'core', 'kernel',
-            'daemon', 'thread', 'async', 'sync', 'parallel', 'vector', 'matrix',
-            'logic', 'boolean', 'algorithm', 'regex', 'syntax', 'compile', 'runtime',
-            'stack', 'heap', 'cache', 'buffer', 'stream', 'pipeline', 'packet',
-            'protocol', 'network', 'mesh', 'grid', 'cloud', 'edge', 'fog',
-            'data', 'crypto', 'hash', 'token', 'session', 'instance', 'module',
-            'script', 'lambda', 'delta', 'alpha', 'beta', 'gamma', 'omega'
-        ],
-        suffixes: [
-            'bit', 'byte', 'node', 'core', 'chip', 'circuit', 'gate', 'port',
-            'socket', 'thread', 'process', 'daemon', 'service', 'worker', 'agent',
-            'bot', 'proxy', 'server', 'client', 'host', 'mesh', 'grid',
-            'network', 'cluster', 'shard', 'partition', 'segment', 'block', 'chunk',
-            'packet', 'frame', 'payload', 'header', 'footer', 'wrapper', 'container',
-            'pod', 'instance', 'replica', 'mirror', 'cache', 'buffer', 'queue',
-            'stack', 'heap', 'tree', 'graph', 'array', 'vector', 'matrix',
-            'tensor', 'scalar', 'pointer', 'reference', 'handle', 'descriptor'
-        ]
-    },
-    'nature-zen': {
-        prefixes: [
-            'alpine', 'amber', 'arctic', 'autumn', 'azure', 'breeze', 'calm',
-            'cascade', 'cedar', 'cloud', 'coral', 'crystal', 'dawn', 'dusk',
-            'earth', 'emerald', 'forest', 'frost', 'glacial', 'golden', 'jade',
-            'lunar', 'maple', 'marine', 'meadow', 'misty', 'moss', 'mountain',
-            'ocean', 'olive', 'opal', 'pacific', 'pearl', 'pebble', 'pine',
-            'quartz', 'rain', 'river', 'sage', 'sand', 'sapphire', 'sky',
-            'snow', 'solar', 'spring', 'stellar', 'stone', 'summer', 'sunset',
-            'thunder', 'tide', 'timber', 'topaz', 'valley', 'verdant', 'wild'
-        ],
-        suffixes: [
-            'bay', 'beach', 'brook', 'canyon', 'cave', 'cliff', 'cloud', 'coast',
-            'cove', 'creek', 'delta', 'dune', 'falls', 'field', 'fjord', 'forest',
-            'garden', 'glacier', 'grove', 'harbor', 'haven', 'hill', 'hollow', 'island',
-            'lake', 'lagoon', 'marsh', 'meadow', 'mesa', 'mist', 'mountain', 'oasis',
-            'ocean', 'pass', 'path', 'peak', 'pine', 'plain', 'pond', 'prairie',
-            'reef', 'ridge', 'river', 'rock', 'shore', 'spring', 'stone', 'stream',
-            'summit', 'trail', 'tree', 'tundra', 'vale', 'valley', 'view', 'water',
-            'wave', 'wild', 'wood', 'woods'
-        ]
-    },
-    'urban-legend': {
-        prefixes: [
-            'metro', 'urban', 'city', 'civic', 'town', 'local', 'central', 'downtown',
-            'uptown', 'midtown', 'subway', 'street', 'avenue', 'lane', 'alley',
-            'road', 'route', 'path', 'block', 'square', 'market', 'plaza', 'mall',
-            'shop', 'store', 'cafe', 'club', 'pub', 'bar', 'hotel', 'motel',
-            'inn', 'hostel', 'house', 'home', 'flat', 'apt', 'loft', 'studio',
-            'room', 'floor', 'level', 'zone', 'area', 'region', 'district', 'ward',
-            'sector', 'quarter', 'part', 'side', 'end', 'edge', 'limit', 'bound'
-        ],
-        suffixes: [
-            'city', 'town', 'ville', 'burg', 'pol', 'port', 'haven', 'beach',
-            'side', 'view', 'land', 'world', 'globe', 'sphere', 'orb', 'zone',
-            'area', 'region', 'place', 'spot', 'site', 'net', 'web', 'link',
-            'hub', 'node', 'point', 'base', 'camp', 'post', 'station', 'stop',
-            'depot', 'yard', 'park', 'garden', 'field', 'ground', 'lot', 'plot',
-            'space', 'room', 'hall', 'center', 'core', 'heart', 'soul', 'mind',
-            'life', 'style', 'way', 'mode', 'form', 'type', 'kind', 'sort'
-        ]
-    },
-    'cosmic-explorer': {
-        prefixes: [
-            'alpha', 'astro', 'atom', 'aurora', 'beta', 'binary', 'black', 'blue',
-            'comet', 'cosmic', 'dark', 'delta', 'dust', 'dwarf', 'eclipse', 'energy',
-            'event', 'field', 'flare', 'force', 'gamma', 'giant', 'gravity', 'halo',
-            'hyper', 'ion', 'light', 'lunar', 'magnet', 'mars', 'mass', 'matter',
-            'mega', 'meteor', 'moon', 'nebula', 'neutron', 'nova', 'orbit', 'phase',
-            'planet', 'plasma', 'polar', 'probe', 'proton', 'pulse', 'quasar', 'radio',
-            'ray', 'red', 'ring', 'rocket', 'rover', 'scan', 'scope', 'sector',
-            'shift', 'sky', 'solar', 'sonic', 'space', 'star', 'sun', 'super',
-            'terra', 'time', 'void', 'warp', 'white', 'zero'
-        ],
-        suffixes: [
-            'belt', 'body', 'cloud', 'core', 'disk', 'dust', 'field', 'flare',
-            'force', 'form', 'gas', 'glow', 'halo', 'hole', 'jet', 'light',
-            'line', 'loop', 'mass', 'mode', 'node', 'path', 'phase', 'plane',
-            'point', 'pole', 'pulse', 'ray', 'ring', 'scan', 'scope', 'shock',
-            'side', 'sign', 'site', 'sky', 'space', 'spot', 'star', 'storm',
-            'tail', 'time', 'view', 'void', 'wake', 'wave', 'wind', 'zone',
-            'base', 'deck', 'dock', 'gate', 'helm', 'lock', 'port', 'post'
-        ]
-    },
-    'mystic-shadow': {
-        prefixes: [
-            'arcane', 'astral', 'aura', 'bane', 'blood', 'bone', 'chaos', 'charm',
-            'cipher', 'curse', 'dark', 'demon', 'doom', 'dragon', 'dream', 'dusk',
-            'dust', 'elder', 'ember', 'fate', 'fear', 'fire', 'flame', 'ghost',
-            'gloom', 'grim', 'hazel', 'hex', 'hollow', 'honor', 'hope', 'ice',
-            'iron', 'jade', 'karma', 'light', 'lord', 'lore', 'luck', 'mage',
-            'magic', 'mana', 'mind', 'moon', 'myth', 'night', 'null', 'omen',
-            'oracle', 'pain', 'pale', 'rune', 'shade', 'shadow', 'soul', 'spell'
-        ],
-        suffixes: [
-            'bane', 'bind', 'blade', 'blood', 'bone', 'born', 'bound', 'breath',
-            'caller', 'caster', 'chant', 'charm', 'claw', 'cloak', 'code', 'core',
-            'craft', 'crest', 'crown', 'curse', 'dancer', 'doom', 'dream', 'drinker',
-            'dust', 'eater', 'edge', 'eye', 'fang', 'fire', 'flame', 'forge',
-            'gaze', 'ghost', 'guard', 'guide', 'hand', 'heart', 'helm', 'horn',
-            'host', 'hunter', 'keeper', 'knight', 'lord', 'lore', 'mage', 'mark',
-            'mask', 'mind', 'mist', 'moon', 'moth', 'night', 'path', 'paw'
-        ]
+/**
+ * Reads the deletion limit from --max or CLEANUP_MAX_DELETE
+ * @returns {number} Maximum number of aliases one run may delete
+ */
+function getMaxDelete(flags) {
+    const raw = flags.max ?? process.env.CLEANUP_MAX_DELETE;
+    if (raw === undefined || raw === '') return DEFAULT_MAX_DELETE;
+
+    const max = parseInt(raw, 10);
+    if (!Number.isInteger(max) || max < 1 || String(max) !== String(raw).trim()) {
+        throw new Error(`Invalid deletion limit "${raw}" (--max / CLEANUP_MAX_DELETE must be a positive number)`);
     }
-};
+    return max;
+}
 
-// ============================================================================
-// CLOUDFLARE API
-// ============================================================================
+/**
+ * Requires the domain name to be typed before deleting. Without a terminal,
+ * --confirm <domain> must name the target domain instead.
+ * @param {string} domain - Target domain
+ * @param {string|undefined} confirmFlag - Value of --confirm
+ * @throws {Error} When the deletion was not confirmed
+ */
+async function confirmDomain(domain, confirmFlag) {
+    const matches = value => String(value).trim().toLowerCase() === domain.toLowerCase();
 
-function apiRequest(path, method = 'GET', data = null) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.cloudflare.com',
-            port: 443,
-            path: `/client/v4${path}`,
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${process.env.CLOUDFLARE_API_TOKEN}`,
-                'Content-Type': 'application/json'
-            }
-        };
+    if (confirmFlag !== undefined) {
+        if (confirmFlag === true) throw new Error('--confirm needs the domain name');
+        if (!matches(confirmFlag)) {
+            throw new Error(`--confirm "${confirmFlag}" does not match the target domain ${domain}`);
+        }
+        return;
+    }
 
-        const req = https.request(options, (res) => {
-            let responseData = '';
-            res.on('data', (chunk) => responseData += chunk);
-            res.on('end', () => {
-                try {
-                    const parsed = JSON.parse(responseData);
-                    if (parsed.success) {
-                        resolve(parsed.result);
-                    } else {
-                        reject(new Error(parsed.errors?.[0]?.message || 'API request failed'));
-                    }
-                } catch (err) {
-                    reject(new Error(`Failed to parse response: ${err.message}`));
-                }
-            });
-        });
+    if (!process.stdin.isTTY) {
+        throw new Error(`Refusing to delete without confirmation. Re-run with --confirm ${domain} in non-interactive mode.`);
+    }
 
-        req.on('error', reject);
-        if (data) req.write(JSON.stringify(data));
-        req.end();
-    });
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`👉 Type the domain name (${domain}) to confirm: `, resolve));
+    rl.close();
+
+    if (!matches(answer)) {
+        throw new Error('Aborted: the domain name did not match.');
+    }
 }
 
 // ============================================================================
-// PATTERN MATCHING
+// TRACKING FILES
 // ============================================================================
 
 /**
- * Check if an alias was generated by our script
+ * Drops deleted aliases from the tracking files and logs the deletion in
+ * the TOON file. Aliases that were kept (manual, failed) stay listed.
+ * @param {string} domain - Domain of the tracking files
+ * @param {Array} entries - Tracking entries read before deleting
+ * @param {Array<{ id: string, email: string }>} deletedAliases - Aliases whose rule was deleted
  */
-function isGeneratedAlias(alias) {
-    // Extract local part (before @)
-    const localPart = alias.split('@')[0];
-
-    // Check if it matches pattern: prefix.suffix
-    if (!localPart.includes('.')) return false;
-
-    const [prefix, suffix] = localPart.split('.');
-
-    // Check if prefix and suffix exist in any of our word bundles
-    for (const bundle of Object.values(WORD_BUNDLES)) {
-        const hasPrefix = bundle.prefixes.includes(prefix);
-        const hasSuffix = bundle.suffixes.includes(suffix);
+async function removeDeletedFromTrackingFiles(domain, entries, deletedAliases) {
+    const jsonFile = getDomainFile(domain, 'json');
+    const deletedEmails = new Set(deletedAliases.map(a => a.email.toLowerCase()));
+    const remaining = entries.filter(e => !e.alias || !deletedEmails.has(e.alias.toLowerCase()));
+
+    if (remaining.length < entries.length) {
+        await writeTrackingEntries(jsonFile, remaining);
+        console.log(`💾 Removed ${entries.length - remaining.length} deleted aliases from ${jsonFile}`);
+    }
 
-        if (hasPrefix && hasSuffix) {
-            return true;
-        }
+    const txtFile = getDomainFile(domain, 'txt');
+    if (existsSync(txtFile)) {
+        await updateTxtFile(txtFile, { removed: deletedAliases.map(a => a.email) });
+        console.log(`📝 Updated ${txtFile}`);
     }
 
-    return false;
+    const toonFile = getDomainFile(domain, 'toon');
+    if (existsSync(toonFile)) {
+        const timestamp = new Date().toISOString();
+        const lines = [`deleted_aliases[${deletedAliases.length}]{alias,rule_id,deleted_at}:`];
+        deletedAliases.forEach(a => lines.push(`  ${a.email},${a.id},${timestamp.split('.')[0].replace('T', ' ')}`));
+        await appendFileAtomic(toonFile, '\n\n' + lines.join('\n'));
+        console.log(`🤖 Logged deletion in ${toonFile}`);
+    }
 }
 
 // ============================================================================
@@ -229,21 +131,31 @@ function isGeneratedAlias(alias) {
 async function main() {
     console.log('🧹 Cleanup Generated Aliases\n');
 
+    const { command, flags } = parseCliArgs(process.argv.slice(2), { booleans: ['dry-run'] });
+    const dryRun = Boolean(flags.dryRun);
+
     // Load environment variables first to populate process.env if not set
-    try {
-        const envContent = await readFile(join(__dirname, '.env'), 'utf-8');
-        envContent.split('\n').forEach(line => {
-            const match = line.match(/^([^=]+)=(.*)$/);
-            if (match && !process.env[match[1].trim()]) { // Only set if not already defined
-                process.env[match[1].trim()] = match[2].trim();
-            }
-        });
-    } catch (error) {
-        // .env might be optional if variables are passed via shell
+    await loadEnvFile();
+    // Custom bundles must be known before matching aliases against them
+    await loadCustomBundlesWithWarnings();
+
+    // 1. Get target domain: Arg > Env var (from parent or .env). There is no
+    // fallback, and both must agree: guessing a domain could wipe the wrong zone.
+    const envDomain = process.env.EMAIL_DOMAIN;
+    if (command && envDomain && command.toLowerCase() !== envDomain.toLowerCase()) {
+        console.error(`❌ Error: The domain argument ${command} does not match EMAIL_DOMAIN=${envDomain}.`);
+        console.error('   Unset EMAIL_DOMAIN or pass the same domain, so cleanup cannot hit the wrong zone.\n');
+        process.exit(1);
+    }
+    const targetDomain = command || envDomain;
+
+    if (!targetDomain) {
+        console.error('❌ Error: No target domain. Set EMAIL_DOMAIN in .env or pass it as an argument:\n');
+        console.error('  node cleanup-generated-aliases.js example.com [--dry-run] [--max <n>] [--confirm <domain>]\n');
+        process.exit(1);
     }
 
-    // 1. Get target domain: Env var (from parent) > Arg > Fallback
-    const targetDomain = process.env.EMAIL_DOMAIN || process.argv[2] || 'sdad.pro';
+    const maxDelete = getMaxDelete(flags);
 
     console.log(`📍 Target domain: ${targetDomain}`);
     console.log('🔍 Scanning for generated aliases...\n');
@@ -253,41 +165,21 @@ async function main() {
         process.exit(1);
     }
 
-    /**
-     * Automatically fetches the Zone ID from Cloudflare based on the domain name.
-     */
-    async function fetchZoneIdByName(domain) {
-        const url = `https://api.cloudflare.com/client/v4/zones?name=${domain}`;
-        try {
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.CLOUDFLARE_API_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            const data = await response.json();
-            if (data.success && data.result.length > 0) {
-                return data.result[0].id;
-            }
-            return null;
-        } catch (error) {
-            console.warn(`⚠️  Automatic zone discovery failed: ${error.message}`);
-            return null;
+    // REQUEST_DELAY_MS is the ceiling; the limiter slows down on 429s and recovers on success
+    const limiter = createRateLimiter({
+        maxRate: rateFromDelay(parseInt(process.env.REQUEST_DELAY_MS || '100', 10)),
+        onRateChange: (rate, reason) => {
+            if (reason === 'throttle') console.warn(`\n🐢 Rate limited - slowing down to ${rate.toFixed(1)} req/s`);
         }
-    }
+    });
+    const cf = createCloudflareClient({ apiToken: process.env.CLOUDFLARE_API_TOKEN, limiter });
+    const concurrency = parseInt(process.env.CONCURRENCY || '4', 10);
 
     // Auto-detect zone ID based on domain
     let zoneId = process.env.CLOUDFLARE_ZONE_ID;
 
     if (!zoneId || targetDomain !== process.env.EMAIL_DOMAIN) {
-        process.stdout.write(`🔍 Resolving Zone ID for ${targetDomain}... `);
-        const autoId = await fetchZoneIdByName(targetDomain);
-        if (autoId) {
-            zoneId = autoId;
-            console.log(`✅ Found: ${zoneId.substring(0, 8)}...`);
-        } else {
-            console.log('❌ Failed');
-        }
+        zoneId = await resolveZoneId(cf, targetDomain) || zoneId;
     }
 
     if (!zoneId) {
@@ -299,26 +191,35 @@ async function main() {
     console.log(`🔑 Using zone ID: ${zoneId.substring(0, 8)}...`);
 
     try {
-        // Fetch all email routing rules for the zone
-        const rules = await apiRequest(`/zones/${zoneId}/email/routing/rules`);
+        // Fetch all email routing rules for the zone (every page)
+        const rules = await cf.listEmailRoutingRules(zoneId);
 
         // Load local JSON tracking file for ground truth
         let trackedAliases = new Set();
-        const domainSlug = targetDomain.replace(/\./g, '-');
-        const jsonFile = `${domainSlug}.json`;
+        let trackedEntries = [];
+        let trackingUnreadable = false;
+        // Name templates the pattern fallback parses aliases against
+        const templates = new Set([DEFAULT_TEMPLATE, process.env.ALIAS_TEMPLATE || DEFAULT_TEMPLATE]);
+        const jsonFile = getDomainFile(targetDomain, 'json');
+
+        // Held until the process exits, so no other run rewrites the tracking files meanwhile
+        if (!dryRun) {
+            await acquireLock(getDomainFile(targetDomain, 'lock'), { command: 'cleanup' });
+        }
 
-        if (existsSync(join(__dirname, jsonFile))) {
+        if (existsSync(jsonFile)) {
             try {
-                const content = await readFile(join(__dirname, jsonFile), 'utf-8');
-                const json = JSON.parse(content);
-                // Handle both array and object formats
-                const list = Array.isArray(json) ? json : (json.results || json.aliases || []);
+                const list = await readTrackingEntries(jsonFile);
+                trackedEntries = list;
                 list.forEach(item => {
-                    if (item.alias) trackedAliases.add(item.alias.toLowerCase());
+                    // Rules imported by `sync` were not created by this tool
+                    if (item.alias && !item.imported) trackedAliases.add(item.alias.toLowerCase());
+                    if (item.template) templates.add(item.template);
                 });
                 console.log(`📂 Loaded ${trackedAliases.size} tracked aliases from ${jsonFile}`);
             } catch (e) {
-                console.warn(`⚠️  Could not read tracking file ${jsonFile}: ${e.message}`);
+                trackingUnreadable = true;
+                console.warn(`⚠️  ${e.message}`);
             }
         }
 
@@ -335,11 +236,12 @@ async function main() {
                 if (trackedAliases.has(email.toLowerCase())) return true;
 
                 // CRITERIA 2: It matches our dictionary pattern (Fallback for lost files)
-                return isGeneratedAlias(email);
+                return isGeneratedAlias(email, [...templates]);
             })
             .map(rule => ({
                 id: rule.id,
-                email: rule.matchers[0].value
+                email: rule.matchers[0].value,
+                rule
             }));
 
         if (generatedAliases.length === 0) {
@@ -356,29 +258,63 @@ async function main() {
             console.log('');
         }
 
+        if (dryRun) {
+            console.log('🔍 DRY RUN MODE - Aliases that would be deleted:\n');
+            generatedAliases.forEach((alias, index) => {
+                console.log(`   ${index + 1}. ${alias.email} (ID: ${alias.id})`);
+            });
+            if (generatedAliases.length > maxDelete) {
+                console.log(`\n⚠️  ${generatedAliases.length} aliases exceed the deletion limit of ${maxDelete}; a real run would refuse.`);
+            }
+            console.log('\n✅ Dry run complete. No aliases were deleted.\n');
+            return;
+        }
+
+        if (generatedAliases.length > maxDelete) {
+            console.error(`❌ Refusing to delete ${generatedAliases.length} aliases: the limit is ${maxDelete}.`);
+            console.error('   Check that EMAIL_DOMAIN points at the right zone, then raise --max or CLEANUP_MAX_DELETE,');
+            console.error('   or delete a smaller selection with delete-email-aliases.js.\n');
+            process.exit(1);
+        }
+
         // Confirm deletion
         console.log(`⚠️  This will DELETE ${generatedAliases.length} aliases from ${targetDomain}`);
         console.log('   Manually created aliases will NOT be affected.\n');
+        await confirmDomain(targetDomain, flags.confirm);
+        console.log('');
+
+        // Snapshot the full rules first so `restore` can bring them back
+        const deleting = new Set(generatedAliases.map(a => a.email.toLowerCase()));
+        try {
+            const archivePath = await createTrashArchive({
+                domain: targetDomain,
+                zoneId,
+                source: 'cleanup',
+                rules: generatedAliases.map(a => a.rule),
+                entries: trackedEntries.filter(e => e.alias && deleting.has(e.alias.toLowerCase()))
+            });
+            console.log(`🗃️  Rules archived to ${archivePath}\n`);
+        } catch (error) {
+            throw new Error(`Could not archive the rules before deleting them (nothing was deleted): ${error.message}`);
+        }
 
         // Delete aliases
         console.log('🗑️  Deleting aliases...\n');
         let deleted = 0;
         let failed = 0;
+        const deletedAliases = [];
 
-        for (const alias of generatedAliases) {
+        await runPool(generatedAliases, async (alias) => {
             try {
-                await apiRequest(
-                    `/zones/${zoneId}/email/routing/rules/${alias.id}`,
-                    'DELETE'
-                );
+                await cf.deleteEmailRoutingRule(zoneId, alias.id);
                 deleted++;
+                deletedAliases.push(alias);
                 process.stdout.write(`\rProgress: ${deleted + failed}/${generatedAliases.length}`);
-                await new Promise(resolve => setTimeout(resolve, 100)); // Rate limiting
             } catch (error) {
                 failed++;
                 console.error(`\n❌ Failed to delete ${alias.email}: ${error.message}`);
             }
-        }
+        }, { concurrency });
 
         console.log('\n');
         console.log('═══════════════════════════════════════════════════════');
@@ -389,35 +325,21 @@ async function main() {
         console.log(`📧 Domain: ${targetDomain}`);
         console.log('═══════════════════════════════════════════════════════\n');
 
-        if (deleted > 0 && failed === 0) {
-            console.log('🎉 Cleanup complete! Generated aliases removed.\n');
-
-            // Clean up local files
-            const { unlink } = await import('fs/promises');
-            const filesToDelete = [
-                `${domainSlug}.json`,
-                `${domainSlug}.txt`,
-                `${domainSlug}.toon`
-            ];
+        if (deleted > 0) {
+            console.log(failed === 0
+                ? '🎉 Cleanup complete! Generated aliases removed.\n'
+                : '🎉 Cleanup partial! (Check failures)\n');
 
-            let cleanedFiles = 0;
-            for (const file of filesToDelete) {
-                const filePath = join(__dirname, file);
+            if (trackingUnreadable) {
+                console.log(`ℹ️  Kept the local tracking files unchanged: ${jsonFile} could not be read.`);
+            } else {
+                // Manually created and failed aliases stay listed; the TOON file keeps the history
                 try {
-                    // Check existence before delete to avoid errors
-                    const { existsSync } = await import('fs');
-                    if (existsSync(filePath)) {
-                        await unlink(filePath);
-                        console.log(`🗑️  Removed local file: ${file}`);
-                        cleanedFiles++;
-                    }
-                } catch (err) {
-                    console.warn(`⚠️  Could not delete existing file ${file}: ${err.message}`);
+                    await removeDeletedFromTrackingFiles(targetDomain, trackedEntries, deletedAliases);
+                } catch (error) {
+                    console.warn(`⚠️  Could not update tracking files: ${error.message}`);
                 }
             }
-            if (cleanedFiles > 0) console.log('\n✅ Local tracking files cleaned up.');
-        } else if (deleted > 0) {
-            console.log('🎉 Cleanup partial! (Check failures)\n');
         }
 
     } catch (error) {
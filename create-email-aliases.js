@@ -9,210 +9,87 @@
  * @requires Node.js 18+ (for native fetch)
  */
 
-import { writeFile, readFile } from 'fs/promises';
+import { writeFile, readFile, unlink } from 'fs/promises';
 import { existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import readline from 'readline';
-import { randomBytes } from 'crypto';
-import { execSync, spawn } from 'child_process';
-
-// ============================================================================
-// ENVIRONMENT LOADER
-// ============================================================================
-
-/**
- * Loads environment variables from .env file if it exists
- */
-async function loadEnvFile() {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const envPath = join(__dirname, '.env');
-
-    if (!existsSync(envPath)) {
-        return;
-    }
-
-    try {
-        const envContent = await readFile(envPath, 'utf-8');
-        const lines = envContent.split('\n');
-
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('#')) continue;
-
-            const match = trimmed.match(/^([^=]+)=(.*)$/);
-            if (match) {
-                const key = match[1].trim();
-                let value = match[2].trim();
-
-                if ((value.startsWith('"') && value.endsWith('"')) ||
-                    (value.startsWith("'") && value.endsWith("'"))) {
-                    value = value.slice(1, -1);
-                }
-
-                if (!process.env[key]) {
-                    process.env[key] = value;
-                }
-            }
-        }
-    } catch (error) {
-        console.warn(`⚠️  Could not load .env file: ${error.message}`);
-    }
-}
+import { spawnSync } from 'child_process';
+import { join, basename } from 'path';
+import {
+    PROJECT_ROOT,
+    loadEnvFile,
+    WORD_BUNDLES,
+    resolveBundleKey,
+    loadCustomBundlesWithWarnings,
+    DEFAULT_TEMPLATE,
+    compileTemplate,
+    renderTemplate,
+    templateCapacity,
+    matchesTemplate,
+    parseCliArgs,
+    createCloudflareClient,
+    resolveZoneId,
+    getDomainFile,
+    readTrackingEntries,
+    createJournal,
+    writeTrackingEntries,
+    parseTxtLine,
+    formatTxtLine,
+    updateTxtFile,
+    parseDestinationList,
+    formatDestination,
+    destinationList,
+    loadDestinationMap,
+    generatePassword,
+    describePasswordProfile,
+    loadPasswordPolicy,
+    createPasswordProfilePicker,
+    PASSWORD_PROFILES,
+    validatePasswordProfile,
+    createDestinationPicker,
+    describeDestinations,
+    checkDestinationAddresses,
+    parseDateBound,
+    hasAliasCriteria,
+    createAliasFilter,
+    LISTING_FORMATS,
+    LISTING_COLUMNS,
+    buildAliasListing,
+    listingCells,
+    formatListingCsv,
+    normalizeTags,
+    formatRuleName,
+    applyLabelChanges,
+    isUnclaimed,
+    reconcileAliases,
+    getRuleAddress,
+    getForwardDestinations,
+    describeRuleAction,
+    createZoneBackup,
+    readZoneBackup,
+    planZoneBackupImport,
+    createRateLimiter,
+    rateFromDelay,
+    runPool,
+    getTrashDir,
+    readTrashArchive,
+    listTrashArchives,
+    trashItemDefinition,
+    markTrashItemsRestored,
+    writeTrashArchive,
+    MIN_PASSPHRASE_LENGTH,
+    readVaultHeader,
+    openVault,
+    scrubToonCredentials,
+    writeFileAtomic,
+    appendFileAtomic,
+    acquireLock,
+    CREDENTIAL_EXPORT_FORMATS,
+    buildCredentialRecords,
+    formatCredentialExport
+} from './lib/index.js';
 
 await loadEnvFile();
-
-// ============================================================================
-// THEMED WORD BUNDLES FOR PRIVACY-FOCUSED ALIASES
-// ============================================================================
-
-const WORD_BUNDLES = {
-    'privacy-guardian': {
-        name: '🛡️  Privacy Guardian',
-        description: 'Security & anonymity themed - perfect for maximum privacy',
-        prefixes: [
-            'anonymous', 'cipher', 'crypt', 'ghost', 'hidden', 'incognito', 'masked',
-            'phantom', 'private', 'secret', 'secure', 'shadow', 'shield', 'silent',
-            'stealth', 'vault', 'veiled', 'whisper', 'cloak', 'enigma', 'obscure',
-            'covert', 'discrete', 'guarded', 'keeper', 'sentinel', 'warden', 'aegis',
-            'bastion', 'fortress', 'haven', 'refuge', 'sanctuary', 'guardian', 'protector',
-            'defender', 'encrypted', 'locked', 'sealed', 'shielded', 'armored', 'fortified',
-            'invisible', 'unseen', 'untraced', 'untraceable', 'nameless', 'faceless', 'void',
-            'dark', 'night', 'twilight', 'dusk', 'shade', 'umbra', 'eclipse'
-        ],
-        suffixes: [
-            'vault', 'cipher', 'lock', 'key', 'gate', 'wall', 'shield', 'guard',
-            'keeper', 'watcher', 'sentinel', 'proxy', 'mask', 'cloak', 'veil',
-            'shadow', 'ghost', 'phantom', 'spirit', 'shade', 'wraith', 'specter',
-            'node', 'relay', 'tunnel', 'bridge', 'portal', 'passage', 'path',
-            'route', 'channel', 'conduit', 'link', 'nexus', 'hub', 'core',
-            'fortress', 'bastion', 'citadel', 'haven', 'refuge', 'sanctuary', 'asylum',
-            'den', 'lair', 'cache', 'stash', 'reserve', 'archive', 'repository',
-            'sentry', 'lookout', 'observer', 'monitor', 'scanner', 'detector'
-        ]
-    },
-
-    'tech-wizard': {
-        name: '⚡ Tech Wizard',
-        description: 'Tech & coding themed - for the digital natives',
-        prefixes: [
-            'binary', 'quantum', 'neural', 'cyber', 'digital', 'virtual', 'pixel',
-            'byte', 'nano', 'micro', 'macro', 'meta', 'proto', 'core', 'kernel',
-            'daemon', 'thread', 'async', 'sync', 'parallel', 'vector', 'matrix',
-            'logic', 'boolean', 'algorithm', 'regex', 'syntax', 'compile', 'runtime',
-            'stack', 'heap', 'cache', 'buffer', 'stream', 'pipeline', 'packet',
-            'protocol', 'network', 'mesh', 'grid', 'cloud', 'edge', 'fog',
-            'data', 'crypto', 'hash', 'token', 'session', 'instance', 'module',
-            'script', 'lambda', 'delta', 'alpha', 'beta', 'gamma', 'omega'
-        ],
-        suffixes: [
-            'bit', 'byte', 'node', 'core', 'chip', 'circuit', 'gate', 'port',
-            'socket', 'thread', 'process', 'daemon', 'service', 'worker', 'agent',
-            'bot', 'proxy', 'server', 'client', 'host', 'mesh', 'grid',
-            'network', 'cluster', 'shard', 'partition', 'segment', 'block', 'chunk',
-            'packet', 'frame', 'payload', 'header', 'footer', 'wrapper', 'container',
-            'pod', 'instance', 'replica', 'mirror', 'cache', 'buffer', 'queue',
-            'stack', 'heap', 'tree', 'graph', 'array', 'vector', 'matrix',
-            'tensor', 'scalar', 'pointer', 'reference', 'handle', 'descriptor'
-        ]
-    },
-
-    'nature-zen': {
-        name: '🌿 Nature Zen',
-        description: 'Calm & natural themed - peaceful and organic',
-        prefixes: [
-            'alpine', 'amber', 'arctic', 'autumn', 'azure', 'breeze', 'calm',
-            'cascade', 'cedar', 'cloud', 'coral', 'crystal', 'dawn', 'dusk',
-            'earth', 'emerald', 'forest', 'frost', 'glacial', 'golden', 'jade',
-            'lunar', 'maple', 'marine', 'meadow', 'misty', 'moss', 'mountain',
-            'ocean', 'olive', 'opal', 'pacific', 'pearl', 'pebble', 'pine',
-            'quartz', 'rain', 'river', 'sage', 'sand', 'sapphire', 'sky',
-            'snow', 'solar', 'spring', 'stellar', 'stone', 'summer', 'sunset',
-            'thunder', 'tide', 'timber', 'topaz', 'valley', 'verdant', 'wild'
-        ],
-        suffixes: [
-            'bay', 'beach', 'brook', 'canyon', 'cave', 'cliff', 'cloud', 'coast',
-            'cove', 'creek', 'delta', 'dune', 'falls', 'field', 'fjord', 'forest',
-            'garden', 'glacier', 'grove', 'harbor', 'haven', 'hill', 'hollow', 'island',
-            'lake', 'lagoon', 'marsh', 'meadow', 'mesa', 'mist', 'mountain', 'oasis',
-            'ocean', 'pass', 'path', 'peak', 'pine', 'plain', 'pond', 'prairie',
-            'reef', 'ridge', 'river', 'rock', 'shore', 'spring', 'stone', 'stream',
-            'summit', 'terrace', 'trail', 'tree', 'valley', 'vista', 'wave', 'wood'
-        ]
-    },
-
-    'urban-legend': {
-        name: '🏙️  Urban Legend',
-        description: 'Modern & city themed - sleek and contemporary',
-        prefixes: [
-            'apex', 'axis', 'bold', 'bright', 'chrome', 'concrete', 'core', 'edge',
-            'electric', 'epic', 'flash', 'flex', 'fusion', 'glitch', 'glow', 'grid',
-            'high', 'hyper', 'instant', 'jet', 'kinetic', 'level', 'metro', 'modern',
-            'neon', 'neural', 'nexus', 'Night', 'nova', 'omega', 'peak', 'pixel',
-            'prime', 'prism', 'pulse', 'quick', 'rapid', 'razor', 'reflex', 'rhythm',
-            'rush', 'sharp', 'signal', 'sleek', 'sonic', 'spark', 'speed', 'spike',
-            'surge', 'swift', 'sync', 'tempo', 'titan', 'turbo', 'ultra', 'urban'
-        ],
-        suffixes: [
-            'ace', 'arc', 'axis', 'beat', 'blast', 'blaze', 'block', 'bolt',
-            'buzz', 'cafe', 'chip', 'city', 'club', 'dash', 'deck', 'district',
-            'drive', 'drop', 'edge', 'flash', 'flow', 'flux', 'grid', 'hub',
-            'lane', 'level', 'line', 'link', 'loop', 'mall', 'metro', 'mode',
-            'node', 'pace', 'park', 'phase', 'pier', 'plaza', 'point', 'pulse',
-            'quest', 'rails', 'rise', 'route', 'shift', 'square', 'station', 'street',
-            'strip', 'sync', 'tower', 'track', 'trade', 'transit', 'venue', 'zone'
-        ]
-    },
-
-    'cosmic-explorer': {
-        name: '🚀 Cosmic Explorer',
-        description: 'Space & sci-fi themed - for the stargazers',
-        prefixes: [
-            'astral', 'atomic', 'aurora', 'celestial', 'cosmic', 'dark', 'distant',
-            'eternal', 'galactic', 'gravity', 'infinite', 'interstellar', 'light', 'lunar',
-            'meteor', 'nebula', 'neutron', 'nova', 'orbit', 'photon', 'plasma', 'pulsar',
-            'quantum', 'quasar', 'radiant', 'solar', 'space', 'spectral', 'star', 'stellar',
-            'super', 'void', 'warp', 'zero', 'andromeda', 'apollo', 'aries', 'atlas',
-            'aurora', 'boson', 'comet', 'corona', 'cosmos', 'eclipse', 'event', 'exo',
-            'fusion', 'gamma', 'helios', 'horizon', 'ion', 'jupiter', 'kepler', 'laser',
-            'lunar', 'mars', 'mercury', 'milky', 'orbit', 'orion', 'phoenix', 'pluto',
-            'polaris', 'radiation', 'red', 'saturn', 'sirius', 'titan', 'uranus', 'vega'
-        ],
-        suffixes: [
-            'star', 'nova', 'nebula', 'galaxy', 'cosmos', 'comet', 'meteor', 'orbit',
-            'moon', 'planet', 'satellite', 'asteroid', 'sphere', 'void', 'quasar', 'pulsar',
-            'photon', 'proton', 'neutron', 'electron', 'particle', 'wave', 'field', 'force',
-            'ray', 'beam', 'light', 'dark', 'matter', 'energy', 'space', 'time',
-            'dimension', 'portal', 'gate', 'wormhole', 'rift', 'flux', 'drift', 'shift',
-            'jump', 'leap', 'warp', 'drive', 'engine', 'reactor', 'core', 'station',
-            'base', 'outpost', 'colony', 'ship', 'craft', 'vessel', 'probe', 'explorer'
-        ]
-    },
-
-    'mystic-shadow': {
-        name: '🔮 Mystic Shadow',
-        description: 'Fantasy & mysterious themed - enigmatic and magical',
-        prefixes: [
-            'ancient', 'arcane', 'blessed', 'celestial', 'cryptic', 'cursed', 'dark',
-            'divine', 'dragon', 'dream', 'echo', 'elder', 'elven', 'enchanted', 'eternal',
-            'fabled', 'fallen', 'forbidden', 'forgotten', 'frost', 'gloom', 'grim', 'hidden',
-            'holy', 'lost', 'lunar', 'magic', 'midnight', 'mystic', 'mythic', 'night',
-            'obsidian', 'omen', 'oracle', 'phantom', 'primal', 'raven', 'rune', 'sacred',
-            'shadow', 'silent', 'silver', 'soul', 'spectral', 'spirit', 'star', 'storm',
-            'twilight', 'umbral', 'void', 'wicked', 'wild', 'witch', 'wolf', 'wraith'
-        ],
-        suffixes: [
-            'blade', 'blood', 'bone', 'book', 'cairn', 'chalice', 'circle', 'coven',
-            'crown', 'crystal', 'curse', 'dawn', 'dream', 'dusk', 'echo', 'ember',
-            'eye', 'flame', 'gate', 'gaze', 'gem', 'glyph', 'grimoire', 'grove',
-            'heart', 'keeper', 'key', 'mark', 'mirror', 'moon', 'oath', 'oracle',
-            'page', 'pendant', 'portal', 'prophecy', 'relic', 'rite', 'rune', 'scroll',
-            'seal', 'seer', 'shade', 'sigil', 'song', 'soul', 'spell', 'spirit',
-            'star', 'stone', 'talisman', 'tome', 'veil', 'vessel', 'ward', 'whisper'
-        ]
-    }
-};
+await loadCustomBundlesWithWarnings();
 
 // ============================================================================
 // INTERACTIVE INPUT HELPERS
@@ -235,17 +112,34 @@ function question(rl, query) {
     return new Promise(resolve => rl.question(query, resolve));
 }
 
+/**
+ * Prompts for a secret without echoing what is typed
+ */
+function questionHidden(rl, query) {
+    return new Promise(resolve => {
+        const writeToOutput = rl._writeToOutput;
+        rl.question(query, answer => {
+            rl._writeToOutput = writeToOutput;
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        // The prompt is out; readline echoes every keystroke through this method
+        rl._writeToOutput = () => {};
+    });
+}
+
 /**
  * Displays available word bundles
  */
 function displayBundles() {
-    console.log('\n📦 Available Name Bundles:\n');
+    const compiled = compileTemplate(CONFIG.aliasTemplate);
+    console.log(`\n📦 Available Name Bundles (template: ${compiled.template}):\n`);
     const bundles = Object.keys(WORD_BUNDLES);
     bundles.forEach((key, index) => {
         const bundle = WORD_BUNDLES[key];
-        console.log(`  ${index + 1}. ${bundle.name}`);
+        console.log(`  ${index + 1}. ${bundle.name} (${key})${bundle.custom ? ` [custom: ${bundle.source}]` : ''}`);
         console.log(`     ${bundle.description}`);
-        console.log(`     Words: ${bundle.prefixes.length} prefixes × ${bundle.suffixes.length} suffixes = ${bundle.prefixes.length * bundle.suffixes.length} combinations\n`);
+        console.log(`     Words: ${bundle.prefixes.length} prefixes × ${bundle.suffixes.length} suffixes = ${templateCapacity(compiled, bundle).toLocaleString()} combinations\n`);
     });
 }
 
@@ -254,27 +148,63 @@ function displayBundles() {
  */
 async function selectBundle(rl) {
     displayBundles();
+    const bundleCount = Object.keys(WORD_BUNDLES).length;
 
     while (true) {
-        const answer = await question(rl, '🎯 Select a bundle (1-6): ');
-        const selection = parseInt(answer.trim(), 10);
+        const answer = await question(rl, `🎯 Select a bundle (1-${bundleCount}): `);
+        const bundleKey = resolveBundleKey(answer);
 
-        if (selection >= 1 && selection <= 6) {
-            const bundleKey = Object.keys(WORD_BUNDLES)[selection - 1];
+        if (bundleKey) {
             const bundle = WORD_BUNDLES[bundleKey];
             console.log(`\n✅ Selected: ${bundle.name}\n`);
             return bundleKey;
         }
 
-        console.log('❌ Invalid selection. Please enter a number between 1 and 6.\n');
+        console.log(`❌ Invalid selection. Please enter a number between 1 and ${bundleCount}.\n`);
+    }
+}
+
+/**
+ * Default alias count (ALIAS_COUNT env var, else 100)
+ * @throws {Error} When ALIAS_COUNT is not between 1 and 500
+ */
+function getDefaultAliasCount() {
+    return process.env.ALIAS_COUNT ? parseAliasCount(process.env.ALIAS_COUNT, 'ALIAS_COUNT') : 100;
+}
+
+/**
+ * Validates an alias count given on the command line or in the environment
+ * @param {string|number} value - Raw --count value
+ * @param {string} [source] - Where the value came from (for the error)
+ * @returns {number} Count between 1 and 500
+ */
+function parseAliasCount(value, source = '--count') {
+    const count = parseInt(value, 10);
+    if (String(count) !== String(value).trim() || count < 1 || count > 500) {
+        throw new Error(`Invalid ${source} "${value}". Please enter a value between 1 and 500.`);
+    }
+    return count;
+}
+
+/**
+ * Validates a random seed given on the command line
+ * @param {string|number} value - Raw --seed value
+ * @returns {number} Integer seed
+ */
+function parseSeed(value) {
+    const raw = String(value).trim();
+    const seed = Number(raw);
+    if (!/^-?\d+$/.test(raw) || !Number.isSafeInteger(seed)) {
+        throw new Error(`Invalid --seed "${value}". The seed must be a whole number.`);
     }
+    return seed;
 }
 
 /**
  * Gets number of aliases to create
  */
 async function getAliasCount(rl) {
-    const defaultCount = parseInt(process.env.ALIAS_COUNT || '100', 10);
+    const defaultCount = getDefaultAliasCount();
 
     while (true) {
         const answer = await question(rl, `📧 How many aliases to create? (1-500, default ${defaultCount}): `);
@@ -297,10 +227,40 @@ async function getAliasCount(rl) {
     }
 }
 
+/**
+ * Gets the name template (Enter keeps the current one)
+ */
+async function getAliasTemplate(rl) {
+    while (true) {
+        const answer = await question(rl, `🧩 Name template? (default ${CONFIG.aliasTemplate}): `);
+        const template = answer.trim() || CONFIG.aliasTemplate;
+
+        try {
+            const compiled = compileTemplate(template);
+            console.log(`\n✅ Using template ${compiled.template}\n`);
+            return compiled.template;
+        } catch (error) {
+            console.log(`❌ ${error.message}\n`);
+        }
+    }
+}
+
 // ============================================================================
 // TOON (Token-Oriented Object Notation) ENCODER
 // ============================================================================
 
+/**
+ * Formats one value of a TOON table row; values containing the delimiter
+ * or quotes are quoted
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+function toonCell(value) {
+    const text = String(value ?? '');
+    if (text === '') return '""';
+    return /[",\\]|^\s|\s$/.test(text) ? `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : text;
+}
+
 /**
  * Generates TOON format output - compact, LLM-friendly format
  * Reduces token count by 30-60% compared to JSON
@@ -319,6 +279,7 @@ function generateToon(results, metadata) {
     lines.push('metadata:');
     lines.push(`  bundle_id: ${metadata.bundle}`);
     lines.push(`  bundle_name: ${metadata.bundleName}`);
+    lines.push(`  template: ${metadata.template}`);
     lines.push(`  domain: ${metadata.domain}`);
     lines.push(`  destination: ${metadata.destination}`);
     lines.push(`  total_count: ${metadata.totalCount}`);
@@ -329,10 +290,12 @@ function generateToon(results, metadata) {
     // Successful aliases (tabular format - TOON's strength)
     const successful = results.filter(r => r.status === 'success');
     if (successful.length > 0) {
-        lines.push(`successful_aliases[${successful.length}]{alias,rule_id,created_at}:`);
+        lines.push(`successful_aliases[${successful.length}]{alias,rule_id,created_at,destination}:`);
         successful.forEach(r => {
             const created = r.createdAt.split('.')[0].replace('T', ' ');
-            lines.push(`  ${r.alias},${r.ruleId},${created}`);
+            // Several destinations contain the delimiter, so they get quoted
+            const destination = toonCell(destinationList(r.destination).join(','));
+            lines.push(`  ${r.alias},${r.ruleId},${created},${destination}`);
         });
         lines.push('');
     }
@@ -343,6 +306,7 @@ function generateToon(results, metadata) {
         lines.push(`failed_aliases[${failed.length}]:`);
         failed.forEach(r => {
             lines.push(`  - alias: ${r.alias}`);
+            lines.push(`    destination: ${destinationList(r.destination).join(', ')}`);
             lines.push(`    error: ${r.error || 'Unknown error'}`);
             lines.push(`    created_at: ${r.createdAt.split('.')[0].replace('T', ' ')}`);
         });
@@ -358,34 +322,28 @@ function generateToon(results, metadata) {
     return lines.join('\n');
 }
 
-// ============================================================================
-// AUTOMATIC ZONE DISCOVERY
-// ============================================================================
-
 /**
- * Automatically fetches the Zone ID from Cloudflare based on the domain name.
- * Requires an API token with Zone:Read permissions.
+ * Generates a TOON listing of aliases (output of the `list` command)
+ * @param {Array} rows - Rows from buildAliasListing()
+ * @param {object} metadata - { domain, source, timestamp }
+ * @returns {string} TOON formatted string
  */
-async function fetchZoneIdByName(domain) {
-    if (!process.env.CLOUDFLARE_API_TOKEN) return null;
+function generateListingToon(rows, metadata) {
+    const lines = [];
 
-    const url = `https://api.cloudflare.com/client/v4/zones?name=${domain}`;
-    try {
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${process.env.CLOUDFLARE_API_TOKEN}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        const data = await response.json();
-        if (data.success && data.result.length > 0) {
-            return data.result[0].id;
-        }
-        return null;
-    } catch (error) {
-        console.warn(`⚠️  Automatic zone discovery failed: ${error.message}`);
-        return null;
-    }
+    lines.push('# Email Aliases Listing (TOON Format)');
+    lines.push(`# Generated: ${metadata.timestamp}`);
+    lines.push('');
+    lines.push('metadata:');
+    lines.push(`  domain: ${metadata.domain}`);
+    lines.push(`  source: ${metadata.source}`);
+    lines.push(`  total_count: ${rows.length}`);
+    lines.push('');
+
+    lines.push(`aliases[${rows.length}]{${LISTING_COLUMNS.join(',')}}:`);
+    rows.forEach(row => lines.push(`  ${listingCells(row).map(toonCell).join(',')}`));
+
+    return lines.join('\n');
 }
 
 // ============================================================================
@@ -395,11 +353,21 @@ async function fetchZoneIdByName(domain) {
 const CONFIG = {
     apiToken: process.env.CLOUDFLARE_API_TOKEN,
     zoneId: process.env.CLOUDFLARE_ZONE_ID,
+    accountId: process.env.CLOUDFLARE_ACCOUNT_ID,
     emailDomain: process.env.EMAIL_DOMAIN,
     destinationEmail: process.env.DESTINATION_EMAIL,
+    destinationStrategy: process.env.DESTINATION_STRATEGY || 'all',
+    destinationMapFile: process.env.DESTINATION_MAP || null,
+    passwordProfile: process.env.PASSWORD_PROFILE || null,
+    passwordPolicyFile: process.env.PASSWORD_POLICY || null,
     requestDelayMs: parseInt(process.env.REQUEST_DELAY_MS || '100', 10),
+    concurrency: parseInt(process.env.CONCURRENCY || '4', 10),
     randomSeed: process.env.RANDOM_SEED ? parseInt(process.env.RANDOM_SEED, 10) : Date.now(),
+    aliasTemplate: process.env.ALIAS_TEMPLATE || DEFAULT_TEMPLATE,
     dryRun: process.argv.includes('--dry-run'),
+    allowUnverified: false,
+    // --no-passwords: create aliases without generating passwords
+    skipPasswords: false,
     maxRetries: 3,
     baseRetryDelayMs: 1000,
     // These will be set interactively
@@ -407,22 +375,75 @@ const CONFIG = {
     aliasCount: null,
 };
 
+// REQUEST_DELAY_MS is the ceiling; the limiter slows down on 429s and recovers on success
+const limiter = createRateLimiter({
+    maxRate: rateFromDelay(CONFIG.requestDelayMs),
+    onRateChange: (rate, reason) => {
+        if (reason === 'throttle') console.warn(`🐢 Rate limited - slowing down to ${rate.toFixed(1)} req/s`);
+    }
+});
+
+const cf = createCloudflareClient({
+    apiToken: CONFIG.apiToken,
+    maxRetries: CONFIG.maxRetries,
+    baseRetryDelayMs: CONFIG.baseRetryDelayMs,
+    limiter
+});
+
 /**
  * Initializes configuration, resolving Zone ID if necessary.
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Resolve without progress output (machine-readable commands)
  */
-async function initializeConfig() {
+async function initializeConfig({ quiet = false } = {}) {
     if (!CONFIG.zoneId && CONFIG.emailDomain) {
-        process.stdout.write(`🔍 Resolving Zone ID for ${CONFIG.emailDomain}... `);
-        const autoId = await fetchZoneIdByName(CONFIG.emailDomain);
-        if (autoId) {
-            CONFIG.zoneId = autoId;
-            console.log(`✅ Found: ${autoId.substring(0, 8)}...`);
-        } else {
-            console.log('❌ Failed');
-        }
+        CONFIG.zoneId = quiet
+            ? await cf.fetchZoneIdByName(CONFIG.emailDomain)
+            : await resolveZoneId(cf, CONFIG.emailDomain);
+    }
+}
+
+/**
+ * Resolves the account ID (needed for destination addresses) from the zone
+ * unless CLOUDFLARE_ACCOUNT_ID is set.
+ * @returns {Promise<string>} Account ID
+ * @throws {Error} When neither the setting nor the zone names an account
+ */
+async function resolveAccountId() {
+    if (!CONFIG.accountId && CONFIG.zoneId) {
+        CONFIG.accountId = await cf.fetchAccountIdForZone(CONFIG.zoneId);
+    }
+    if (!CONFIG.accountId) {
+        throw new Error('Could not determine the account ID. Set CLOUDFLARE_ACCOUNT_ID in .env');
     }
+    return CONFIG.accountId;
 }
 
+/**
+ * Lock file of a domain's tracking files (see lib/files.js)
+ * @param {string} [domain] - Domain (default: the configured one)
+ * @returns {string} e.g. example-com.lock
+ */
+function getLockPath(domain = CONFIG.emailDomain) {
+    return getDomainFile(domain, 'lock');
+}
+
+/**
+ * Runs a function while holding the lock of a domain's tracking files
+ * @param {string} command - What the lock is held for (shown to other runs)
+ * @param {Function} fn - Work to do
+ * @param {string} [domain] - Domain (default: the configured one)
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} When another run holds the lock
+ */
+async function withDomainLock(command, fn, domain = CONFIG.emailDomain) {
+    const lock = await acquireLock(getLockPath(domain), { command });
+    try {
+        return await fn();
+    } finally {
+        await lock.release();
+    }
+}
 
 // ============================================================================
 // SEEDED PSEUDO-RANDOM NUMBER GENERATOR
@@ -441,84 +462,205 @@ function createSeededRandom(seed) {
 // NAME GENERATION
 // ============================================================================
 
-function generateUniqueName(usedNames, random, bundle) {
+/**
+ * Renders a random name from the template that is not in usedNames.
+ * Names are compared case-insensitively, since email local parts are.
+ * @param {Set<string>} usedNames - Lowercased names already taken
+ * @param {Function} random - Seeded random generator
+ * @param {object} bundle - Word bundle
+ * @param {object} compiled - Template from compileTemplate()
+ * @param {object} [stats] - Counter object; stats.skipped counts collisions with pre-existing names
+ * @param {Set<string>} [existingNames] - Names that existed before this run
+ */
+function generateUniqueName(usedNames, random, bundle, compiled, stats = { skipped: 0 }, existingNames = new Set()) {
     const maxAttempts = 1000;
     let attempts = 0;
 
     while (attempts < maxAttempts) {
-        const prefix = bundle.prefixes[Math.floor(random() * bundle.prefixes.length)];
-        const suffix = bundle.suffixes[Math.floor(random() * bundle.suffixes.length)];
-        const name = `${prefix}.${suffix}`;
+        const name = renderTemplate(compiled, bundle, random);
+        const key = name.toLowerCase();
 
-        if (!usedNames.has(name)) {
-            usedNames.add(name);
+        if (!usedNames.has(key)) {
+            usedNames.add(key);
             return name;
         }
 
+        if (existingNames.has(key)) stats.skipped++;
         attempts++;
     }
 
-    throw new Error('Failed to generate unique name after 1000 attempts. Try a different bundle or reduce alias count.');
+    throw new Error('Failed to generate unique name after 1000 attempts. Try a different bundle or template, or reduce alias count.');
 }
 
-function generateAliasNames(count, seed, bundleKey) {
+/**
+ * Generates alias local parts for a bundle
+ * @param {number} count - Number of names
+ * @param {number} seed - Random seed
+ * @param {string} bundleKey - Bundle key
+ * @param {Set<string>} [existingNames] - Lowercased local parts that already exist (never reused)
+ * @param {string} [template] - Name template (default {prefix}.{suffix})
+ * @returns {{ names: string[], skipped: number }} Names plus how many candidates collided with existing ones
+ */
+function generateAliasNames(count, seed, bundleKey, existingNames = new Set(), template = DEFAULT_TEMPLATE) {
     const random = createSeededRandom(seed);
     const bundle = WORD_BUNDLES[bundleKey];
-    const usedNames = new Set();
+    const compiled = compileTemplate(template);
+    const usedNames = new Set(existingNames);
+    const stats = { skipped: 0 };
     const names = [];
 
+    // Names that already exist use up part of what the template can produce
+    const capacity = templateCapacity(compiled, bundle);
+    const taken = [...existingNames].filter(name => matchesTemplate(compiled, bundle, name)).length;
+    const remaining = Math.max(0, capacity - taken);
+    if (count > remaining) {
+        throw new Error(`Template ${compiled.template} with bundle "${bundleKey}" has only ${remaining} unused names left ` +
+            `(${taken} of ${capacity} already exist; requested ${count}). Try a different bundle or template.`);
+    }
+
     for (let i = 0; i < count; i++) {
-        names.push(generateUniqueName(usedNames, random, bundle));
+        try {
+            names.push(generateUniqueName(usedNames, random, bundle, compiled, stats, existingNames));
+        } catch {
+            throw new Error(`Found only ${names.length} of ${count} new names: about ${remaining - names.length} of the ${capacity} names ` +
+                `template ${compiled.template} yields with bundle "${bundleKey}" are unused and too rare to hit at random. ` +
+                'Try a different bundle or template, or reduce alias count.');
+        }
+    }
+
+    return { names, skipped: stats.skipped };
+}
+
+/**
+ * Lists the zone's literal `to` rules for the target domain
+ * @param {object} [zone] - Another zone to list ({ zoneId, domain }; default: the configured one)
+ * @returns {Promise<Map<string, object>>} Lowercased address → routing rule
+ */
+async function listRemoteAliasRules({ zoneId = CONFIG.zoneId, domain = CONFIG.emailDomain } = {}) {
+    const rules = new Map();
+    const domainSuffix = `@${domain.toLowerCase()}`;
+
+    for await (const rule of cf.iterateEmailRoutingRules(zoneId)) {
+        (rule.matchers || [])
+            .filter(m => m.type === 'literal' && m.field === 'to')
+            .map(m => (m.value || '').toLowerCase())
+            .filter(address => address.endsWith(domainSuffix))
+            .forEach(address => rules.set(address, rule));
+    }
+
+    return rules;
+}
+
+/**
+ * Collects local parts already in use on the target domain, from the zone's
+ * literal `to` matchers and the local <domain>.json history.
+ * @returns {Promise<Set<string>>} Lowercased local parts
+ */
+async function collectExistingAliasNames() {
+    const existing = new Set();
+    const domainSuffix = `@${CONFIG.emailDomain.toLowerCase()}`;
+    const addAddress = (address) => {
+        const lower = (address || '').toLowerCase();
+        if (lower.endsWith(domainSuffix)) existing.add(lower.slice(0, -domainSuffix.length));
+    };
+
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    try {
+        const entries = await readTrackingEntries(jsonFile);
+        // Failed entries were never created, so their names are still free
+        entries.filter(e => e.status !== 'failed').forEach(e => addAddress(e.alias || e.email));
+    } catch (e) {
+        console.warn(`⚠️  ${e.message}`);
+    }
+
+    if (CONFIG.zoneId) {
+        try {
+            const remoteRules = await listRemoteAliasRules();
+            remoteRules.forEach((rule, address) => addAddress(address));
+        } catch (e) {
+            console.warn(`⚠️  Could not list existing routing rules: ${e.message}`);
+        }
     }
 
-    return names;
+    return existing;
 }
 
 // ============================================================================
 // PASSWORD GENERATION MODULE
 // ============================================================================
 
-const CHARSET = {
-    lowercase: 'abcdefghijklmnopqrstuvwxyz',
-    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-    numbers: '0123456789',
-    special: '!@#$%^&*()-_=+[]{}|;:,.<>?'
-};
-const ALL_CHARS = CHARSET.lowercase + CHARSET.uppercase + CHARSET.numbers + CHARSET.special;
-
-function generateSecurePassword(length = 12) {
-    if (length < 8) throw new Error('Password length must be at least 8 characters');
-    const password = [];
-    password.push(CHARSET.lowercase[randomBytes(1)[0] % CHARSET.lowercase.length]);
-    password.push(CHARSET.uppercase[randomBytes(1)[0] % CHARSET.uppercase.length]);
-    password.push(CHARSET.numbers[randomBytes(1)[0] % CHARSET.numbers.length]);
-    password.push(CHARSET.special[randomBytes(1)[0] % CHARSET.special.length]);
-    for (let i = password.length; i < length; i++) {
-        password.push(ALL_CHARS[randomBytes(1)[0] % ALL_CHARS.length]);
-    }
-    return password.sort(() => 0.5 - Math.random()).join('');
+/**
+ * Creates this run's password profile picker (--password-profile, --password-policy)
+ * @returns {Promise<Function>} (alias, bundle) => { name, profile }
+ * @throws {Error} On an unknown profile or an invalid policy file
+ */
+async function getPasswordProfilePicker() {
+    const policy = CONFIG.passwordPolicyFile ? await loadPasswordPolicy(CONFIG.passwordPolicyFile) : null;
+    return createPasswordProfilePicker({ profile: CONFIG.passwordProfile, policy });
 }
 
-function generateUniquePasswords(aliases) {
+/**
+ * Generates one password per alias, never the same one twice
+ * @param {string[]} aliases - Alias addresses
+ * @param {Function} pickProfile - alias => { name, profile } (see createPasswordProfilePicker)
+ * @returns {Array} { email, password, profile } with the profile name
+ */
+function generateUniquePasswords(aliases, pickProfile) {
     const credentials = [];
     const used = new Set();
     for (const alias of aliases) {
+        const { name, profile } = pickProfile(alias);
         let password;
-        do { password = generateSecurePassword(); } while (used.has(password));
+        do { password = generatePassword(profile); } while (used.has(password));
         used.add(password);
-        credentials.push({ email: alias, password });
+        credentials.push({ email: alias, password, profile: name });
     }
     return credentials;
 }
 
-async function updateFilesWithPasswords(domainSlug, credentials) {
-    const jsonFile = `${domainSlug}.json`;
-    const txtFile = `${domainSlug}.txt`;
-    const toonFile = `${domainSlug}.toon`;
+/**
+ * Lists the password profiles of this run (built-ins plus the policy file)
+ */
+async function displayPasswordProfiles() {
+    const policy = CONFIG.passwordPolicyFile ? await loadPasswordPolicy(CONFIG.passwordPolicyFile) : null;
+    const runProfile = createPasswordProfilePicker({ profile: CONFIG.passwordProfile, policy })('').name;
+    const profiles = policy?.profiles || Object.fromEntries(Object.entries(PASSWORD_PROFILES)
+        .map(([name, definition]) => [name, validatePasswordProfile(definition, name)]));
+
+    console.log(`\n🔐 Password profiles${policy ? ` (policy: ${CONFIG.passwordPolicyFile})` : ''}:\n`);
+    Object.entries(profiles).forEach(([name, profile]) => {
+        console.log(`  ${name === runProfile ? '▶' : ' '} ${name}${profile.description ? ` - ${profile.description}` : ''}`);
+        console.log(`     ${describePasswordProfile(profile)}\n`);
+    });
+
+    if (policy) {
+        Object.entries(policy.bundles).forEach(([bundle, name]) => console.log(`   Bundle ${bundle} → ${name}`));
+        Object.entries(policy.aliases).forEach(([alias, name]) => console.log(`   Alias ${alias} → ${name}`));
+    }
+    console.log(`   ▶ = used unless a bundle or alias rule applies (change with --password-profile)\n`);
+}
+
+/**
+ * Stores generated passwords in the domain's vault and records which aliases
+ * have one in the TXT/JSON/TOON files (the passwords themselves stay encrypted)
+ * @param {string} domain - Domain of the tracking files
+ * @param {Array} credentials - { email, password }
+ * @param {object|null} [rl] - Readline interface for the passphrase prompt (interactive menu)
+ * @returns {Promise<boolean>} False when the passwords could not be stored
+ */
+async function updateFilesWithPasswords(domain, credentials, rl = null) {
+    const jsonFile = getDomainFile(domain, 'json');
+    const txtFile = getDomainFile(domain, 'txt');
+    const toonFile = getDomainFile(domain, 'toon');
 
     try {
         console.log(`\n🔒 Encrypting & Securing Aliases...`);
 
+        // UPDATE VAULT first: nothing else changes if it cannot be unlocked
+        const vault = await unlockVault(getVaultPath(domain), rl);
+        credentials.forEach(c => vault.set(c.email, c.password));
+        await vault.save();
+
         // UPDATE TXT (Append/Merge)
         let allTxtLines = [];
         if (existsSync(txtFile)) {
@@ -527,182 +669,368 @@ async function updateFilesWithPasswords(domainSlug, credentials) {
             allTxtLines = existingContent.split('\n').map(l => l.trim()).filter(l => l.includes('@'));
         }
 
-        // Create map of existing data to avoid duplicates/overwrite existing passwords if we want
-        // But usually we just want to ADD new ones. 
-        // If an alias exists in file without password (e.g. from previous step), we update it.
         const txtMap = new Map();
         allTxtLines.forEach(line => {
-            const [email, pwd] = line.split(':');
-            txtMap.set(email, pwd || ''); // preserve existing password if any
+            const entry = parseTxtLine(line);
+            txtMap.set(entry.email, entry); // preserve destination if any
         });
 
-        // Merge new credentials
+        // New aliases are added; a plaintext password left from older versions is dropped
         credentials.forEach(c => {
-            txtMap.set(c.email, c.password);
+            txtMap.set(c.email, { ...txtMap.get(c.email), email: c.email, password: '' });
         });
 
-        const newTxtContent = Array.from(txtMap.entries()).map(([email, pwd]) => `${email}:${pwd}`).join('\n') + '\n';
-        await writeFile(txtFile, newTxtContent, 'utf-8');
+        const newTxtContent = Array.from(txtMap.values()).map(formatTxtLine).join('\n') + '\n';
+        await writeFileAtomic(txtFile, newTxtContent);
 
 
         // UPDATE JSON (Merge)
         if (existsSync(jsonFile)) {
-            const rawContent = await readFile(jsonFile, 'utf-8');
-            let jsonData;
-            try { jsonData = JSON.parse(rawContent); } catch (e) { jsonData = []; }
-
-            // Normalize to array
-            let masterList = [];
-            if (Array.isArray(jsonData)) masterList = jsonData;
-            else if (jsonData.results || jsonData.aliases) masterList = jsonData.results || jsonData.aliases;
-
-            // Update or Add
-            const credMap = new Map(credentials.map(c => [c.email, c.password]));
-
-            // Map existing items, adding passwords if missing and we have them
-            masterList = masterList.map(item => {
-                if (credMap.has(item.alias)) {
-                    const newPwd = credMap.get(item.alias);
-                    credMap.delete(item.alias); // Remove from map so we know it's handled
-                    return { ...item, password: newPwd };
-                }
-                return item;
+            const profiles = new Map(credentials.map(c => [c.email, c.profile]));
+            const masterList = (await readTrackingEntries(jsonFile)).map(item => {
+                if (!profiles.has(item.alias)) return item;
+                const { password, ...rest } = item;
+                const next = { ...rest, passwordStoredAt: new Date().toISOString() };
+                if (profiles.get(item.alias)) next.passwordProfile = profiles.get(item.alias);
+                return next;
             });
 
-            // If there are leftovers in credMap (aliases not in JSON?? shouldn't happen if flow is correct, but safe to add)
-            // Actually, in the main flow, JSON is updated FIRST with all aliases, then this function is called.
-            // So we just need to ensure we save the 'masterList' back correctly.
-
-            const finalJson = {
-                metadata: {
-                    domain: domainSlug.replace(/-/g, '.'),
-                    updated_at: new Date().toISOString(),
-                    count: masterList.length,
-                    secure: true
-                },
-                results: masterList
-            };
-
-            await writeFile(jsonFile, JSON.stringify(finalJson, null, 2));
+            await writeTrackingEntries(jsonFile, masterList, { vault: basename(vault.path) });
         }
 
-        // UPDATE TOON (Append)
+        // UPDATE TOON (Append) - which aliases got a password, not the password
         if (existsSync(toonFile)) {
-            // Check if we already appended this specific block to avoid dupes in TOON? 
-            // TOON is a log format, so appending is generally fine.
-            const newBlock = `\n\ncredentials_update[${new Date().toISOString()}]:\n` +
-                credentials.map(c => `  ${c.email} : ${c.password}`).join('\n');
+            const newBlock = `\n\ncredentials_update[${new Date().toISOString()}][${credentials.length}]{alias,profile}:\n` +
+                credentials.map(c => `  ${c.email},${toonCell(c.profile)}`).join('\n');
 
-            await writeFile(toonFile, newBlock, { flag: 'a' });
+            await appendFileAtomic(toonFile, newBlock);
         }
 
-        console.log(`✅ Passwords generated and files updated successfully!`);
+        console.log(`✅ ${credentials.length} passwords stored in ${vault.path} (show them with "reveal" or "export")`);
+        return true;
     } catch (e) {
         console.error(`❌ Password update failed: ${e.message}`);
+        return false;
     }
 }
 
 // ============================================================================
-// CLOUDFLARE API CLIENT
+// PASSWORD VAULT
 // ============================================================================
 
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Asked once per run and reused for every vault this run opens
+let vaultPassphrase = null;
+
+/**
+ * Vault file of a domain (next to its tracking files)
+ * @param {string} [domain] - Domain (default: the configured one)
+ * @returns {string} e.g. example-com.vault.json
+ */
+function getVaultPath(domain = CONFIG.emailDomain) {
+    return getDomainFile(domain, 'vault.json');
 }
 
-async function createEmailRoutingRule(aliasEmail, destinationEmail, retryCount = 0) {
-    const url = `https://api.cloudflare.com/client/v4/zones/${CONFIG.zoneId}/email/routing/rules`;
+/**
+ * Returns the vault passphrase: VAULT_PASSPHRASE, an earlier answer, or a
+ * hidden prompt (asked twice when the vault is about to be created)
+ * @param {string} vaultFile - Vault the passphrase is for
+ * @param {object|null} [rl] - Readline interface (interactive menu); one is opened otherwise
+ * @returns {Promise<string>} Passphrase
+ * @throws {Error} Without a terminal and VAULT_PASSPHRASE, or when the two entries differ
+ */
+async function getVaultPassphrase(vaultFile, rl = null) {
+    if (vaultPassphrase) return vaultPassphrase;
+    if (process.env.VAULT_PASSPHRASE) {
+        vaultPassphrase = process.env.VAULT_PASSPHRASE;
+        return vaultPassphrase;
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error(`${vaultFile} needs a passphrase: set VAULT_PASSPHRASE or run in a terminal.`);
+    }
+
+    const prompt = rl || createReadline();
+    try {
+        if (existsSync(vaultFile)) {
+            vaultPassphrase = await questionHidden(prompt, `🔑 Passphrase for ${vaultFile}: `);
+            return vaultPassphrase;
+        }
 
-    const payload = {
-        matchers: [
-            {
-                type: 'literal',
-                field: 'to',
-                value: aliasEmail
-            }
-        ],
-        actions: [
-            {
-                type: 'forward',
-                value: [destinationEmail]
-            }
-        ],
-        enabled: true,
-        name: `Auto-generated: ${aliasEmail}`
-    };
+        console.log(`\n🔐 Creating password vault ${vaultFile}. The passphrase cannot be recovered - keep it safe.`);
+        const passphrase = await questionHidden(prompt, `🔑 New passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters): `);
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Vault passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        if (await questionHidden(prompt, '🔑 Repeat passphrase: ') !== passphrase) {
+            throw new Error('Passphrases do not match.');
+        }
+        vaultPassphrase = passphrase;
+        return vaultPassphrase;
+    } finally {
+        if (!rl) prompt.close();
+    }
+}
 
+/**
+ * Opens (or starts) a vault with the run's passphrase
+ * @param {string} [vaultFile] - Vault path (default: the configured domain's)
+ * @param {object|null} [rl] - Readline interface for the prompt
+ * @returns {Promise<object>} Vault (see openVault)
+ */
+async function unlockVault(vaultFile = getVaultPath(), rl = null) {
     try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${CONFIG.apiToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
+        return await openVault(vaultFile, await getVaultPassphrase(vaultFile, rl));
+    } catch (error) {
+        // A wrong answer should not stick for the rest of the run
+        vaultPassphrase = null;
+        throw error;
+    }
+}
 
-        const data = await response.json();
+/**
+ * Tracking entries of the configured domain by lowercased address
+ */
+async function readTrackedAliasMap() {
+    const entries = await readTrackingEntries(getDomainFile(CONFIG.emailDomain, 'json'));
+    return new Map(entries.filter(e => e.alias).map(e => [e.alias.toLowerCase(), e]));
+}
 
-        if (response.status === 429) {
-            const errorMsg = data.errors?.[0]?.message || 'Rate limited';
-            if (retryCount >= CONFIG.maxRetries) {
-                throw new Error(`Rate limited after ${CONFIG.maxRetries} retries: ${errorMsg}`);
-            }
-            const retryDelay = CONFIG.baseRetryDelayMs * Math.pow(2, retryCount);
-            console.warn(`⚠️  Cloudflare says: "${errorMsg}". Retrying in ${retryDelay}ms... (attempt ${retryCount + 1}/${CONFIG.maxRetries})`);
-            await delay(retryDelay);
-            return createEmailRoutingRule(aliasEmail, destinationEmail, retryCount + 1);
-        }
+/**
+ * Prints stored passwords of the selected aliases
+ * @param {object} criteria - Selection, see createAliasFilter() (matched against the tracking entries)
+ * @returns {Promise<Array>} Revealed credentials
+ */
+async function runRevealFlow(criteria) {
+    const vaultFile = getVaultPath();
+    if (!existsSync(vaultFile)) {
+        throw new Error(`No password vault for ${CONFIG.emailDomain} (${vaultFile})`);
+    }
 
-        if (response.status >= 500) {
-            const errorMsg = data.errors?.[0]?.message || `HTTP ${response.status}`;
-            if (retryCount >= CONFIG.maxRetries) {
-                throw new Error(`Server error after ${CONFIG.maxRetries} retries: ${errorMsg}`);
-            }
-            const retryDelay = CONFIG.baseRetryDelayMs * Math.pow(2, retryCount);
-            console.warn(`⚠️  Server error (${response.status}). Retrying in ${retryDelay}ms... (attempt ${retryCount + 1}/${CONFIG.maxRetries})`);
-            await delay(retryDelay);
-            return createEmailRoutingRule(aliasEmail, destinationEmail, retryCount + 1);
-        }
+    const vault = await unlockVault(vaultFile);
+    const tracked = await readTrackedAliasMap();
+    const filter = createAliasFilter(criteria);
+    const selected = vault.entries()
+        .filter(c => filter({ ...tracked.get(c.email.toLowerCase()), alias: c.email }));
 
-        if (!response.ok) {
-            const errorMsg = data.errors?.[0]?.message || `HTTP ${response.status}`;
-            throw new Error(`Cloudflare API Error: ${errorMsg}`);
-        }
+    if (selected.length === 0) {
+        console.log(`ℹ️  No passwords in ${vaultFile} match the selection.\n`);
+        return selected;
+    }
 
-        if (!data.success || !data.result?.id) {
-            throw new Error('Invalid API response structure');
-        }
+    console.log(`\n🔓 ${selected.length} password(s) from ${vaultFile}:\n`);
+    selected.forEach(c => console.log(`   ${c.email} : ${c.password}`));
+    console.log('');
+    return selected;
+}
 
-        return {
-            success: true,
-            ruleId: data.result.id,
-            priority: data.result.priority
-        };
+/** Display names of the export formats */
+const EXPORT_FORMAT_NAMES = {
+    txt: 'alias:password lines',
+    bitwarden: 'Bitwarden JSON',
+    keepass: 'KeePass/KeePassXC CSV',
+    '1password': '1Password CSV',
+    csv: 'CSV'
+};
 
-    } catch (error) {
-        if (retryCount < CONFIG.maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
-            const retryDelay = CONFIG.baseRetryDelayMs * Math.pow(2, retryCount);
-            console.warn(`⚠️  Network error: ${error.message}. Retrying in ${retryDelay}ms... (attempt ${retryCount + 1}/${CONFIG.maxRetries})`);
-            await delay(retryDelay);
-            return createEmailRoutingRule(aliasEmail, destinationEmail, retryCount + 1);
+/**
+ * Bundle name without its emoji, used as the title of unlabelled aliases
+ */
+function bundleTitle(key) {
+    const name = WORD_BUNDLES[key]?.name.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+    return name || key;
+}
+
+/**
+ * Writes stored passwords for a password manager import, or as `alias:password → destination` lines
+ * @param {string|null} [outputFile] - Target file; stdout when omitted
+ * @param {object} [options]
+ * @param {string} [options.format='txt'] - One of CREDENTIAL_EXPORT_FORMATS
+ * @param {object} [options.criteria] - Selection, see createAliasFilter() (every password when empty)
+ * @returns {Promise<number>} Number of exported passwords
+ * @throws {Error} When the target file already exists
+ */
+async function runPasswordExport(outputFile = null, { format = 'txt', criteria = {} } = {}) {
+    const vaultFile = getVaultPath();
+    if (!existsSync(vaultFile)) {
+        throw new Error(`No password vault for ${CONFIG.emailDomain} (${vaultFile})`);
+    }
+    if (outputFile && existsSync(outputFile)) {
+        throw new Error(`${outputFile} already exists - choose another --output`);
+    }
+
+    const vault = await unlockVault(vaultFile);
+    const tracked = await readTrackedAliasMap();
+    const filter = createAliasFilter(criteria);
+    const credentials = vault.entries()
+        .filter(c => filter({ ...tracked.get(c.email.toLowerCase()), alias: c.email }));
+    const records = buildCredentialRecords(credentials, tracked, { bundleName: bundleTitle });
+    const text = formatCredentialExport(records, format, { domain: CONFIG.emailDomain });
+
+    if (!outputFile) {
+        process.stdout.write(text);
+        return records.length;
+    }
+
+    await writeFile(outputFile, text, { encoding: 'utf-8', mode: 0o600 });
+    console.log(`\n🔓 Exported ${records.length} passwords to ${outputFile} (${EXPORT_FORMAT_NAMES[format]}) - it is plaintext, delete it once imported.\n`);
+    return records.length;
+}
+
+/**
+ * Finds plaintext passwords left in the domain's files by older versions:
+ * <domain>.json/.txt, `credentials_update` blocks in <domain>.toon and trash archives
+ * @returns {Promise<object>} { credentials: Map email → password, files: [{ file, count }] }
+ */
+async function findPlaintextPasswords() {
+    const credentials = new Map();
+    const files = [];
+    const collect = (file, found) => {
+        if (found.length === 0) return;
+        found.forEach(([email, password]) => credentials.set(email, password));
+        files.push({ file, count: found.length });
+    };
+
+    // Oldest first, so the current files win
+    const toonFile = getDomainFile(CONFIG.emailDomain, 'toon');
+    if (existsSync(toonFile)) {
+        collect(toonFile, [...scrubToonCredentials(await readFile(toonFile, 'utf-8')).credentials]);
+    }
+
+    for (const { path } of [...await listTrashArchives(CONFIG.emailDomain)].reverse()) {
+        const archive = await readTrashArchive(path);
+        collect(path, archive.items.filter(item => item.entry?.password).map(item => [item.address, item.entry.password]));
+    }
+
+    const txtFile = getDomainFile(CONFIG.emailDomain, 'txt');
+    if (existsSync(txtFile)) {
+        const lines = (await readFile(txtFile, 'utf-8')).split('\n').map(parseTxtLine).filter(Boolean);
+        collect(txtFile, lines.filter(line => line.password).map(line => [line.email, line.password]));
+    }
+
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    const entries = await readTrackingEntries(jsonFile);
+    collect(jsonFile, entries.filter(e => e.alias && e.password).map(e => [e.alias, e.password]));
+
+    return { credentials, files };
+}
+
+/**
+ * Removes plaintext passwords from the files found by findPlaintextPasswords()
+ * @param {Array} files - { file, count }
+ */
+async function scrubPlaintextPasswords(files) {
+    for (const { file } of files) {
+        if (file === getDomainFile(CONFIG.emailDomain, 'json')) {
+            const entries = await readTrackingEntries(file);
+            const storedAt = new Date().toISOString();
+            await writeTrackingEntries(file, entries.map(({ password, ...entry }) => password
+                ? { ...entry, passwordStoredAt: storedAt }
+                : entry));
+        } else if (file === getDomainFile(CONFIG.emailDomain, 'txt')) {
+            const lines = (await readFile(file, 'utf-8')).split('\n').map(line => {
+                const parsed = parseTxtLine(line);
+                return parsed ? formatTxtLine({ ...parsed, password: '' }) : line;
+            });
+            await writeFileAtomic(file, lines.join('\n'));
+        } else if (file === getDomainFile(CONFIG.emailDomain, 'toon')) {
+            await writeFileAtomic(file, scrubToonCredentials(await readFile(file, 'utf-8')).text);
+        } else {
+            const archive = await readTrashArchive(file);
+            await writeTrashArchive(file, {
+                ...archive,
+                items: archive.items.map(item => {
+                    if (!item.entry?.password) return item;
+                    const { password, ...entry } = item.entry;
+                    return { ...item, entry };
+                })
+            });
         }
+        // The backup still holds the passwords
+        await unlink(`${file}.bak`).catch(() => {});
+        console.log(`   🧽 ${file}`);
+    }
+}
 
-        throw error;
+/**
+ * Shows the vault and any plaintext passwords still lying around
+ */
+async function runVaultStatus() {
+    const vaultFile = getVaultPath();
+
+    if (existsSync(vaultFile)) {
+        const header = await readVaultHeader(vaultFile);
+        console.log(`\n🔐 ${vaultFile}: ${header.count} passwords (scrypt + AES-256-GCM), updated ${header.updatedAt}`);
+    } else {
+        console.log(`\n🔐 No password vault for ${CONFIG.emailDomain} yet (${vaultFile} is created with the first passwords)`);
+    }
+
+    const { credentials, files } = await findPlaintextPasswords();
+    if (files.length === 0) {
+        console.log('✅ No plaintext passwords found\n');
+        return;
+    }
+
+    console.log(`⚠️  ${credentials.size} plaintext passwords found in:`);
+    files.forEach(({ file, count }) => console.log(`   • ${file} (${count})`));
+    console.log('\n   Move them into the vault with: vault migrate\n');
+}
+
+/**
+ * Moves plaintext passwords into the vault, then removes them from the files.
+ * Passwords the vault already holds are kept as they are.
+ * @param {object} [options]
+ * @param {object} [options.flags] - CLI flags (--yes)
+ * @returns {Promise<object>} { stored, kept, files }
+ */
+async function runVaultMigration({ flags = {} } = {}) {
+    const { credentials, files } = await findPlaintextPasswords();
+    if (files.length === 0) {
+        console.log(`\n✅ No plaintext passwords found for ${CONFIG.emailDomain}.\n`);
+        return { stored: 0, kept: 0, files: 0 };
+    }
+
+    console.log(`\n🔐 ${credentials.size} plaintext passwords found in:`);
+    files.forEach(({ file, count }) => console.log(`   • ${file} (${count})`));
+    console.log('');
+
+    if (CONFIG.dryRun) {
+        console.log('🔍 DRY RUN - nothing was encrypted or removed.\n');
+        return { stored: 0, kept: 0, files: 0 };
+    }
+
+    await confirmOrAbort(flags, `Move ${credentials.size} passwords into ${getVaultPath()} and remove them from ${files.length} file(s)?`);
+
+    const vault = await unlockVault();
+    let stored = 0;
+    let kept = 0;
+    for (const [email, password] of credentials) {
+        if (vault.has(email)) {
+            if (vault.get(email) !== password) kept++;
+            continue;
+        }
+        vault.set(email, password);
+        stored++;
     }
+    // The plaintext copies are only removed once the vault is on disk
+    await vault.save();
+    console.log(`💾 ${stored} passwords stored in ${vault.path}`);
+    if (kept > 0) console.log(`   (${kept} differed from the vault, which was kept as the newer version)`);
+
+    console.log('🧽 Removing plaintext passwords:');
+    await scrubPlaintextPasswords(files);
+    console.log('');
+    return { stored, kept, files: files.length };
 }
 
 // ============================================================================
 // UTILITIES: CONVERTERS & TESTS
 // ============================================================================
 
-async function runJsonToTxtConverter(rl) {
+async function runJsonToTxtConverter(rl, jsonPath = null) {
     console.log('\n📝 JSON to TXT Converter\n');
-    let jsonFile = await question(rl, '📂 Enter path to JSON file (or press Enter for current domain): ');
+    let jsonFile = jsonPath ?? await question(rl, '📂 Enter path to JSON file (or press Enter for current domain): ');
 
     if (!jsonFile.trim()) {
-        const domainSlug = CONFIG.emailDomain.replace(/\./g, '-');
-        jsonFile = `${domainSlug}.json`;
+        jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
     }
 
     if (!existsSync(jsonFile)) {
@@ -711,15 +1039,11 @@ async function runJsonToTxtConverter(rl) {
     }
 
     try {
-        const content = await readFile(jsonFile, 'utf-8');
-        const aliases = JSON.parse(content);
-
-        let list = [];
-        if (Array.isArray(aliases)) list = aliases;
-        else if (aliases.results) list = aliases.results;
-        else if (aliases.aliases) list = aliases.aliases;
+        const list = await readTrackingEntries(jsonFile);
 
-        const emails = list.filter(a => a.status === 'success' || a.email).map(a => a.alias || a.email);
+        // Entries without a status come from files older than the status field
+        const emails = list.filter(a => a.status === 'success' || a.status === undefined)
+            .map(a => formatTxtLine({ email: a.alias, destinations: destinationList(a.destination) }));
 
         if (emails.length === 0) {
             console.error('❌ No usable aliases found in file.');
@@ -727,7 +1051,7 @@ async function runJsonToTxtConverter(rl) {
         }
 
         const txtFile = jsonFile.replace('.json', '.txt');
-        await writeFile(txtFile, emails.join('\n') + '\n', 'utf-8');
+        await writeFileAtomic(txtFile, emails.join('\n') + '\n');
         console.log(`✅ Converted ${emails.length} emails to: ${txtFile}`);
 
     } catch (e) {
@@ -740,16 +1064,12 @@ async function runCredentialTest() {
 
     // Test 1: Verify Token
     try {
-        const response = await fetch('https://api.cloudflare.com/client/v4/user/tokens/verify', {
-            headers: { 'Authorization': `Bearer ${CONFIG.apiToken}` }
-        });
-        const data = await response.json();
-        if (data.success) console.log('✅ API token is valid');
-        else {
-            console.error('❌ API token invalid:', data.errors?.[0]?.message);
-            return;
-        }
-    } catch (e) { console.error(`❌ Token check failed: ${e.message}`); return; }
+        await cf.verifyToken();
+        console.log('✅ API token is valid');
+    } catch (e) {
+        console.error(`❌ API token invalid: ${e.message}`);
+        return;
+    }
 
     // Test 2: Zone ID
     await initializeConfig();
@@ -761,164 +1081,1673 @@ async function runCredentialTest() {
 
     // Test 3: Email Routing Permissions
     try {
-        const url = `https://api.cloudflare.com/client/v4/zones/${CONFIG.zoneId}/email/routing/rules`;
-        const response = await fetch(url, {
-            headers: { 'Authorization': `Bearer ${CONFIG.apiToken}` }
-        });
-        const data = await response.json();
-        if (data.success) console.log('✅ Email Routing permissions confirmed');
-        else console.error('❌ Email Routing access failed:', data.errors?.[0]?.message);
-    } catch (e) { console.error(`❌ Permission check failed: ${e.message}`); }
+        let ruleCount = 0;
+        for await (const rule of cf.iterateEmailRoutingRules(CONFIG.zoneId)) ruleCount++;
+        console.log(`✅ Email Routing permissions confirmed (${ruleCount} rules in zone)`);
+    } catch (e) { console.error(`❌ Email Routing access failed: ${e.message}`); }
+
+    // Test 4: Email Routing enabled and DNS in place
+    try {
+        const { settings, dns, ready } = await fetchRoutingStatus();
+        if (ready) console.log(`✅ Email Routing enabled, DNS records in place (status: ${settings.status || 'ready'})`);
+        else {
+            const problems = dns.errors.length > 0 ? `, ${dns.errors.length} DNS problem(s)` : '';
+            console.error(`❌ Email Routing ${settings.enabled ? 'enabled' : 'disabled'} (status: ${settings.status || 'unknown'}${problems}) - run "status" for details`);
+        }
+    } catch (e) { console.error(`❌ Email Routing status unavailable: ${e.message}`); }
 
     console.log('\n✨ Credential Test Complete\n');
 }
 
-// ============================================================================
-// MAIN ORCHESTRATION & MENU
-// ============================================================================
+// ============================================================================
+// SYNC / RECONCILE
+// ============================================================================
+
+/**
+ * Prints up to `limit` lines of a sync report category
+ */
+function printSyncCategory(title, items, formatItem, limit = 10) {
+    console.log(`${title}: ${items.length}`);
+    items.slice(0, limit).forEach(item => console.log(`   • ${formatItem(item)}`));
+    if (items.length > limit) console.log(`   ... and ${items.length - limit} more`);
+}
+
+/**
+ * Compares <domain>.json with the zone's routing rules and optionally repairs the file.
+ * Remote rules are the source of truth: importing copies them into the file,
+ * pruning drops local entries whose rule no longer exists.
+ * @param {object|null} rl - Readline interface for prompts (null in CLI mode)
+ * @param {object} [options]
+ * @param {boolean} [options.importRemote] - Import remote-only rules and refresh changed entries
+ * @param {boolean} [options.prune] - Remove local-only entries
+ * @returns {Promise<object|null>} Reconciliation report, or null when it could not run
+ */
+async function runSyncFlow(rl, options = {}) {
+    console.log('\n🔄 Sync: local tracking file ↔ Cloudflare\n');
+
+    if (!CONFIG.zoneId) {
+        console.error('❌ Could not resolve Zone ID. Check permissions.');
+        return null;
+    }
+
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    const txtFile = getDomainFile(CONFIG.emailDomain, 'txt');
+
+    const entries = await readTrackingEntries(jsonFile);
+    console.log(`📂 Local: ${entries.length} entries in ${jsonFile}`);
+    const rules = await cf.listEmailRoutingRules(CONFIG.zoneId);
+    console.log(`☁️  Remote: ${rules.length} routing rules in zone\n`);
+
+    // Round-robin runs record a destination per alias; there is no shared default to assume
+    const report = reconcileAliases(entries, rules, {
+        domain: CONFIG.emailDomain,
+        defaultDestination: CONFIG.destinationStrategy === 'all' ? parseDestinationList(CONFIG.destinationEmail) : null
+    });
+
+    console.log(`✅ In sync: ${report.inSync.length}`);
+    printSyncCategory('☁️  Remote only', report.remoteOnly, r => `${r.address} (ID: ${r.rule.id})`);
+    printSyncCategory('📂 Local only', report.localOnly, e => `${e.alias} (ID: ${e.ruleId || 'none'})`);
+    printSyncCategory('🔀 Destination changed', report.destinationChanged,
+        d => `${d.entry.alias}: ${d.local.join(', ')} → ${d.remote.join(', ')}`);
+    printSyncCategory('⏸️  Disabled', report.disabled, r => r.address);
+    if (report.relinked.length > 0) {
+        printSyncCategory('🔗 Rule ID changed', report.relinked, r => `${r.entry.alias}: ${r.entry.ruleId || 'none'} → ${r.rule.id}`);
+    }
+    console.log('');
+
+    const canImport = report.remoteOnly.length + report.destinationChanged.length + report.relinked.length > 0;
+    const canPrune = report.localOnly.length > 0;
+
+    let importRemote = Boolean(options.importRemote) && canImport;
+    let prune = Boolean(options.prune) && canPrune;
+
+    if (rl) {
+        if (canImport && !importRemote) {
+            const answer = await question(rl, `👉 Import ${report.remoteOnly.length} remote-only rules and refresh changed entries? (y/N): `);
+            importRemote = /^y(es)?$/i.test(answer.trim());
+        }
+        if (canPrune && !prune) {
+            const answer = await question(rl, `👉 Prune ${report.localOnly.length} stale local entries? (y/N): `);
+            prune = /^y(es)?$/i.test(answer.trim());
+        }
+    }
+
+    if (!importRemote && !prune) {
+        if (canImport || canPrune) console.log('ℹ️  Report only - tracking file left unchanged.\n');
+        else console.log('🎉 Everything is in sync.\n');
+        return report;
+    }
+
+    let updated = entries;
+    let imported = [];
+
+    if (importRemote) {
+        const changes = new Map();
+        report.relinked.forEach(({ entry, rule }) => changes.set(entry, { ruleId: rule.id }));
+        report.destinationChanged.forEach(({ entry, remote }) => {
+            changes.set(entry, { ...changes.get(entry), destination: formatDestination(remote) });
+        });
+        updated = updated.map(entry => changes.has(entry) ? { ...entry, ...changes.get(entry) } : entry);
+
+        imported = report.remoteOnly.map(({ rule, address }) => {
+            return {
+                alias: address,
+                ruleId: rule.id,
+                createdAt: new Date().toISOString(),
+                status: 'success',
+                bundle: null,
+                destination: formatDestination(getForwardDestinations(rule)),
+                // Not created by this tool: cleanup must not treat it as generated
+                imported: true
+            };
+        });
+        updated = [...updated, ...imported];
+        console.log(`📥 Imported ${imported.length} rules, refreshed ${changes.size} entries`);
+    }
+
+    if (prune) {
+        const stale = new Set(report.localOnly);
+        updated = updated.filter(entry => !stale.has(entry));
+        console.log(`✂️  Pruned ${stale.size} stale entries`);
+    }
+
+    await writeTrackingEntries(jsonFile, updated);
+    await updateTxtFile(txtFile, {
+        removed: prune ? report.localOnly.map(e => e.alias) : [],
+        added: imported
+    });
+    console.log(`💾 Updated ${jsonFile} and ${txtFile}\n`);
+
+    return report;
+}
+
+// ============================================================================
+// DESTINATION ADDRESSES
+// ============================================================================
+
+/**
+ * Lists the account's destination addresses
+ * @returns {Promise<Array>} Addresses
+ * @throws {Error} When the account ID cannot be determined or the API refuses
+ */
+async function fetchDestinationAddresses() {
+    return cf.listDestinationAddresses(await resolveAccountId());
+}
+
+/**
+ * Prints destination addresses with their verification status
+ */
+function printDestinationAddresses(addresses) {
+    if (addresses.length === 0) {
+        console.log('   (no destination addresses yet)');
+        return;
+    }
+    addresses.forEach(a => {
+        const status = a.verified
+            ? `✅ verified ${String(a.verified).split('T')[0]}`
+            : '⏳ pending verification';
+        console.log(`   ${a.email.padEnd(40)} ${status}`);
+    });
+}
+
+/**
+ * Adds a destination address; Cloudflare sends it a verification email
+ * @param {string} email - Address to add
+ * @throws {Error} When the account ID cannot be determined or the API refuses
+ */
+async function addDestinationAddress(email) {
+    const [address] = parseDestinationList(email);
+    if (!address) throw new Error('Missing email address');
+
+    const created = await cf.createDestinationAddress(await resolveAccountId(), address);
+    console.log(`📨 Added ${created?.email || address} - Cloudflare sent a verification email.`);
+    console.log('   Click the link in that email before creating aliases that forward there.');
+}
+
+/**
+ * Lists destination addresses and (interactively) offers to add one
+ * @param {object|null} rl - Readline interface (null in CLI mode)
+ * @param {object} [options]
+ * @param {string} [options.add] - Address to add before listing
+ */
+async function runDestinationsFlow(rl, options = {}) {
+    if (options.add) await addDestinationAddress(options.add);
+
+    const addresses = await fetchDestinationAddresses();
+    console.log(`\n📬 Destination addresses (${addresses.length}):\n`);
+    printDestinationAddresses(addresses);
+    console.log('');
+
+    if (rl) {
+        const answer = await question(rl, '➕ Add a destination address (Enter to skip): ');
+        if (answer.trim()) {
+            await addDestinationAddress(answer.trim());
+        }
+    }
+}
+
+/**
+ * Makes sure every destination is verified before rules forward to it.
+ * Unverified destinations make Cloudflare drop the mail silently, so the change
+ * is refused unless --allow-unverified is set or the user confirms interactively.
+ * @param {string[]} emails - Destinations that will be used
+ * @param {object|null} rl - Readline interface (null in CLI mode)
+ * @returns {Promise<boolean>} True to continue, false when the user declined
+ * @throws {Error} In CLI mode when unverified destinations would be used
+ */
+async function confirmDestinationsVerified(emails, rl) {
+    let addresses;
+    try {
+        addresses = await fetchDestinationAddresses();
+    } catch (e) {
+        console.warn(`⚠️  Could not check destination verification: ${e.message}`);
+        console.warn('   The token needs "Email Routing Addresses: Read" on the account for this check.\n');
+        return true;
+    }
+
+    const { unverified, missing } = checkDestinationAddresses(emails, addresses);
+    if (unverified.length === 0 && missing.length === 0) {
+        console.log(`✅ Destination${emails.length === 1 ? '' : 's'} verified: ${emails.join(', ')}\n`);
+        return true;
+    }
+
+    console.warn('═══════════════════════════════════════════════════════');
+    console.warn('🚨 UNVERIFIED DESTINATIONS - mail to these aliases will NOT be delivered');
+    console.warn('═══════════════════════════════════════════════════════');
+    unverified.forEach(email => console.warn(`   ⏳ ${email} (verification email not confirmed yet)`));
+    missing.forEach(email => console.warn(`   ❌ ${email} (not a destination address of this account)`));
+    console.warn('═══════════════════════════════════════════════════════\n');
+
+    if (rl && missing.length > 0 && !CONFIG.dryRun) {
+        const answer = await question(rl, `📨 Add ${missing.length} missing address(es) and send verification emails? (y/N): `);
+        if (/^y(es)?$/i.test(answer.trim())) {
+            for (const email of missing) {
+                await addDestinationAddress(email);
+            }
+        }
+    }
+
+    if (CONFIG.dryRun) return true;
+
+    if (CONFIG.allowUnverified) {
+        console.warn('⚠️  Continuing anyway (--allow-unverified).\n');
+        return true;
+    }
+
+    if (!rl) {
+        throw new Error('Refusing to forward to unverified destinations. Verify them first or re-run with --allow-unverified.');
+    }
+
+    const answer = await question(rl, '👉 Continue anyway? (y/N): ');
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+// ============================================================================
+// ROUTING SETTINGS & CATCH-ALL
+// ============================================================================
+
+/**
+ * Reads the zone's Email Routing settings and DNS check
+ * @returns {Promise<{ settings: object, dns: { records: Array, errors: Array }, ready: boolean }>}
+ */
+async function fetchRoutingStatus() {
+    const settings = await cf.getEmailRoutingSettings(CONFIG.zoneId);
+    const dns = await cf.getEmailRoutingDns(CONFIG.zoneId);
+    const ready = Boolean(settings.enabled) && dns.errors.length === 0
+        && (!settings.status || settings.status === 'ready');
+
+    return { settings, dns, ready };
+}
+
+/**
+ * Prints whether Email Routing is enabled and its DNS records are in place
+ * @returns {Promise<boolean>} True when routing is enabled and DNS is correct
+ */
+async function runRoutingStatus() {
+    console.log(`\n📡 Email Routing status for ${CONFIG.emailDomain}\n`);
+    const { settings, dns, ready } = await fetchRoutingStatus();
+
+    console.log(`   Enabled: ${settings.enabled ? '✅ yes' : '❌ no'}`);
+    console.log(`   Status:  ${settings.status || 'unknown'}`);
+    if (settings.modified) console.log(`   Changed: ${settings.modified}`);
+
+    console.log(`\n   Required DNS records (${dns.records.length}):`);
+    dns.records.forEach(r => {
+        const priority = r.priority !== undefined ? ` (priority ${r.priority})` : '';
+        console.log(`   ${String(r.type).padEnd(4)} ${r.name}  ${r.content}${priority}`);
+    });
+
+    if (dns.errors.length > 0) {
+        console.log(`\n   ⚠️  DNS problems (${dns.errors.length}):`);
+        dns.errors.forEach(e => {
+            const missing = e.missing ? `: ${e.missing.type} ${e.missing.name || ''} ${e.missing.content || ''}`.trimEnd() : '';
+            console.log(`   ❌ ${e.code || 'error'}${missing}`);
+        });
+    }
+
+    console.log('');
+    if (ready) {
+        console.log('✅ Email Routing is ready.\n');
+    } else {
+        console.log('⚠️  Email Routing is not fully set up - aliases will not receive mail.');
+        console.log('   Enable it and add the DNS records under Email → Email Routing in the Cloudflare dashboard.\n');
+    }
+    return ready;
+}
+
+/**
+ * Prints the zone's catch-all rule
+ * @returns {Promise<object>} The rule
+ */
+async function showCatchAllRule() {
+    const rule = await cf.getCatchAllRule(CONFIG.zoneId);
+    console.log(`\n🪣 Catch-all rule for ${CONFIG.emailDomain}`);
+    console.log(`   State:  ${rule.enabled ? '✅ enabled' : '⏸️  disabled'}`);
+    console.log(`   Action: ${describeRuleAction(rule)}\n`);
+    return rule;
+}
+
+/**
+ * Asks which catch-all change to make
+ * @param {object} rl - Readline interface
+ * @param {object} rule - Current catch-all rule
+ * @returns {Promise<object|null>} { type, value, enabled } or null to keep the rule
+ */
+async function promptCatchAllChange(rl, rule) {
+    console.log('1. 📨 Forward to address(es)');
+    console.log('2. 🗑️  Drop');
+    console.log('3. ⚙️  Send to a Worker');
+    console.log(`4. ${rule.enabled ? '⏸️  Disable' : '▶️  Enable'}`);
+    const choice = (await question(rl, '\n👉 Change the catch-all (1-4, Enter to keep): ')).trim();
+
+    if (choice === '1') {
+        const answer = await question(rl, '📨 Destination address(es), comma-separated: ');
+        return { type: 'forward', value: parseDestinationList(answer), enabled: true };
+    }
+    if (choice === '2') return { type: 'drop', enabled: true };
+    if (choice === '3') {
+        const answer = await question(rl, '⚙️  Worker name: ');
+        return { type: 'worker', value: [answer.trim()].filter(Boolean), enabled: true };
+    }
+    if (choice === '4') {
+        const current = (rule.actions || [])[0] || { type: 'drop' };
+        return { type: current.type, value: current.value || [], enabled: !rule.enabled };
+    }
+    return null;
+}
+
+/**
+ * Shows the catch-all rule and applies a change (prompted for when rl is given)
+ * @param {object|null} rl - Readline interface (null in CLI mode)
+ * @param {object|null} [change] - { type, value, enabled } to apply (CLI mode)
+ * @returns {Promise<object>} The catch-all rule after the change
+ */
+async function runCatchAllFlow(rl, change = null) {
+    const rule = await showCatchAllRule();
+
+    if (!change && rl) change = await promptCatchAllChange(rl, rule);
+    if (!change) return rule;
+
+    if (change.type === 'forward' && change.enabled !== false) {
+        if (!await confirmDestinationsVerified(change.value, rl)) {
+            console.log('❌ Catch-all left unchanged.\n');
+            return rule;
+        }
+    }
+
+    const summary = `${change.enabled === false ? 'disabled, ' : ''}${describeRuleAction({ actions: [{ type: change.type, value: change.value }] })}`;
+    if (CONFIG.dryRun) {
+        console.log(`🔍 DRY RUN - catch-all would become: ${summary}\n`);
+        return rule;
+    }
+
+    const updated = await cf.updateCatchAllRule(CONFIG.zoneId, change);
+    console.log(`✅ Catch-all updated: ${updated.enabled === false ? 'disabled, ' : ''}${describeRuleAction(updated)}\n`);
+    return updated;
+}
+
+// ============================================================================
+// PAUSE / RESUME
+// ============================================================================
+
+/**
+ * Appends an enabled/disabled change log to <domain>.toon (if it exists)
+ * @param {string} toonFile - Path to <domain>.toon
+ * @param {Array} entries - Tracking entries after the change
+ */
+async function appendToonStatusUpdate(toonFile, entries) {
+    if (!existsSync(toonFile) || entries.length === 0) return;
+
+    const block = `\n\nstatus_update[${new Date().toISOString()}][${entries.length}]{alias,rule_id,enabled}:\n` +
+        entries.map(e => `  ${e.alias},${e.ruleId},${e.enabled !== false}`).join('\n');
+    await appendFileAtomic(toonFile, block);
+}
+
+/**
+ * Pauses or resumes tracked aliases by toggling their rule's `enabled` flag.
+ * Address and rule ID stay the same, so a paused alias can come back later.
+ * @param {boolean} enabled - false = pause, true = resume
+ * @param {object} criteria - Selection, see createAliasFilter()
+ * @param {object} [options]
+ * @param {object} [options.flags] - CLI flags (--yes for the confirmation)
+ * @returns {Promise<object|null>} { changed, failed } or null when nothing matched
+ */
+async function runToggleFlow(enabled, criteria, { flags = {} } = {}) {
+    const verb = enabled ? 'Resume' : 'Pause';
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    const toonFile = getDomainFile(CONFIG.emailDomain, 'toon');
+
+    const entries = await readTrackingEntries(jsonFile);
+    const selected = entries
+        .filter(e => e.status === 'success' && e.ruleId)
+        .filter(createAliasFilter(criteria));
+
+    if (selected.length === 0) {
+        console.log(`ℹ️  No tracked aliases in ${jsonFile} match the selection.\n`);
+        return null;
+    }
+
+    // Entries without the field were created enabled
+    const pending = selected.filter(e => (e.enabled !== false) !== enabled);
+    const unchanged = selected.length - pending.length;
+
+    console.log(`\n${enabled ? '▶️ ' : '⏸️ '} ${verb} ${pending.length} of ${selected.length} selected aliases:\n`);
+    pending.slice(0, 10).forEach(e => console.log(`   📧 ${e.alias}`));
+    if (pending.length > 10) console.log(`   ... and ${pending.length - 10} more`);
+    if (unchanged > 0) console.log(`   (${unchanged} already ${enabled ? 'active' : 'paused'})`);
+    console.log('');
+
+    if (pending.length === 0) return { changed: 0, failed: 0 };
+
+    if (CONFIG.dryRun) {
+        console.log('🔍 DRY RUN - no rules were changed.\n');
+        return { changed: 0, failed: 0 };
+    }
+
+    if (pending.length > 1) {
+        await confirmOrAbort(flags, `${verb} ${pending.length} aliases on ${CONFIG.emailDomain}?`);
+    }
+
+    const total = pending.length;
+    const outcomes = await runPool(pending, async (entry, i) => {
+        try {
+            await cf.setEmailRoutingRuleEnabled(CONFIG.zoneId, entry.ruleId, enabled);
+            console.log(`[${i + 1}/${total}] ✅ ${entry.alias}`);
+            return true;
+        } catch (error) {
+            const reason = error.status === 404 ? 'rule no longer exists (run sync)' : error.message;
+            console.error(`[${i + 1}/${total}] ❌ ${entry.alias}: ${reason}`);
+            return false;
+        }
+    }, { concurrency: CONFIG.concurrency });
+
+    const changedAt = new Date().toISOString();
+    const changed = new Set(pending.filter((_, i) => outcomes[i]));
+    const changedEntries = [];
+    const updated = entries.map(entry => {
+        if (!changed.has(entry)) return entry;
+
+        const next = { ...entry, enabled };
+        if (enabled) {
+            delete next.pausedAt;
+            next.resumedAt = changedAt;
+        } else {
+            delete next.resumedAt;
+            next.pausedAt = changedAt;
+        }
+        changedEntries.push(next);
+        return next;
+    });
+
+    if (changedEntries.length > 0) {
+        await writeTrackingEntries(jsonFile, updated);
+        await appendToonStatusUpdate(toonFile, changedEntries);
+        console.log(`\n💾 Updated ${jsonFile}`);
+    }
+
+    const failed = pending.length - changedEntries.length;
+    console.log(`${enabled ? '▶️ ' : '⏸️ '} ${enabled ? 'Resumed' : 'Paused'}: ${changedEntries.length}${failed > 0 ? `, failed: ${failed}` : ''}\n`);
+    return { changed: changedEntries.length, failed };
+}
+
+// ============================================================================
+// ZONE BACKUP
+// ============================================================================
+
+/**
+ * Writes every routing rule of the zone (and the catch-all) to a backup file
+ * @param {string} [outputFile] - Target path (default <domain>.routing-backup.<timestamp>.json)
+ * @returns {Promise<string>} Path of the backup
+ * @throws {Error} When the target file already exists
+ */
+async function runBackupExport(outputFile = null) {
+    const rules = await cf.listEmailRoutingRules(CONFIG.zoneId);
+
+    let catchAll = null;
+    try {
+        catchAll = await cf.getCatchAllRule(CONFIG.zoneId);
+    } catch (error) {
+        console.warn(`⚠️  Could not read the catch-all rule (backing up without it): ${error.message}`);
+    }
+
+    const backup = createZoneBackup({ domain: CONFIG.emailDomain, zoneId: CONFIG.zoneId, rules, catchAll });
+    const stamp = backup.exportedAt.split('.')[0].replace(/:/g, '-');
+    const file = outputFile || getDomainFile(CONFIG.emailDomain, `routing-backup.${stamp}.json`);
+
+    if (existsSync(file)) {
+        throw new Error(`${file} already exists - choose another --output`);
+    }
+
+    await writeFile(file, JSON.stringify(backup, null, 2), 'utf-8');
+    console.log(`\n💾 Backed up ${backup.rules.length} rules${backup.catchAll ? ' and the catch-all' : ''} of ${CONFIG.emailDomain} to ${file}\n`);
+    return file;
+}
+
+/**
+ * Short description of what a rule matches
+ */
+function describeRuleMatch(rule) {
+    return getRuleAddress(rule) || (rule.matchers || []).map(m => m.type).join(', ') || 'no matcher';
+}
+
+/**
+ * Rebuilds the rules of a backup in the current zone. Rules whose matchers
+ * already exist are skipped; the catch-all is only replaced on request.
+ * @param {string} file - Backup path
+ * @param {object} [options]
+ * @param {boolean} [options.catchAll=false] - Also replace the catch-all rule
+ * @param {object} [options.flags] - CLI flags (--yes)
+ * @returns {Promise<object>} { created, failed }
+ */
+async function runBackupImport(file, { catchAll = false, flags = {} } = {}) {
+    const backup = await readZoneBackup(file);
+    const remote = await cf.listEmailRoutingRules(CONFIG.zoneId);
+    const plan = planZoneBackupImport(backup, remote, { domain: CONFIG.emailDomain });
+    const applyCatchAll = catchAll && Boolean(backup.catchAll);
+
+    console.log(`\n📦 Backup of ${backup.domain} from ${backup.exportedAt}: ${backup.rules.length} rules`);
+    if (plan.rewritten) console.log(`   Addresses @${backup.domain} are created as @${CONFIG.emailDomain}`);
+    console.log(`   ➕ To create: ${plan.create.length}`);
+    plan.create.slice(0, 10).forEach(rule => {
+        console.log(`      • ${describeRuleMatch(rule)} → ${describeRuleAction(rule)}${rule.enabled === false ? ' (disabled)' : ''}`);
+    });
+    if (plan.create.length > 10) console.log(`      ... and ${plan.create.length - 10} more`);
+    console.log(`   ⏭️  Already present: ${plan.existing.length}`);
+
+    if (applyCatchAll) {
+        console.log(`   🪣 Catch-all: ${describeRuleAction(backup.catchAll)} (${backup.catchAll.enabled ? 'enabled' : 'disabled'})`);
+    } else if (catchAll) {
+        console.log('   🪣 The backup has no catch-all rule');
+    } else if (backup.catchAll) {
+        console.log('   🪣 Catch-all not imported (add --catch-all to replace it)');
+    }
+    console.log('');
+
+    if (plan.create.length === 0 && !applyCatchAll) {
+        console.log('🎉 Nothing to import.\n');
+        return { created: 0, failed: 0 };
+    }
+
+    if (CONFIG.dryRun) {
+        console.log('🔍 DRY RUN - no rules were created.\n');
+        return { created: 0, failed: 0 };
+    }
+
+    await confirmOrAbort(flags, `Create ${plan.create.length} rules${applyCatchAll ? ' and replace the catch-all' : ''} on ${CONFIG.emailDomain}?`);
+
+    const total = plan.create.length;
+    const outcomes = await runPool(plan.create, async (rule, i) => {
+        try {
+            await cf.createEmailRoutingRuleFromDefinition(CONFIG.zoneId, rule);
+            console.log(`[${i + 1}/${total}] ✅ ${describeRuleMatch(rule)}`);
+            return true;
+        } catch (error) {
+            console.error(`[${i + 1}/${total}] ❌ ${describeRuleMatch(rule)}: ${error.message}`);
+            return false;
+        }
+    }, { concurrency: CONFIG.concurrency });
+
+    const created = outcomes.filter(Boolean).length;
+    let failed = outcomes.length - created;
+
+    if (applyCatchAll) {
+        const [action = { type: 'drop' }] = backup.catchAll.actions;
+        try {
+            await cf.updateCatchAllRule(CONFIG.zoneId, {
+                type: action.type,
+                value: [].concat(action.value || []),
+                enabled: backup.catchAll.enabled,
+                name: backup.catchAll.name || undefined
+            });
+            console.log('🪣 Catch-all rule replaced');
+        } catch (error) {
+            failed++;
+            console.error(`❌ Catch-all: ${error.message}`);
+        }
+    }
+
+    console.log(`\n📦 Imported: ${created} rules${failed > 0 ? `, failed: ${failed}` : ''}`);
+    if (created > 0) console.log('   Run "sync --import" to track the new aliases in the local files.');
+    console.log('');
+    return { created, failed };
+}
+
+// ============================================================================
+// TRASH & RESTORE
+// ============================================================================
+
+/**
+ * Prints the trash archives of the domain, newest first
+ * @returns {Promise<Array>} Archives (see listTrashArchives)
+ */
+async function printTrashArchives() {
+    const archives = await listTrashArchives(CONFIG.emailDomain);
+
+    if (archives.length === 0) {
+        console.log(`\n🗑️  No trash archives for ${CONFIG.emailDomain} in ${getTrashDir()}\n`);
+        return archives;
+    }
+
+    console.log(`\n🗃️  Trash archives for ${CONFIG.emailDomain} (${getTrashDir()}):\n`);
+    archives.forEach(a => {
+        const restored = a.restored > 0 ? `, ${a.restored} restored` : '';
+        console.log(`   • ${basename(a.path)}  (${a.source}, ${a.count} rules${restored})`);
+    });
+    console.log('\n   Restore with: restore <archive|latest> <alias...> | --match <glob> | --all\n');
+    return archives;
+}
+
+/**
+ * Resolves an archive argument: a path, a file name in the trash directory, or "latest"
+ * @param {string} value - Archive argument
+ * @returns {Promise<string>} Archive path
+ */
+async function resolveTrashArchivePath(value) {
+    if (value === 'latest') {
+        const [latest] = await listTrashArchives(CONFIG.emailDomain);
+        if (!latest) throw new Error(`No trash archives for ${CONFIG.emailDomain} in ${getTrashDir()}`);
+        return latest.path;
+    }
+    if (existsSync(value)) return value;
+
+    const inTrash = join(getTrashDir(), value);
+    if (existsSync(inTrash)) return inTrash;
+    throw new Error(`Trash archive ${value} not found (run "restore" to list archives)`);
+}
+
+/**
+ * Recreates deleted aliases from a trash archive with their original
+ * address, actions, name and enabled state, and tracks them again
+ * @param {string} archivePath - Archive path
+ * @param {object} criteria - Selection, see createAliasFilter() (matched against the archived entries)
+ * @param {object} [options]
+ * @param {object} [options.flags] - CLI flags (--yes)
+ * @returns {Promise<object|null>} { restored, failed }, or null when nothing matched
+ */
+async function runRestoreFlow(archivePath, criteria, { flags = {} } = {}) {
+    const archive = await readTrashArchive(archivePath);
+    if (archive.domain.toLowerCase() !== CONFIG.emailDomain.toLowerCase()) {
+        throw new Error(`${basename(archivePath)} belongs to ${archive.domain}, not ${CONFIG.emailDomain} (use --domain ${archive.domain})`);
+    }
+
+    const filter = createAliasFilter(criteria);
+    const selected = archive.items.filter(item => filter({ ...item.entry, alias: item.address }));
+    if (selected.length === 0) {
+        console.log(`ℹ️  No aliases in ${basename(archivePath)} match the selection.\n`);
+        return null;
+    }
+
+    const remote = await listRemoteAliasRules();
+    const pending = selected.filter(item => !item.restoredAt && !remote.has(item.address.toLowerCase()));
+    const skipped = selected.length - pending.length;
+
+    console.log(`\n♻️  Restore ${pending.length} of ${selected.length} selected aliases from ${basename(archivePath)}:\n`);
+    pending.slice(0, 10).forEach(item => console.log(`   📧 ${item.address}`));
+    if (pending.length > 10) console.log(`   ... and ${pending.length - 10} more`);
+    if (skipped > 0) console.log(`   (${skipped} already restored or existing again - skipped)`);
+    console.log('');
+
+    if (pending.length === 0) return { restored: 0, failed: 0 };
+
+    if (CONFIG.dryRun) {
+        console.log('🔍 DRY RUN - no rules were created.\n');
+        return { restored: 0, failed: 0 };
+    }
+
+    if (pending.length > 1) {
+        await confirmOrAbort(flags, `Restore ${pending.length} aliases on ${CONFIG.emailDomain}?`);
+    }
+
+    const total = pending.length;
+    const outcomes = await runPool(pending, async (item, i) => {
+        const definition = trashItemDefinition(item);
+        // Entries from old runs may not record a destination
+        definition.actions = definition.actions.map(action => action.type === 'forward' && (action.value || []).length === 0
+            ? { ...action, value: parseDestinationList(CONFIG.destinationEmail) }
+            : action);
+
+        try {
+            const { ruleId } = await cf.createEmailRoutingRuleFromDefinition(CONFIG.zoneId, definition);
+            console.log(`[${i + 1}/${total}] ✅ ${item.address}`);
+            return { ruleId, definition };
+        } catch (error) {
+            console.error(`[${i + 1}/${total}] ❌ ${item.address}: ${error.message}`);
+            return null;
+        }
+    }, { concurrency: CONFIG.concurrency });
+
+    const restoredAt = new Date().toISOString();
+    const restoredIds = new Map();
+    const restoredEntries = [];
+    pending.forEach((item, i) => {
+        if (!outcomes[i]) return;
+        const { ruleId, definition } = outcomes[i];
+        const destinations = getForwardDestinations(definition);
+
+        const entry = {
+            ...(item.entry || { createdAt: restoredAt, bundle: null }),
+            alias: item.address,
+            ruleId,
+            status: 'success',
+            destination: destinations.length > 0 ? formatDestination(destinations) : null,
+            restoredAt
+        };
+        // Paused aliases come back paused
+        if (definition.enabled) delete entry.enabled;
+        else entry.enabled = false;
+
+        restoredIds.set(item.address.toLowerCase(), ruleId);
+        restoredEntries.push(entry);
+    });
+
+    if (restoredEntries.length > 0) {
+        const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+        const txtFile = getDomainFile(CONFIG.emailDomain, 'txt');
+        const toonFile = getDomainFile(CONFIG.emailDomain, 'toon');
+        const restoredAddresses = new Set(restoredIds.keys());
+
+        const entries = await readTrackingEntries(jsonFile);
+        await writeTrackingEntries(jsonFile, [
+            ...entries.filter(e => !e.alias || !restoredAddresses.has(e.alias.toLowerCase())),
+            ...restoredEntries
+        ]);
+        await updateTxtFile(txtFile, { removed: [...restoredAddresses], added: restoredEntries });
+
+        const lines = [`restored_aliases[${restoredEntries.length}]{alias,rule_id,restored_at,destination}:`];
+        restoredEntries.forEach(e => {
+            lines.push(`  ${e.alias},${e.ruleId},${restoredAt.split('.')[0].replace('T', ' ')},${toonCell(destinationList(e.destination).join(','))}`);
+        });
+        await appendFileAtomic(toonFile, (existsSync(toonFile) ? '\n\n' : '') + lines.join('\n'));
+
+        await markTrashItemsRestored(archivePath, archive, restoredIds);
+        console.log(`\n💾 Updated ${jsonFile}, ${txtFile} and ${basename(archivePath)}`);
+    }
+
+    const failed = pending.length - restoredEntries.length;
+    console.log(`♻️  Restored: ${restoredEntries.length}${failed > 0 ? `, failed: ${failed}` : ''}\n`);
+    return { restored: restoredEntries.length, failed };
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Prints the summary block of a migration
+ */
+function printMigrationSummary({ from, to, successCount, failureCount, skipped = 0, skippedReason }) {
+    console.log('═══════════════════════════════════════════════════════');
+    console.log('📊 SUMMARY');
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`🔀 Migration: ${from} → ${to}`);
+    console.log(`✅ Successful: ${successCount}`);
+    console.log(`❌ Failed: ${failureCount}`);
+    console.log(`📧 Total: ${successCount + failureCount}`);
+    if (skipped > 0) console.log(`⏭️  Skipped (${skippedReason}): ${skipped}`);
+    console.log('═══════════════════════════════════════════════════════\n');
+}
+
+/**
+ * Same addresses, ignoring order and case
+ */
+function sameDestinations(a, b) {
+    const key = list => list.map(email => email.toLowerCase()).sort().join(',');
+    return key(a) === key(b);
+}
+
+/**
+ * Moves tracked aliases to new destinations (in place, same rule IDs), or
+ * recreates their local parts on another domain. The tracking file, TXT list
+ * and TOON log are updated with the outcome.
+ * @param {object} criteria - Selection, see createAliasFilter()
+ * @param {object} options
+ * @param {string} [options.file] - Tracking file (default <domain>.json)
+ * @param {string[]} [options.toDest] - New destination(s)
+ * @param {string} [options.toDomain] - Recreate the aliases on this domain
+ * @param {object} [options.flags] - CLI flags (--yes)
+ * @returns {Promise<object|null>} { successCount, failureCount }, or null when nothing matched
+ */
+async function runMigrateFlow(criteria, { file = null, toDest = [], toDomain = null, flags = {} } = {}) {
+    const jsonFile = file || getDomainFile(CONFIG.emailDomain, 'json');
+    if (!existsSync(jsonFile)) {
+        throw new Error(`Tracking file ${jsonFile} not found`);
+    }
+
+    const entries = await readTrackingEntries(jsonFile);
+    const selected = entries
+        .filter(e => e.status === 'success' && e.ruleId)
+        .filter(createAliasFilter(criteria));
+
+    if (selected.length === 0) {
+        console.log(`ℹ️  No tracked aliases in ${jsonFile} match the selection.\n`);
+        return null;
+    }
+
+    const domainSuffix = `@${CONFIG.emailDomain.toLowerCase()}`;
+    const foreign = selected.find(e => !e.alias.toLowerCase().endsWith(domainSuffix));
+    if (foreign) {
+        throw new Error(`${jsonFile} tracks ${foreign.alias}, which is not on ${CONFIG.emailDomain} (use --domain ${foreign.alias.split('@')[1]})`);
+    }
+
+    const files = { jsonFile, txtFile: jsonFile.replace(/\.json$/, '.txt'), toonFile: jsonFile.replace(/\.json$/, '.toon') };
+    return toDomain
+        ? withDomainLock('migrate', () => migrateToDomain(entries, selected, files, { toDomain, toDest, flags }), toDomain)
+        : migrateDestinations(entries, selected, files, { toDest, flags });
+}
+
+/**
+ * Points the forward action of existing rules at new destinations
+ */
+async function migrateDestinations(entries, selected, { jsonFile, txtFile, toonFile }, { toDest, flags }) {
+    const pending = selected.filter(e => !sameDestinations(destinationList(e.destination), toDest));
+    const unchanged = selected.length - pending.length;
+
+    console.log(`\n🔀 Forward ${pending.length} of ${selected.length} selected aliases to ${toDest.join(', ')}:\n`);
+    pending.slice(0, 10).forEach(e => {
+        console.log(`   📧 ${e.alias}: ${destinationList(e.destination).join(', ') || '(not recorded)'} → ${toDest.join(', ')}`);
+    });
+    if (pending.length > 10) console.log(`   ... and ${pending.length - 10} more`);
+    if (unchanged > 0) console.log(`   (${unchanged} already forward there)`);
+    console.log('');
+
+    if (pending.length === 0) return { successCount: 0, failureCount: 0 };
+
+    await confirmDestinationsVerified(toDest, null);
+
+    if (CONFIG.dryRun) {
+        console.log('🔍 DRY RUN - no rules were changed.\n');
+        return { successCount: 0, failureCount: 0 };
+    }
+
+    await confirmOrAbort(flags, `Forward ${pending.length} aliases on ${CONFIG.emailDomain} to ${toDest.join(', ')}?`);
+
+    console.log('📧 Updating email routing rules...\n');
+    const total = pending.length;
+    const outcomes = await runPool(pending, async (entry, i) => {
+        try {
+            await cf.updateEmailRoutingRule(CONFIG.zoneId, entry.ruleId, {
+                actions: [{ type: 'forward', value: toDest }]
+            });
+            console.log(`[${i + 1}/${total}] ✅ ${entry.alias} (ID: ${entry.ruleId})`);
+            return true;
+        } catch (error) {
+            const reason = error.status === 404 ? 'rule no longer exists (run sync)' : error.message;
+            console.error(`[${i + 1}/${total}] ❌ ${entry.alias}: ${reason}`);
+            return false;
+        }
+    }, { concurrency: CONFIG.concurrency });
+
+    const migratedAt = new Date().toISOString();
+    const changed = new Set(pending.filter((_, i) => outcomes[i]));
+    const changedEntries = [];
+    const updated = entries.map(entry => {
+        if (!changed.has(entry)) return entry;
+        const next = { ...entry, destination: formatDestination(toDest), migratedAt };
+        changedEntries.push(next);
+        return next;
+    });
+
+    if (changedEntries.length > 0) {
+        await writeTrackingEntries(jsonFile, updated);
+        await updateTxtFile(txtFile, { updated: changedEntries });
+
+        if (existsSync(toonFile)) {
+            const block = `\n\ndestination_update[${migratedAt}][${changedEntries.length}]{alias,rule_id,destination}:\n` +
+                changedEntries.map(e => `  ${e.alias},${e.ruleId},${toonCell(toDest.join(','))}`).join('\n');
+            await appendFileAtomic(toonFile, block);
+        }
+        console.log(`\n💾 Updated ${jsonFile} and ${basename(txtFile)}\n`);
+    }
+
+    const result = { successCount: changedEntries.length, failureCount: pending.length - changedEntries.length };
+    printMigrationSummary({
+        from: CONFIG.emailDomain,
+        to: toDest.join(', '),
+        ...result,
+        skipped: unchanged,
+        skippedReason: 'already forwarding there'
+    });
+    return result;
+}
+
+/**
+ * Copies the vault passwords of migrated aliases into the new domain's vault
+ * (opened with the same passphrase). Failing here leaves the rules in place.
+ * @param {Array} migrated - New tracking entries with `migratedFrom`
+ * @param {string} toDomain - New domain
+ */
+async function copyVaultPasswords(migrated, toDomain) {
+    const sourceFile = getVaultPath();
+    if (!existsSync(sourceFile)) return;
+
+    try {
+        const source = await unlockVault(sourceFile);
+        const target = await unlockVault(getVaultPath(toDomain));
+        const copied = migrated.filter(r => source.has(r.migratedFrom));
+        if (copied.length === 0) return;
+
+        copied.forEach(r => target.set(r.alias, source.get(r.migratedFrom)));
+        await target.save();
+        console.log(`🔐 Copied ${copied.length} passwords to ${target.path}`);
+    } catch (error) {
+        console.warn(`⚠️  Passwords were not copied to ${getVaultPath(toDomain)}: ${error.message}`);
+    }
+}
+
+/**
+ * Creates the same local parts on another zone. The old rules stay in place
+ * until the services using them have been moved over.
+ */
+async function migrateToDomain(entries, selected, { jsonFile }, { toDomain, toDest, flags }) {
+    if (toDomain.toLowerCase() === CONFIG.emailDomain.toLowerCase()) {
+        throw new Error(`--to-domain ${toDomain} is the current domain (use --to-dest to change destinations only)`);
+    }
+
+    const targetZoneId = await resolveZoneId(cf, toDomain);
+    if (!targetZoneId) throw new Error(`Could not resolve Zone ID for ${toDomain}`);
+
+    // Entries from old runs may not record a destination
+    const fallback = parseDestinationList(CONFIG.destinationEmail);
+    const plan = selected.map(entry => {
+        const kept = destinationList(entry.destination);
+        const destinations = toDest.length > 0 ? toDest : (kept.length > 0 ? kept : fallback);
+        return { entry, alias: `${entry.alias.split('@')[0]}@${toDomain}`, destinations };
+    });
+
+    const existing = await listRemoteAliasRules({ zoneId: targetZoneId, domain: toDomain });
+    const pending = plan.filter(item => !existing.has(item.alias.toLowerCase()));
+    const skipped = plan.length - pending.length;
+
+    console.log(`\n🔀 Recreate ${pending.length} of ${selected.length} selected aliases on ${toDomain}:\n`);
+    pending.slice(0, 10).forEach(item => {
+        console.log(`   📧 ${item.entry.alias} → ${item.alias} (→ ${item.destinations.join(', ')})`);
+    });
+    if (pending.length > 10) console.log(`   ... and ${pending.length - 10} more`);
+    if (skipped > 0) console.log(`   (${skipped} already exist on ${toDomain} - skipped)`);
+    console.log('');
+
+    if (pending.length === 0) return { successCount: 0, failureCount: 0 };
+
+    if (pending.some(item => item.destinations.length === 0)) {
+        throw new Error('Some aliases have no recorded destination. Pass --to-dest or set DESTINATION_EMAIL.');
+    }
+    await confirmDestinationsVerified([...new Set(pending.flatMap(item => item.destinations))], null);
+
+    if (CONFIG.dryRun) {
+        console.log('🔍 DRY RUN - no rules were created.\n');
+        return { successCount: 0, failureCount: 0 };
+    }
+
+    await confirmOrAbort(flags, `Create ${pending.length} aliases on ${toDomain}?`);
+
+    console.log('📧 Creating email routing rules...\n');
+    const migratedAt = new Date().toISOString();
+    const total = pending.length;
+    const results = await runPool(pending, async ({ entry, alias, destinations }, i) => {
+        const result = {
+            ...entry,
+            alias,
+            ruleId: null,
+            status: 'pending',
+            destination: formatDestination(destinations),
+            migratedFrom: entry.alias,
+            migratedAt
+        };
+
+        try {
+            const apiResponse = await cf.createEmailRoutingRuleFromDefinition(targetZoneId, {
+                matchers: [{ type: 'literal', field: 'to', value: alias }],
+                actions: [{ type: 'forward', value: destinations }],
+                // Paused aliases stay paused
+                enabled: entry.enabled !== false,
+                name: formatRuleName(alias, entry)
+            });
+            result.ruleId = apiResponse.ruleId;
+            result.status = 'success';
+            console.log(`[${i + 1}/${total}] ✅ ${alias} (ID: ${apiResponse.ruleId})`);
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            delete result.password;
+            console.error(`[${i + 1}/${total}] ❌ ${alias}: ${error.message}`);
+        }
+
+        return result;
+    }, { concurrency: CONFIG.concurrency });
+
+    const successful = results.filter(r => r.status === 'success');
+    const targetJson = getDomainFile(toDomain, 'json');
+    const targetTxt = getDomainFile(toDomain, 'txt');
+    const targetToon = getDomainFile(toDomain, 'toon');
+
+    const written = new Set(results.map(r => r.alias.toLowerCase()));
+    const targetEntries = await readTrackingEntries(targetJson);
+    await writeTrackingEntries(targetJson, [
+        ...targetEntries.filter(e => !e.alias || !written.has(e.alias.toLowerCase())),
+        ...results
+    ]);
+
+    if (successful.length > 0) {
+        await updateTxtFile(targetTxt, { added: successful });
+
+        const lines = [`migrated_aliases[${successful.length}]{alias,rule_id,migrated_from,destination}:`];
+        successful.forEach(r => {
+            lines.push(`  ${r.alias},${r.ruleId},${r.migratedFrom},${toonCell(destinationList(r.destination).join(','))}`);
+        });
+        await appendFileAtomic(targetToon, (existsSync(targetToon) ? '\n\n' : '') + lines.join('\n'));
+
+        // The source entries remember where they went
+        const movedTo = new Map(successful.map(r => [r.migratedFrom, r.alias]));
+        await writeTrackingEntries(jsonFile, entries.map(entry => movedTo.has(entry.alias)
+            ? { ...entry, migratedTo: movedTo.get(entry.alias), migratedAt }
+            : entry));
+
+        await copyVaultPasswords(successful, toDomain);
+    }
+    console.log(`\n💾 Updated ${targetJson}, ${targetTxt}, ${targetToon} and ${jsonFile}\n`);
+
+    const result = { successCount: successful.length, failureCount: results.length - successful.length };
+    printMigrationSummary({
+        from: CONFIG.emailDomain,
+        to: toDomain,
+        ...result,
+        skipped,
+        skippedReason: `already on ${toDomain}`
+    });
+
+    if (successful.length > 0) {
+        console.log(`ℹ️  The old aliases on ${CONFIG.emailDomain} still forward mail. Delete them once every`);
+        console.log(`   service uses the new address: delete ${jsonFile} [--match <glob> | --list <file>]\n`);
+    }
+    return result;
+}
+
+// ============================================================================
+// LABELS & CLAIMS
+// ============================================================================
+
+/**
+ * Finds one tracked alias by full address or local part
+ * @param {Array} entries - Tracking entries
+ * @param {string} alias - Address or local part
+ * @returns {object} Entry
+ * @throws {Error} When the alias is not tracked
+ */
+function findTrackedAlias(entries, alias) {
+    const wanted = alias.toLowerCase();
+    const entry = entries.find(e => e.status === 'success' && e.alias
+        && (e.alias.toLowerCase() === wanted || e.alias.toLowerCase().split('@')[0] === wanted));
+
+    if (!entry) {
+        throw new Error(`${alias} is not a tracked alias of ${CONFIG.emailDomain}`);
+    }
+    return entry;
+}
+
+/**
+ * Prints the label, tags and notes of an alias
+ */
+function printAliasLabel(entry) {
+    console.log(`   📧 ${entry.alias}`);
+    console.log(`   🏷️  Label: ${entry.label || '(none)'}`);
+    if (entry.tags?.length) console.log(`   #️⃣  Tags: ${entry.tags.join(', ')}`);
+    if (entry.notes) console.log(`   📝 Notes: ${entry.notes}`);
+}
+
+/**
+ * Saves label changes for one alias and mirrors label/tags into the rule name
+ * @param {string} jsonFile - Path to <domain>.json
+ * @param {Array} entries - All tracking entries of the file
+ * @param {object} entry - Entry to change (one of entries)
+ * @param {object} changes - See applyLabelChanges()
+ * @param {object} [extra] - Additional fields to store (e.g. claimedAt)
+ * @returns {Promise<object>} Updated entry
+ */
+async function labelAlias(jsonFile, entries, entry, changes, extra = {}) {
+    const next = { ...applyLabelChanges(entry, changes), ...extra };
+
+    if (CONFIG.dryRun) {
+        console.log(`🔍 DRY RUN - rule name would become: ${formatRuleName(next.alias, next)}\n`);
+        return next;
+    }
+
+    if (next.ruleId && CONFIG.zoneId) {
+        try {
+            await cf.updateEmailRoutingRule(CONFIG.zoneId, next.ruleId, { name: formatRuleName(next.alias, next) });
+        } catch (error) {
+            console.warn(`⚠️  Label saved locally, but the Cloudflare rule name was not updated: ${error.message}`);
+        }
+    }
+
+    await writeTrackingEntries(jsonFile, entries.map(e => e === entry ? next : e));
+    return next;
+}
+
+/**
+ * Shows or changes the label, notes and tags of one alias
+ * @param {string} alias - Address or local part
+ * @param {object} changes - See applyLabelChanges(); empty to only show the alias
+ * @returns {Promise<object>} The (updated) entry
+ */
+async function runLabelFlow(alias, changes) {
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    const entries = await readTrackingEntries(jsonFile);
+    const entry = findTrackedAlias(entries, alias);
+
+    if (Object.keys(changes).length === 0) {
+        console.log('');
+        printAliasLabel(entry);
+        console.log('');
+        return entry;
+    }
+
+    const updated = await labelAlias(jsonFile, entries, entry, changes);
+    console.log('\n🏷️  Label updated:\n');
+    printAliasLabel(updated);
+    console.log('');
+    return updated;
+}
+
+/**
+ * Hands out the oldest unused alias (created, active, unlabelled) to a service
+ * @param {string} service - Service the alias is given to (stored as the label)
+ * @param {object} [options]
+ * @param {string} [options.bundle] - Only claim from this bundle
+ * @param {string} [options.notes] - Notes to store
+ * @param {string[]} [options.tags] - Tags to store
+ * @returns {Promise<object>} Claimed entry
+ * @throws {Error} When no unused alias is left
+ */
+async function runClaimFlow(service, { bundle = null, notes, tags } = {}) {
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    const entries = await readTrackingEntries(jsonFile);
+    const pool = entries
+        .filter(isUnclaimed)
+        .filter(e => !bundle || e.bundle === bundle);
+
+    if (pool.length === 0) {
+        throw new Error(`No unused aliases left${bundle ? ` in bundle "${bundle}"` : ''} on ${CONFIG.emailDomain}. Create more with: create --bundle <key>`);
+    }
+
+    const claimed = await labelAlias(jsonFile, entries, pool[0], { label: service, notes, tags }, {
+        claimedAt: new Date().toISOString()
+    });
+
+    console.log(`\n🎟️  Claimed for ${service}:\n`);
+    printAliasLabel(claimed);
+    if (claimed.password) {
+        console.log(`   🔑 Password: ${claimed.password} (plaintext - run "vault migrate")`);
+    } else if (claimed.passwordStoredAt) {
+        console.log(`   🔑 Password: in ${getVaultPath()} (reveal ${claimed.alias})`);
+    }
+    console.log(`\n   ${pool.length - 1} unused aliases left${bundle ? ` in ${bundle}` : ''}\n`);
+    return claimed;
+}
+
+// ============================================================================
+// LISTING
+// ============================================================================
+
+/**
+ * Prints listing rows as an aligned table
+ * @param {Array} rows - Rows from buildAliasListing()
+ */
+function printListingTable(rows) {
+    const header = ['ALIAS', 'STATE', 'SYNC', 'BUNDLE', 'LABEL', 'TAGS', 'DESTINATION', 'CREATED'];
+    const lines = rows.map(row => [
+        row.alias,
+        row.status !== 'success' ? row.status : (row.enabled ? 'active' : 'paused'),
+        row.sync,
+        row.bundle || '-',
+        row.label || '-',
+        row.tags.length > 0 ? row.tags.map(tag => `#${tag}`).join(' ') : '-',
+        destinationList(row.destination).join(', ') || '-',
+        row.createdAt ? row.createdAt.split('T')[0] : '-'
+    ]);
+
+    const widths = header.map((title, i) => Math.max(title.length, ...lines.map(cells => cells[i].length)));
+    const format = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    console.log(format(header));
+    console.log(widths.map(width => '─'.repeat(width)).join('  '));
+    lines.forEach(cells => console.log(format(cells)));
+}
+
+/**
+ * Lists aliases: tracked entries merged with live rules, filtered and formatted
+ * @param {object} criteria - Selection, see createAliasFilter()
+ * @param {object} [options]
+ * @param {string} [options.format='table'] - One of LISTING_FORMATS
+ * @param {boolean} [options.local=false] - Skip Cloudflare and list the tracking file only
+ * @returns {Promise<Array>} Listed rows
+ */
+async function runListFlow(criteria, { format = 'table', local = false } = {}) {
+    const jsonFile = getDomainFile(CONFIG.emailDomain, 'json');
+    const entries = await readTrackingEntries(jsonFile);
+
+    let rules = null;
+    if (!local) {
+        if (!CONFIG.zoneId) {
+            throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain} (use --local to list ${jsonFile} only)`);
+        }
+        rules = await cf.listEmailRoutingRules(CONFIG.zoneId);
+    }
+
+    const rows = buildAliasListing(entries, rules, {
+        domain: CONFIG.emailDomain,
+        defaultDestination: CONFIG.destinationStrategy === 'all' ? parseDestinationList(CONFIG.destinationEmail) : null
+    }).filter(createAliasFilter(criteria));
+
+    if (format === 'json') {
+        console.log(JSON.stringify(rows, null, 2));
+    } else if (format === 'csv') {
+        process.stdout.write(formatListingCsv(rows));
+    } else if (format === 'toon') {
+        console.log(generateListingToon(rows, {
+            domain: CONFIG.emailDomain,
+            source: local ? 'local' : 'local+cloudflare',
+            timestamp: new Date().toISOString()
+        }));
+    } else if (rows.length === 0) {
+        console.log(`\n📭 No aliases on ${CONFIG.emailDomain} match.\n`);
+    } else {
+        console.log(`\n📋 ${rows.length} aliases on ${CONFIG.emailDomain}${local ? ' (local data only)' : ''}\n`);
+        printListingTable(rows);
+        console.log('');
+    }
+
+    return rows;
+}
+
+// ============================================================================
+// MAIN ORCHESTRATION & MENU
+// ============================================================================
+
+function validateConfig() {
+    const required = ['apiToken', 'zoneId', 'emailDomain', 'destinationEmail'];
+    const missing = required.filter(key => !CONFIG[key]);
+
+    // Only throw if strictly creating aliases
+    // For general menu usage, we might allow missing Zone ID if auto-discovery works
+    if (!CONFIG.apiToken) throw new Error("Missing CLOUDFLARE_API_TOKEN");
+    if (!CONFIG.emailDomain) throw new Error("Missing EMAIL_DOMAIN");
+    if (!Number.isSafeInteger(CONFIG.randomSeed)) throw new Error(`Invalid RANDOM_SEED "${process.env.RANDOM_SEED}" (must be a whole number)`);
+}
+
+/**
+ * Collects the destination settings of a creation run (loads the mapping file)
+ * @param {string} bundle - Bundle key of the run
+ * @returns {Promise<object>} Options for createDestinationPicker()/describeDestinations()
+ */
+async function getDestinationOptions(bundle) {
+    return {
+        destinations: parseDestinationList(CONFIG.destinationEmail),
+        strategy: CONFIG.destinationStrategy,
+        map: CONFIG.destinationMapFile ? await loadDestinationMap(CONFIG.destinationMapFile) : null,
+        bundle,
+        domain: CONFIG.emailDomain
+    };
+}
+
+/**
+ * Rebuilds the name → destination plan of a journaled job.
+ * Journals written before per-alias destinations only store one destination.
+ * @param {object} header - Journal start record
+ * @returns {Array<{ name: string, destination: string|string[] }>}
+ */
+function getJobPlan(header) {
+    return header.names.map((name, i) => ({
+        name,
+        destination: header.destinations?.[i] ?? header.destination
+    }));
+}
+
+/**
+ * Journal for the current domain's creation runs
+ */
+function getCreationJournal() {
+    return createJournal(getDomainFile(CONFIG.emailDomain, 'create.journal.jsonl'));
+}
+
+/**
+ * Creates routing rules for a list of names, journaling each outcome as it happens
+ * @param {Array<{ name: string, destination: string|string[] }>} plan - Local parts and where they forward to
+ * @param {object} job - { bundle, template, journal }
+ * @returns {Promise<Array>} Result objects in input order
+ */
+async function createAliases(plan, { bundle, template, journal }) {
+    console.log('📧 Creating email routing rules...\n');
+    const total = plan.length;
+
+    return runPool(plan, async ({ name, destination }, i) => {
+        const aliasEmail = `${name}@${CONFIG.emailDomain}`;
+        const result = {
+            alias: aliasEmail,
+            ruleId: null,
+            createdAt: new Date().toISOString(),
+            status: 'pending',
+            bundle,
+            template,
+            destination
+        };
+
+        try {
+            const apiResponse = await cf.createEmailRoutingRule(CONFIG.zoneId, aliasEmail, destination);
+            result.ruleId = apiResponse.ruleId;
+            result.status = 'success';
+            console.log(`[${i + 1}/${total}] ✅ ${aliasEmail} (ID: ${apiResponse.ruleId})`);
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            console.error(`[${i + 1}/${total}] ❌ ${aliasEmail}: ${error.message}`);
+        }
+
+        try {
+            await journal.record(result);
+        } catch (error) {
+            console.warn(`⚠️  Could not write journal ${journal.path}: ${error.message}`);
+        }
+
+        return result;
+    }, { concurrency: CONFIG.concurrency });
+}
+
+/**
+ * Splits an unfinished job into what is already created and what is still pending.
+ * Rules created right before a crash can be missing from the journal, so pending
+ * names that already exist in the zone are adopted instead of created twice.
+ * @param {object} job - Unfinished job from the journal
+ * @param {object} journal - Journal to record adopted rules in
+ * @returns {Promise<{ results: Array, pending: Array }>} pending holds { name, destination } plan items
+ */
+async function recoverCreationJob(job, journal) {
+    const { header, entries } = job;
+    const created = new Map(
+        entries.filter(e => e.status === 'success').map(e => [e.alias.toLowerCase(), e])
+    );
+
+    let remoteRules = new Map();
+    try {
+        remoteRules = await listRemoteAliasRules();
+    } catch (e) {
+        console.warn(`⚠️  Could not list existing routing rules: ${e.message}`);
+    }
+
+    const results = [...created.values()];
+    const pending = [];
+
+    for (const { name, destination } of getJobPlan(header)) {
+        const address = `${name}@${header.domain}`.toLowerCase();
+        if (created.has(address)) continue;
+
+        const rule = remoteRules.get(address);
+        if (rule) {
+            const adopted = {
+                alias: `${name}@${header.domain}`,
+                ruleId: rule.id,
+                createdAt: new Date().toISOString(),
+                status: 'success',
+                bundle: header.bundle,
+                template: header.template || DEFAULT_TEMPLATE,
+                destination
+            };
+            await journal.record(adopted);
+            results.push(adopted);
+        } else {
+            pending.push({ name, destination });
+        }
+    }
+
+    return { results, pending };
+}
+
+/**
+ * Writes results to JSON/TXT/TOON, closes the journal and prints the summary
+ * @param {Array} results - Result objects of this job
+ * @param {object} job - { bundle, template, destination (summary for the TOON header), journal, skipped }
+ * @returns {Promise<object>} { successCount, failureCount }
+ */
+async function finishCreationJob(results, { bundle, template = DEFAULT_TEMPLATE, destination, journal, skipped = 0 }) {
+    const selectedBundle = WORD_BUNDLES[bundle];
+    const successCount = results.filter(r => r.status === 'success').length;
+    const failureCount = results.length - successCount;
 
-function validateConfig() {
-    const required = ['apiToken', 'zoneId', 'emailDomain', 'destinationEmail'];
-    const missing = required.filter(key => !CONFIG[key]);
+    if (await exportCreationResults(results, { bundle, template, destination, successCount, failureCount })) {
+        try {
+            await journal.finish({ successCount, failureCount });
+        } catch (e) {
+            console.warn(`⚠️  Could not close journal ${journal.path}: ${e.message}`);
+        }
+    } else {
+        // The journal is the only record of these aliases until the tracking file is fixed
+        console.warn(`⚠️  Kept ${journal.path}: fix the file, then run "create --resume" to record these aliases.\n`);
+    }
 
-    // Only throw if strictly creating aliases
-    // For general menu usage, we might allow missing Zone ID if auto-discovery works
-    if (!CONFIG.apiToken) throw new Error("Missing CLOUDFLARE_API_TOKEN");
-    if (!CONFIG.emailDomain) throw new Error("Missing EMAIL_DOMAIN");
+    // Summary
+    console.log('═══════════════════════════════════════════════════════');
+    console.log('📊 SUMMARY');
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`🎨 Bundle: ${selectedBundle?.name || bundle}`);
+    console.log(`🧩 Template: ${template}`);
+    console.log(`✅ Successful: ${successCount}`);
+    console.log(`❌ Failed: ${failureCount}`);
+    console.log(`📧 Total: ${results.length}`);
+    if (skipped > 0) console.log(`⏭️  Skipped (already existed): ${skipped}`);
+    console.log('═══════════════════════════════════════════════════════\n');
+
+    return { successCount, failureCount };
+}
+
+/**
+ * Resumes an unfinished creation job from its journal
+ * @param {object} job - Unfinished job
+ * @param {object} journal - Its journal
+ * @returns {Promise<object>} { successCount, failureCount }
+ */
+async function resumeCreationJob(job, journal) {
+    const { header } = job;
+    const { results: previous, pending } = await recoverCreationJob(job, journal);
+
+    CONFIG.selectedBundle = header.bundle;
+    console.log(`\n♻️  Resuming run from ${header.startedAt}`);
+    console.log(`   Bundle: ${WORD_BUNDLES[header.bundle]?.name || header.bundle}`);
+    console.log(`   Template: ${header.template || DEFAULT_TEMPLATE}`);
+    console.log(`   Destination: ${header.destination}`);
+    console.log(`   Random seed: ${header.seed}`);
+    console.log(`   Already created: ${previous.length}`);
+    console.log(`   Pending: ${pending.length}\n`);
+
+    const jobOptions = {
+        bundle: header.bundle,
+        template: header.template || DEFAULT_TEMPLATE,
+        destination: header.destination,
+        journal
+    };
+    const results = pending.length > 0 ? await createAliases(pending, jobOptions) : [];
+
+    return finishCreationJob([...previous, ...results], jobOptions);
 }
 
-async function runCreationFlow(rl) {
+/**
+ * Creates aliases and exports JSON/TXT/TOON files.
+ * Bundle and count are prompted for unless passed in options (CLI mode).
+ * Every attempt is journaled, so an interrupted run can be resumed.
+ * @param {object} rl - Readline interface (only used for prompts)
+ * @param {object} [options]
+ * @param {string} [options.bundle] - Bundle key
+ * @param {number} [options.count] - Number of aliases
+ * @param {string} [options.template] - Name template (prompted for when a readline is given)
+ * @param {boolean} [options.resume] - Resume the unfinished run instead of starting a new one
+ * @returns {Promise<object|null>} { successCount, failureCount } or null when nothing ran
+ * @throws {Error} Without a readline, when the vault cannot be unlocked (unless passwords are skipped)
+ */
+async function runCreationFlow(rl, options = {}) {
+    const journal = getCreationJournal();
+    const unfinished = CONFIG.dryRun ? null : await journal.loadUnfinished();
+
+    // Unlock the vault for the new passwords before any rule exists (the
+    // menu's prompt is busy later on); the CLI fails the run instead of
+    // creating aliases whose passwords cannot be stored
+    if (!CONFIG.dryRun && !CONFIG.skipPasswords) {
+        try {
+            await unlockVault(getVaultPath(), rl);
+        } catch (error) {
+            if (!rl) {
+                throw new Error(`${error.message} To create the aliases without passwords, pass --no-passwords and add them later with "passwords".`);
+            }
+            console.error(`\n❌ ${error.message}\n`);
+            return null;
+        }
+    }
+
+    if (unfinished) {
+        const done = unfinished.entries.filter(e => e.status === 'success').length;
+        console.log(`\n♻️  Unfinished run found in ${journal.path}: ${done}/${unfinished.header.names.length} aliases created`);
+
+        let resume = Boolean(options.resume);
+        if (!resume && rl) {
+            const answer = await question(rl, '👉 Resume it? (Y/n): ');
+            resume = !/^no?$/i.test(answer.trim());
+        }
+
+        if (resume) return resumeCreationJob(unfinished, journal);
+
+        // Starting over: record what the old run created so nothing is orphaned
+        console.log('💾 Saving the unfinished run\'s aliases before starting a new one...');
+        const { results } = await recoverCreationJob(unfinished, journal);
+        await finishCreationJob(results, {
+            bundle: unfinished.header.bundle,
+            template: unfinished.header.template || DEFAULT_TEMPLATE,
+            destination: unfinished.header.destination,
+            journal
+        });
+    } else if (options.resume) {
+        console.log(`\n✅ Nothing to resume - no unfinished run for ${CONFIG.emailDomain}.\n`);
+        return null;
+    }
+
+    let pickDestination;
+    let destinationSummary;
+    let passwordProfile;
     try {
         // Select bundle
-        CONFIG.selectedBundle = await selectBundle(rl);
+        CONFIG.selectedBundle = options.bundle || await selectBundle(rl);
         // Get alias count
-        CONFIG.aliasCount = await getAliasCount(rl);
+        CONFIG.aliasCount = options.count || await getAliasCount(rl);
+        // Get name template
+        CONFIG.aliasTemplate = options.template || (rl ? await getAliasTemplate(rl) : CONFIG.aliasTemplate);
+        // Decide where each alias forwards to
+        const destinationOptions = await getDestinationOptions(CONFIG.selectedBundle);
+        pickDestination = createDestinationPicker(destinationOptions);
+        destinationSummary = describeDestinations(destinationOptions);
+        // Fail on a bad profile or policy now, not after the rules exist
+        passwordProfile = (await getPasswordProfilePicker())('', CONFIG.selectedBundle).name;
     } catch (error) {
         console.error(`\n❌ Input error: ${error.message}\n`);
-        return;
+        return null;
     }
 
     // Display configuration
     const selectedBundle = WORD_BUNDLES[CONFIG.selectedBundle];
     console.log('📋 Configuration:');
     console.log(`   Bundle: ${selectedBundle.name}`);
+    console.log(`   Template: ${CONFIG.aliasTemplate}`);
     console.log(`   Domain: ${CONFIG.emailDomain}`);
-    console.log(`   Destination: ${CONFIG.destinationEmail}`);
+    console.log(`   Destination: ${destinationSummary}`);
+    console.log(CONFIG.skipPasswords
+        ? '   Password profile: none (--no-passwords)'
+        : `   Password profile: ${passwordProfile}${CONFIG.passwordPolicyFile ? ` (policy: ${CONFIG.passwordPolicyFile})` : ''}`);
     console.log(`   Aliases to create: ${CONFIG.aliasCount}`);
-    console.log(`   Request delay: ${CONFIG.requestDelayMs}ms`);
+    console.log(`   Request delay: ${CONFIG.requestDelayMs}ms (adaptive)`);
+    console.log(`   Concurrency: ${CONFIG.concurrency}`);
     console.log(`   Random seed: ${CONFIG.randomSeed}`);
     console.log(`   Dry run: ${CONFIG.dryRun ? 'YES' : 'NO'}\n`);
 
     // Generate alias names
+    console.log('🔎 Checking existing aliases (zone rules + local history)...');
+    const existingNames = await collectExistingAliasNames();
+    console.log(`✅ Found ${existingNames.size} existing aliases on ${CONFIG.emailDomain}\n`);
+
     console.log('🎲 Generating random alias names...');
-    const aliasNames = generateAliasNames(CONFIG.aliasCount, CONFIG.randomSeed, CONFIG.selectedBundle);
-    console.log(`✅ Generated ${aliasNames.length} unique names\n`);
+    let aliasNames;
+    let skipped;
+    let plan;
+    try {
+        ({ names: aliasNames, skipped } = generateAliasNames(
+            CONFIG.aliasCount, CONFIG.randomSeed, CONFIG.selectedBundle, existingNames, CONFIG.aliasTemplate
+        ));
+        plan = aliasNames.map((name, i) => ({ name, destination: formatDestination(pickDestination(name, i)) }));
+    } catch (error) {
+        console.error(`\n❌ ${error.message}\n`);
+        return null;
+    }
+    console.log(`✅ Generated ${aliasNames.length} unique names`);
+    if (skipped > 0) console.log(`⏭️  Skipped ${skipped} candidates that already exist`);
+    console.log('');
+
+    console.log('📬 Checking destination verification...');
+    const destinationEmails = [...new Set(plan.flatMap(item => destinationList(item.destination)))];
+    if (!await confirmDestinationsVerified(destinationEmails, rl)) {
+        console.log('❌ Creation cancelled.\n');
+        return null;
+    }
 
     if (CONFIG.dryRun) {
         console.log('🔍 DRY RUN MODE - Showing first 10 aliases that would be created:\n');
-        aliasNames.slice(0, 10).forEach((name, index) => {
-            console.log(`   ${index + 1}. ${name}@${CONFIG.emailDomain} → ${CONFIG.destinationEmail}`);
+        plan.slice(0, 10).forEach(({ name, destination }, index) => {
+            console.log(`   ${index + 1}. ${name}@${CONFIG.emailDomain} → ${destinationList(destination).join(', ')}`);
         });
         console.log('✅ Dry run complete. No aliases were created.\n');
-        return;
+        return null;
     }
 
-    // Create email routing rules
-    console.log('📧 Creating email routing rules...\n');
-    const results = [];
-    let successCount = 0;
-    let failureCount = 0;
-
-    for (let i = 0; i < aliasNames.length; i++) {
-        const name = aliasNames[i];
-        const aliasEmail = `${name}@${CONFIG.emailDomain}`;
-        const result = {
-            alias: aliasEmail,
-            ruleId: null,
-            createdAt: new Date().toISOString(),
-            status: 'pending',
-            bundle: CONFIG.selectedBundle
-        };
+    // The full plan goes into the journal first, so a crash can be resumed
+    await journal.start({
+        job: 'create',
+        domain: CONFIG.emailDomain,
+        destination: destinationSummary,
+        bundle: CONFIG.selectedBundle,
+        template: CONFIG.aliasTemplate,
+        seed: CONFIG.randomSeed,
+        names: aliasNames,
+        destinations: plan.map(item => item.destination)
+    });
+    console.log(`📓 Journal: ${journal.path}\n`);
 
-        try {
-            console.log(`[${i + 1}/${aliasNames.length}] Creating: ${aliasEmail}`);
-            const apiResponse = await createEmailRoutingRule(aliasEmail, CONFIG.destinationEmail);
-            result.ruleId = apiResponse.ruleId;
-            result.status = 'success';
-            successCount++;
-            console.log(`✅ Created successfully (ID: ${apiResponse.ruleId})\n`);
-        } catch (error) {
-            result.status = 'failed';
-            result.error = error.message;
-            failureCount++;
-            console.error(`❌ Failed: ${error.message}\n`);
-        }
+    const jobOptions = {
+        bundle: CONFIG.selectedBundle,
+        template: CONFIG.aliasTemplate,
+        destination: destinationSummary,
+        journal
+    };
+    const results = await createAliases(plan, jobOptions);
 
-        results.push(result);
-        if (i < aliasNames.length - 1) await delay(CONFIG.requestDelayMs);
-    }
+    return finishCreationJob(results, { ...jobOptions, skipped });
+}
 
-    // Export results
-    const domainSlug = CONFIG.emailDomain.replace(/\./g, '-');
-    const outputFileName = `${domainSlug}.json`;
-    const txtFileName = `${domainSlug}.txt`;
-    const toonFileName = `${domainSlug}.toon`;
+/**
+ * Merges results into <domain>.json/.txt/.toon and generates passwords
+ * @param {Array} results - Result objects
+ * @param {object} meta - { bundle, template, destination, successCount, failureCount }
+ * @returns {Promise<boolean>} False when <domain>.json could not be updated (nothing else is written then)
+ */
+async function exportCreationResults(results, { bundle, template, destination, successCount, failureCount }) {
+    const selectedBundle = WORD_BUNDLES[bundle];
+    const outputFileName = getDomainFile(CONFIG.emailDomain, 'json');
+    const txtFileName = getDomainFile(CONFIG.emailDomain, 'txt');
+    const toonFileName = getDomainFile(CONFIG.emailDomain, 'toon');
 
     try {
-        let finalResults = results;
-        if (existsSync(outputFileName)) {
-            const existingContent = await readFile(outputFileName, 'utf-8');
-            const existingJson = JSON.parse(existingContent);
-            if (Array.isArray(existingJson)) {
-                finalResults = [...existingJson, ...results];
-            } else if (existingJson.results || existingJson.aliases) {
-                // If using the robust object structure
-                const prevAliases = existingJson.results || existingJson.aliases;
-                finalResults = {
-                    ...existingJson,
-                    results: [...prevAliases, ...results],
-                    metadata: { ...existingJson.metadata, updated_at: new Date().toISOString() }
-                };
-            }
-        } else {
-            // For new files, prefer strict array or the object wrapper?
-            // Let's stick to array for simplicity unless passwords upgrade it later, 
-            // but user seems to have both. Let's output array by default for new files 
-            // to keep it simple, or stick to what we had.
-            // EDIT: 'updateFilesWithPasswords' converts to object structure. 
-            // So if we write array here, it gets upgraded later. That works.
-        }
-
-        await writeFile(outputFileName, JSON.stringify(finalResults, null, 2), 'utf-8');
+        const prevAliases = await readTrackingEntries(outputFileName);
+        // A resumed run may re-export entries that already made it into the file
+        const known = new Set(prevAliases.filter(a => a.status === 'success').map(a => a.alias.toLowerCase()));
+        const newResults = results.filter(r => !known.has(r.alias.toLowerCase()));
+        // A name that failed before and was tried again keeps only its newest row
+        const retried = new Set(newResults.map(r => r.alias.toLowerCase()));
+        const kept = prevAliases.filter(a => !a.alias || !retried.has(a.alias.toLowerCase()));
+
+        await writeTrackingEntries(outputFileName, [...kept, ...newResults], { domain: CONFIG.emailDomain });
         console.log(`\n💾 Results exported to: ${outputFileName}`);
     } catch (e) {
         console.error(`\n❌ Failed to write JSON file: ${e.message}`);
+        return false;
     }
 
     try {
-        const successfulAliases = results.filter(r => r.status === 'success').map(r => r.alias);
-
-        let writeMode = 'w'; // default write
-        let contentToWrite = successfulAliases.join('\n') + '\n';
-
-        if (existsSync(txtFileName)) {
-            const existingTxt = await readFile(txtFileName, 'utf-8');
-            // Check if last line has newline
-            const prefix = existingTxt.endsWith('\n') ? '' : '\n';
-            contentToWrite = prefix + contentToWrite;
-            writeMode = 'a'; // append
-            await writeFile(txtFileName, contentToWrite, { flag: 'a' });
-        } else {
-            await writeFile(txtFileName, contentToWrite, 'utf-8');
-        }
+        const successful = results.filter(r => r.status === 'success');
+        const successfulAliases = successful.map(r => r.alias);
 
+        await updateTxtFile(txtFileName, { added: successful });
         console.log(`📝 Email list exported/updated: ${txtFileName}`);
 
         // AUTOMATIC PASSWORD GENERATION
-        if (successfulAliases.length > 0) {
-            const credentials = generateUniquePasswords(successfulAliases);
+        if (successfulAliases.length > 0 && CONFIG.skipPasswords) {
+            console.log(`⏭️  No passwords generated (--no-passwords). Add them later with "passwords".`);
+        } else if (successfulAliases.length > 0) {
+            const pickProfile = await getPasswordProfilePicker();
+            const credentials = generateUniquePasswords(successfulAliases, alias => pickProfile(alias, bundle));
             // This function handles the "reading existing + merging" logic internally now
-            await updateFilesWithPasswords(domainSlug, credentials);
+            await updateFilesWithPasswords(CONFIG.emailDomain, credentials);
         }
 
     } catch (e) {
@@ -927,10 +2756,11 @@ async function runCreationFlow(rl) {
 
     try {
         const toonContent = generateToon(results, {
-            bundle: CONFIG.selectedBundle,
-            bundleName: selectedBundle.name,
+            bundle,
+            bundleName: selectedBundle?.name || bundle,
+            template,
             domain: CONFIG.emailDomain,
-            destination: CONFIG.destinationEmail,
+            destination,
             totalCount: results.length,
             successCount,
             failureCount,
@@ -938,35 +2768,630 @@ async function runCreationFlow(rl) {
         });
 
         if (existsSync(toonFileName)) {
-            await writeFile(toonFileName, '\n\n' + toonContent, { flag: 'a' });
+            await appendFileAtomic(toonFileName, '\n\n' + toonContent);
             console.log(`🤖 TOON appended to: ${toonFileName}\n`);
         } else {
-            await writeFile(toonFileName, toonContent, 'utf-8');
+            await writeFileAtomic(toonFileName, toonContent);
             console.log(`🤖 TOON exported to: ${toonFileName}\n`);
         }
     } catch (e) {
         console.error(`\n❌ Failed to write TOON file: ${e.message}\n`);
     }
+    return true;
+}
 
-    // Summary
-    console.log('═══════════════════════════════════════════════════════');
-    console.log('📊 SUMMARY');
-    console.log('═══════════════════════════════════════════════════════');
-    console.log(`🎨 Bundle: ${selectedBundle.name}`);
-    console.log(`✅ Successful: ${successCount}`);
-    console.log(`❌ Failed: ${failureCount}`);
-    console.log(`📧 Total: ${results.length}`);
-    console.log('═══════════════════════════════════════════════════════\n');
+/**
+ * Generates passwords for the aliases listed in the domain's TXT file that
+ * do not have one in the vault yet
+ * @param {object|null} [rl] - Readline interface (interactive menu)
+ * @param {object} [options]
+ * @param {string[]} [options.aliases] - Only these aliases (local part or address)
+ * @param {boolean} [options.regenerate=false] - Replace passwords the vault already holds
+ * @param {object} [options.flags] - CLI flags (--yes)
+ * @returns {Promise<boolean>} False when the TXT file is missing or the vault cannot be opened
+ */
+async function runPasswordGeneration(rl = null, { aliases = [], regenerate = false, flags = {} } = {}) {
+    const txtFile = getDomainFile(CONFIG.emailDomain, 'txt');
+    if (!existsSync(txtFile)) {
+        console.log(`❌ File not found: ${txtFile}`);
+        return false;
+    }
+
+    let vault;
+    let pickProfile;
+    try {
+        pickProfile = await getPasswordProfilePicker();
+        vault = await unlockVault(getVaultPath(), rl);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+    }
+
+    const content = await readFile(txtFile, 'utf-8');
+    const emails = content.split('\n').map(parseTxtLine).filter(Boolean).map(entry => entry.email);
+    const filter = aliases.length > 0 ? createAliasFilter({ aliases }) : () => true;
+    const selected = emails.filter(email => filter({ alias: email }));
+    if (selected.length === 0) {
+        console.log(`❌ None of ${aliases.join(', ')} is listed in ${txtFile}`);
+        return false;
+    }
+
+    // Passwords already handed out to services only change on request
+    const missing = selected.filter(email => !vault.has(email));
+    const targets = regenerate ? selected : missing;
+    console.log(`Found ${emails.length} aliases in ${txtFile}, ${missing.length} ${aliases.length > 0 ? 'selected ' : ''}without a password.`);
+    if (targets.length === 0) return true;
+
+    const replaced = targets.length - missing.length;
+    if (replaced > 0) {
+        await confirmOrAbort(flags, `Replace ${replaced} stored password(s)? Services using them will need the new one.`);
+    }
+
+    const tracked = await readTrackedAliasMap();
+    console.log('Generating passwords...');
+    const creds = generateUniquePasswords(targets, alias => pickProfile(alias, tracked.get(alias.toLowerCase())?.bundle));
+    return updateFilesWithPasswords(CONFIG.emailDomain, creds, rl);
+}
+
+/**
+ * Runs one of the sibling scripts with the current domain/zone
+ * @param {string} scriptName - Script file in the project root
+ * @param {string[]} [args] - Extra command-line arguments
+ * @returns {number} Child exit code
+ */
+function runScript(scriptName, args = []) {
+    // Pass current config to the child process so it uses the selected domain/zone
+    const envVars = { ...process.env };
+    if (CONFIG.emailDomain) envVars.EMAIL_DOMAIN = CONFIG.emailDomain;
+    if (CONFIG.zoneId) envVars.CLOUDFLARE_ZONE_ID = CONFIG.zoneId;
+
+    const child = spawnSync(process.execPath, [join(PROJECT_ROOT, scriptName), ...args], {
+        stdio: 'inherit',
+        env: envVars
+    });
+    return child.status ?? 1;
+}
+
+// ============================================================================
+// COMMAND-LINE MODE (NON-INTERACTIVE)
+// ============================================================================
+
+const USAGE = `Usage:
+  node create-email-aliases.js                      Interactive menu
+  node create-email-aliases.js <command> [options]  Run one command and exit
+
+Commands:
+  create      Create aliases          --bundle <key|number> [--count <1-500>] [--seed <n>] [--yes]
+              Name template: --template "{prefix}-{suffix}{nn}" (default {prefix}.{suffix})
+              Continue an interrupted run: create --resume
+              Passwords go to the encrypted vault: without a terminal set VAULT_PASSPHRASE,
+              or pass --no-passwords and add them later with "passwords"
+  passwords   Generate passwords for the aliases in <domain>.txt that have none yet
+              Only some, or replace existing ones: passwords <alias...> [--regenerate]
+  password-profiles  List password profiles (length, character classes, passphrases)
+  reveal      Show stored passwords: reveal <alias...> | --match <glob> | --bundle <key> | --label <glob> | --all
+  export      Write stored passwords for a password manager [--output <file>] (default: stdout)
+              [--format txt|bitwarden|keepass|1password|csv] (default: txt, alias:password lines)
+              Only some: [<alias...>] [--match <glob>] [--bundle <key>] [--label <glob>]
+  vault       Show the password vault and plaintext passwords left in old files
+              Encrypt those and remove them from the files: vault migrate [--dry-run] [--yes]
+  sync        Compare <domain>.json with Cloudflare   [--import] [--prune]
+  list        List aliases (tracking file merged with live rules): list [<alias...>] [--match <glob>]
+              [--bundle <key>] [--status <s>] [--label <glob>] [--tag a,b] [--destination <email>]
+              [--enabled | --paused] [--since <date>] [--until <date>]
+              [--format table|json|csv|toon] [--local]
+  pause       Disable aliases without deleting them: pause <alias...> | --match <glob>
+              | --bundle <key> | --destination <email> | --all
+  resume      Re-enable paused aliases (same selection options as pause)
+  label       Show or set what an alias is used for: label <alias> [--label <service>]
+              [--notes <text>] [--tags a,b] [--add-tags a,b] [--remove-tags a,b]
+  claim       Hand out the next unused alias: claim <service> [--bundle <key>] [--notes <text>] [--tags a,b]
+  backup      Save every routing rule of the zone and the catch-all to a JSON file [--output <file>]
+  import-backup  Recreate the rules of a backup in this zone (or another with --domain):
+              import-backup <file> [--catch-all] [--dry-run] [--yes]
+  restore     List trash archives, or recreate deleted aliases from one:
+              restore <archive|latest> <alias...> | --match <glob> | --bundle <key> | --all
+  migrate     Forward tracked aliases elsewhere (same rules): migrate --to-dest <emails>
+              or recreate them on another domain: migrate --to-domain <domain> [--to-dest <emails>]
+              [<alias...>] [--match <glob>] [--bundle <key>] [--label <glob>] [--destination <email>]
+              [--file <tracking.json>] (default <domain>.json)
+  cleanup     Delete generated aliases (runs cleanup-generated-aliases.js)
+              [--dry-run] [--max <n>] [--confirm <domain>] (asks you to type the domain otherwise)
+  delete      Delete aliases listed in a JSON file: delete <file.json> [--resume]
+              Only some of them: [--match <glob>] [--regex <pattern>] [--bundle <key>] [--label <glob>]
+              [--tag a,b] [--before <date>] [--older-than <days>] [--list <file>]
+  convert     Convert a JSON results file to TXT: convert [file.json]
+  status      Show whether Email Routing is enabled and its DNS records are in place
+  catch-all   Show the catch-all rule, or change it:
+              catch-all forward <emails> | drop | worker <name> | enable | disable
+  test        Test Cloudflare credentials
+  bundles     List available word bundles
+  destinations  List destination addresses and their verification status
+              Add one (sends a verification email): destinations add <email>
+
+Global options:
+  --domain <domain>   Target domain (default: EMAIL_DOMAIN)
+  --dest <emails>     Destination email(s), comma-separated (default: DESTINATION_EMAIL)
+  --dest-strategy <s> all = forward to every --dest address, round-robin = one each (default: all)
+  --dest-map <file>   JSON file mapping bundles/aliases to destinations (default: DESTINATION_MAP)
+  --password-profile <name>  Password profile (default: PASSWORD_PROFILE or "default")
+  --password-policy <file>   JSON file with custom profiles and per-bundle/alias profiles (default: PASSWORD_POLICY)
+  --concurrency <n>   Parallel API requests (default: CONCURRENCY or 4)
+  --allow-unverified  Create aliases even if a destination is not verified
+  --dry-run           Preview without changing anything
+  -y, --yes           Skip confirmation prompts
+  -h, --help          Show this help
+`;
+
+/** Selection flags `delete` forwards to delete-email-aliases.js: [flags key, flag name] */
+const DELETE_SELECTION_FLAGS = [
+    ['match', 'match'], ['regex', 'regex'], ['bundle', 'bundle'], ['label', 'label'], ['tag', 'tag'],
+    ['before', 'before'], ['olderThan', 'older-than'], ['list', 'list']
+];
+
+/** Commands that rewrite the domain's tracking files (cleanup and delete lock in their own scripts) */
+const LOCKING_COMMANDS = ['create', 'passwords', 'sync', 'pause', 'resume', 'label', 'claim', 'restore', 'migrate', 'vault', 'convert'];
+
+const CLI_OPTIONS = {
+    booleans: ['yes', 'dry-run', 'help', 'resume', 'regenerate', 'import', 'prune', 'allow-unverified', 'all', 'enabled', 'paused', 'local', 'catch-all', 'passwords'],
+    aliases: { y: 'yes', h: 'help' }
+};
+
+/**
+ * Reads a text flag; a flag given without a value is an error
+ * (use --flag "" to clear a value)
+ * @returns {string|undefined} Value, or undefined when the flag is absent
+ */
+function getTextFlag(flags, name, flagName) {
+    if (flags[name] === undefined) return undefined;
+    if (flags[name] === true) throw new Error(`--${flagName} needs a value`);
+    return String(flags[name]);
+}
+
+/**
+ * Asks for a y/N confirmation unless --yes was given.
+ * Refuses instead of hanging when stdin is not a terminal.
+ */
+async function confirmOrAbort(flags, message) {
+    if (flags.yes) return;
+
+    if (!process.stdin.isTTY) {
+        throw new Error(`${message} Re-run with --yes to confirm in non-interactive mode.`);
+    }
+
+    const rl = createReadline();
+    const answer = await question(rl, `⚠️  ${message} (y/N): `);
+    rl.close();
+
+    if (!/^y(es)?$/i.test(answer.trim())) {
+        throw new Error('Aborted by user.');
+    }
+}
+
+/**
+ * Runs a single command without the interactive menu
+ * @param {string} command - Command name
+ * @param {object} flags - Parsed flags
+ * @param {string[]} positionals - Positional arguments after the command
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(command, flags, positionals) {
+    if (flags.domain && flags.domain !== CONFIG.emailDomain) {
+        CONFIG.emailDomain = flags.domain;
+        CONFIG.zoneId = null; // Force re-discovery for new domain
+    }
+    if (flags.dest) CONFIG.destinationEmail = flags.dest;
+    if (flags.destStrategy) CONFIG.destinationStrategy = flags.destStrategy;
+    if (flags.destMap) CONFIG.destinationMapFile = flags.destMap;
+    if (flags.passwordProfile) CONFIG.passwordProfile = String(flags.passwordProfile);
+    if (flags.passwordPolicy) CONFIG.passwordPolicyFile = String(flags.passwordPolicy);
+    if (flags.seed !== undefined) CONFIG.randomSeed = parseSeed(flags.seed);
+    if (flags.template !== undefined) CONFIG.aliasTemplate = compileTemplate(String(flags.template)).template;
+    if (flags.concurrency !== undefined) CONFIG.concurrency = Math.max(1, parseInt(flags.concurrency, 10) || 1);
+    if (flags.dryRun) CONFIG.dryRun = true;
+    if (flags.allowUnverified) CONFIG.allowUnverified = true;
+    if (flags.passwords === false) CONFIG.skipPasswords = true;
+
+    // Held until the process exits
+    if (LOCKING_COMMANDS.includes(command) && CONFIG.emailDomain && !CONFIG.dryRun) {
+        await acquireLock(getLockPath(), { command });
+    }
+
+    switch (command) {
+        case 'bundles':
+            displayBundles();
+            return 0;
+
+        case 'test':
+            await runCredentialTest();
+            return 0;
+
+        case 'create': {
+            let bundle = null;
+            let count = null;
+
+            if (!flags.resume) {
+                if (!flags.bundle) {
+                    throw new Error(`Missing --bundle. Valid bundles: ${Object.keys(WORD_BUNDLES).join(', ')}`);
+                }
+                bundle = resolveBundleKey(flags.bundle);
+                if (!bundle) {
+                    throw new Error(`Unknown bundle "${flags.bundle}". Valid bundles: ${Object.keys(WORD_BUNDLES).join(', ')}`);
+                }
+                count = flags.count !== undefined ? parseAliasCount(flags.count) : getDefaultAliasCount();
+            }
+
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.destinationEmail && !CONFIG.destinationMapFile) {
+                throw new Error('Missing DESTINATION_EMAIL (or --dest / --dest-map)');
+            }
+            if (!CONFIG.zoneId && !CONFIG.dryRun) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            if (!CONFIG.dryRun && !flags.resume) {
+                const destinations = describeDestinations(await getDestinationOptions(bundle));
+                await confirmOrAbort(flags, `Create ${count} aliases on ${CONFIG.emailDomain} → ${destinations}?`);
+            }
+
+            const summary = await runCreationFlow(null, { bundle, count, template: CONFIG.aliasTemplate, resume: flags.resume });
+            return summary && summary.failureCount > 0 ? 1 : 0;
+        }
+
+        case 'destinations': {
+            const [action = 'list', email] = positionals;
+            if (!['list', 'add'].includes(action)) {
+                throw new Error(`Unknown destinations action "${action}". Use: destinations [list] | destinations add <email>`);
+            }
+            if (action === 'add' && !email) throw new Error('Missing email. Usage: destinations add <email>');
+
+            await initializeConfig();
+            validateConfig();
+            await runDestinationsFlow(null, { add: action === 'add' ? email : null });
+            return 0;
+        }
+
+        case 'status': {
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+            return await runRoutingStatus() ? 0 : 1;
+        }
+
+        case 'catch-all': {
+            const [action, ...values] = positionals;
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            let change = null;
+            if (action === 'forward') {
+                change = { type: 'forward', value: parseDestinationList(values.join(',')), enabled: true };
+                if (change.value.length === 0) throw new Error('Missing destination. Usage: catch-all forward <emails>');
+            } else if (action === 'drop') {
+                change = { type: 'drop', enabled: true };
+            } else if (action === 'worker') {
+                if (!values[0]) throw new Error('Missing Worker name. Usage: catch-all worker <name>');
+                change = { type: 'worker', value: [values[0]], enabled: true };
+            } else if (action === 'enable' || action === 'disable') {
+                const current = (await cf.getCatchAllRule(CONFIG.zoneId)).actions?.[0] || { type: 'drop' };
+                change = { type: current.type, value: current.value || [], enabled: action === 'enable' };
+            } else if (action) {
+                throw new Error(`Unknown catch-all action "${action}". Use: forward <emails> | drop | worker <name> | enable | disable`);
+            }
+
+            if (change && !CONFIG.dryRun) {
+                await confirmOrAbort(flags, `Change the catch-all rule of ${CONFIG.emailDomain}?`);
+            }
+            await runCatchAllFlow(null, change);
+            return 0;
+        }
+
+        case 'list': {
+            const format = String(getTextFlag(flags, 'format', 'format') || 'table').toLowerCase();
+            if (!LISTING_FORMATS.includes(format)) {
+                throw new Error(`Unknown format "${format}". Use one of: ${LISTING_FORMATS.join(', ')}`);
+            }
+            if (flags.enabled && flags.paused) throw new Error('Use either --enabled or --paused, not both');
+
+            const since = getTextFlag(flags, 'since', 'since');
+            const until = getTextFlag(flags, 'until', 'until');
+            const criteria = {
+                aliases: positionals,
+                match: getTextFlag(flags, 'match', 'match') || null,
+                bundle: flags.bundle ? (resolveBundleKey(flags.bundle) || flags.bundle) : null,
+                destination: getTextFlag(flags, 'destination', 'destination') || null,
+                status: getTextFlag(flags, 'status', 'status') || null,
+                label: getTextFlag(flags, 'label', 'label') || null,
+                tags: normalizeTags(getTextFlag(flags, 'tag', 'tag') || ''),
+                enabled: flags.enabled ? true : (flags.paused ? false : null),
+                since: since ? parseDateBound(since) : null,
+                until: until ? parseDateBound(until, { end: true }) : null
+            };
+
+            if (flags.local) {
+                if (!CONFIG.emailDomain) throw new Error('Missing EMAIL_DOMAIN');
+            } else {
+                await initializeConfig({ quiet: format !== 'table' });
+                validateConfig();
+            }
+            await runListFlow(criteria, { format, local: Boolean(flags.local) });
+            return 0;
+        }
+
+        case 'pause':
+        case 'resume': {
+            const criteria = {
+                aliases: positionals,
+                match: flags.match || null,
+                bundle: flags.bundle ? (resolveBundleKey(flags.bundle) || flags.bundle) : null,
+                destination: flags.destination || null
+            };
+            if (!hasAliasCriteria(criteria) && !flags.all) {
+                throw new Error(`Nothing selected. Usage: ${command} <alias...> | --match <glob> | --bundle <key> | --destination <email> | --all`);
+            }
+
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            const result = await runToggleFlow(command === 'resume', criteria, { flags });
+            return result && result.failed > 0 ? 1 : 0;
+        }
+
+        case 'backup': {
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            await runBackupExport(getTextFlag(flags, 'output', 'output'));
+            return 0;
+        }
+
+        case 'import-backup': {
+            const [file] = positionals;
+            if (!file) throw new Error('Missing backup file. Usage: import-backup <file> [--catch-all] [--domain <target>]');
+
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            const result = await runBackupImport(file, { catchAll: Boolean(flags.catchAll), flags });
+            return result.failed > 0 ? 1 : 0;
+        }
+
+        case 'restore': {
+            await initializeConfig();
+            validateConfig();
+
+            const [archive, ...aliases] = positionals;
+            if (!archive) {
+                await printTrashArchives();
+                return 0;
+            }
+
+            const criteria = {
+                aliases,
+                match: flags.match || null,
+                bundle: flags.bundle ? (resolveBundleKey(flags.bundle) || flags.bundle) : null,
+                label: getTextFlag(flags, 'label', 'label') || null
+            };
+            if (!hasAliasCriteria(criteria) && !flags.all) {
+                throw new Error('Nothing selected. Usage: restore <archive|latest> <alias...> | --match <glob> | --bundle <key> | --all');
+            }
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            const result = await runRestoreFlow(await resolveTrashArchivePath(archive), criteria, { flags });
+            return result && result.failed > 0 ? 1 : 0;
+        }
+
+        case 'migrate': {
+            const toDest = parseDestinationList(getTextFlag(flags, 'toDest', 'to-dest') || '');
+            const toDomain = getTextFlag(flags, 'toDomain', 'to-domain') || null;
+            if (toDest.length === 0 && !toDomain) {
+                throw new Error('Nothing to migrate to. Usage: migrate [<alias...>] --to-dest <emails> | --to-domain <domain> [--to-dest <emails>]');
+            }
+
+            const criteria = {
+                aliases: positionals,
+                match: flags.match || null,
+                bundle: flags.bundle ? (resolveBundleKey(flags.bundle) || flags.bundle) : null,
+                label: getTextFlag(flags, 'label', 'label') || null,
+                destination: flags.destination || null
+            };
+
+            await initializeConfig();
+            validateConfig();
+            if (!CONFIG.zoneId) throw new Error(`Could not resolve Zone ID for ${CONFIG.emailDomain}`);
+
+            const result = await runMigrateFlow(criteria, {
+                file: getTextFlag(flags, 'file', 'file') || null,
+                toDest,
+                toDomain,
+                flags
+            });
+            return result && result.failureCount > 0 ? 1 : 0;
+        }
+
+        case 'reveal': {
+            const criteria = {
+                aliases: positionals,
+                match: getTextFlag(flags, 'match', 'match') || null,
+                bundle: flags.bundle ? (resolveBundleKey(flags.bundle) || flags.bundle) : null,
+                label: getTextFlag(flags, 'label', 'label') || null
+            };
+            if (!hasAliasCriteria(criteria) && !flags.all) {
+                throw new Error('Nothing selected. Usage: reveal <alias...> | --match <glob> | --bundle <key> | --label <glob> | --all');
+            }
+            if (!CONFIG.emailDomain) throw new Error('Missing EMAIL_DOMAIN');
+
+            await runRevealFlow(criteria);
+            return 0;
+        }
+
+        case 'export': {
+            const format = String(getTextFlag(flags, 'format', 'format') || 'txt').toLowerCase();
+            if (!CREDENTIAL_EXPORT_FORMATS.includes(format)) {
+                throw new Error(`Unknown format "${format}". Use one of: ${CREDENTIAL_EXPORT_FORMATS.join(', ')}`);
+            }
+            const criteria = {
+                aliases: positionals,
+                match: getTextFlag(flags, 'match', 'match') || null,
+                bundle: flags.bundle ? (resolveBundleKey(flags.bundle) || flags.bundle) : null,
+                label: getTextFlag(flags, 'label', 'label') || null
+            };
+            if (!CONFIG.emailDomain) throw new Error('Missing EMAIL_DOMAIN');
+
+            await runPasswordExport(getTextFlag(flags, 'output', 'output') || null, { format, criteria });
+            return 0;
+        }
+
+        case 'vault': {
+            const [action = 'status'] = positionals;
+            if (!CONFIG.emailDomain) throw new Error('Missing EMAIL_DOMAIN');
+
+            if (action === 'status') {
+                await runVaultStatus();
+                return 0;
+            }
+            if (action === 'migrate') {
+                await runVaultMigration({ flags });
+                return 0;
+            }
+            throw new Error(`Unknown vault action "${action}". Usage: vault [status | migrate]`);
+        }
+
+        case 'label': {
+            const [alias] = positionals;
+            if (!alias) throw new Error('Missing alias. Usage: label <alias> [--label <service>] [--notes <text>] [--tags a,b]');
+
+            const changes = {};
+            const label = getTextFlag(flags, 'label', 'label');
+            const notes = getTextFlag(flags, 'notes', 'notes');
+            const tags = getTextFlag(flags, 'tags', 'tags');
+            const addTags = getTextFlag(flags, 'addTags', 'add-tags');
+            const removeTags = getTextFlag(flags, 'removeTags', 'remove-tags');
+            if (label !== undefined) changes.label = label;
+            if (notes !== undefined) changes.notes = notes;
+            if (tags !== undefined) changes.tags = normalizeTags(tags);
+            if (addTags !== undefined) changes.addTags = normalizeTags(addTags);
+            if (removeTags !== undefined) changes.removeTags = normalizeTags(removeTags);
+
+            await initializeConfig();
+            validateConfig();
+            await runLabelFlow(alias, changes);
+            return 0;
+        }
+
+        case 'claim': {
+            const service = positionals.join(' ').trim();
+            if (!service) throw new Error('Missing service. Usage: claim <service> [--bundle <key>] [--notes <text>] [--tags a,b]');
+
+            let bundle = null;
+            if (flags.bundle) {
+                bundle = resolveBundleKey(flags.bundle);
+                if (!bundle) throw new Error(`Unknown bundle "${flags.bundle}". Valid bundles: ${Object.keys(WORD_BUNDLES).join(', ')}`);
+            }
+            const tags = getTextFlag(flags, 'tags', 'tags');
+
+            await initializeConfig();
+            validateConfig();
+            await runClaimFlow(service, {
+                bundle,
+                notes: getTextFlag(flags, 'notes', 'notes'),
+                tags: tags !== undefined ? normalizeTags(tags) : undefined
+            });
+            return 0;
+        }
+
+        case 'sync': {
+            await initializeConfig();
+            validateConfig();
+            const report = await runSyncFlow(null, { importRemote: flags.import, prune: flags.prune });
+            return report ? 0 : 1;
+        }
+
+        case 'passwords': {
+            if (flags.regenerate && positionals.length === 0) {
+                throw new Error('--regenerate needs the aliases to replace. Usage: passwords <alias...> --regenerate');
+            }
+            validateConfig();
+            const generated = await runPasswordGeneration(null, {
+                aliases: positionals,
+                regenerate: Boolean(flags.regenerate),
+                flags
+            });
+            return generated ? 0 : 1;
+        }
+
+        case 'password-profiles':
+            await displayPasswordProfiles();
+            return 0;
+
+        case 'convert':
+            validateConfig();
+            await runJsonToTxtConverter(null, positionals[0] || flags.file || '');
+            return 0;
+
+        case 'cleanup': {
+            // Cleanup deletes every generated alias of the zone: --yes alone is not enough
+            if (flags.yes && flags.confirm === undefined && !CONFIG.dryRun) {
+                throw new Error(`cleanup needs the domain name instead of --yes: --confirm ${CONFIG.emailDomain || '<domain>'}`);
+            }
+            await initializeConfig();
+            validateConfig();
+            return runScript('cleanup-generated-aliases.js', [
+                ...(CONFIG.dryRun ? ['--dry-run'] : []),
+                ...(flags.max !== undefined ? ['--max', String(flags.max)] : []),
+                ...(flags.confirm !== undefined ? ['--confirm', String(flags.confirm)] : [])
+            ]);
+        }
+
+        case 'delete': {
+            const file = positionals[0] || flags.file;
+            if (!file) throw new Error('Missing JSON file. Usage: delete <file.json> [--dry-run]');
+
+            // Selective deletes preview the selection and confirm in the script itself
+            const selection = DELETE_SELECTION_FLAGS
+                .filter(([name]) => flags[name] !== undefined)
+                .flatMap(([name, flagName]) => [`--${flagName}`, String(flags[name])]);
+            if (!CONFIG.dryRun && selection.length === 0) {
+                await confirmOrAbort(flags, `Delete every alias listed in ${file}?`);
+            }
+            const passThrough = [
+                ...selection,
+                ...(CONFIG.dryRun ? ['--dry-run'] : []),
+                ...(flags.resume ? ['--resume'] : []),
+                ...(flags.yes ? ['--yes'] : [])
+            ];
+            return runScript('delete-email-aliases.js', [file, ...passThrough]);
+        }
+
+        default:
+            console.error(`❌ Unknown command: ${command}\n`);
+            console.log(USAGE);
+            return 1;
+    }
 }
 
 async function main() {
+    const { command, flags, positionals } = parseCliArgs(process.argv.slice(2), CLI_OPTIONS);
+
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command) {
+        process.exit(await runCommand(command, flags, positionals));
+    }
+
     console.log('🚀 Cloudflare Email Routing Suite\n');
     console.log('   Interactive Privacy-Focused Edition\n');
 
     const rl = createReadline();
 
     // 1. Configure Domain
-    const defaultDomain = CONFIG.emailDomain || '';
+    const defaultDomain = flags.domain || CONFIG.emailDomain || '';
     const domainInput = await question(rl, `🌐 Target Domain [${defaultDomain}]: `);
     const newDomain = domainInput.trim() || defaultDomain;
 
@@ -976,8 +3401,8 @@ async function main() {
     }
 
     // 2. Configure Destination
-    const defaultDest = CONFIG.destinationEmail || '';
-    const destInput = await question(rl, `📨 Destination Email [${defaultDest}]: `);
+    const defaultDest = flags.dest || CONFIG.destinationEmail || '';
+    const destInput = await question(rl, `📨 Destination Email(s), comma-separated [${defaultDest}]: `);
     CONFIG.destinationEmail = destInput.trim() || defaultDest;
 
     console.log(''); // spacer
@@ -1000,39 +3425,59 @@ async function main() {
         console.log('1. ✨ Create Aliases (includes Auto-Password Gen)');
         console.log('2. 🔐 Generate Passwords for Existing File');
         console.log('3. 🧹 Cleanup/Delete Aliases');
-        console.log('4. 🧪 Test Credentials');
-        console.log('5. 🚪 Exit');
+        console.log('4. 🔄 Sync with Cloudflare');
+        console.log('5. 📬 Destination Addresses');
+        console.log('6. 📡 Email Routing Status');
+        console.log('7. 🪣 Catch-All Rule');
+        console.log('8. 🧪 Test Credentials');
+        console.log('9. 🚪 Exit');
 
-        const choice = await question(rl, '\n👉 Select an option (1-5): ');
+        const choice = await question(rl, '\n👉 Select an option (1-9): ');
 
         if (choice.trim() === '1') {
-            await runCreationFlow(rl);
+            try {
+                await withDomainLock('create', () => runCreationFlow(rl));
+            } catch (e) {
+                console.error(`❌ ${e.message}`);
+            }
             // Don't break here anymore, allow returning to menu
         } else if (choice.trim() === '2') {
             // Internal password generation
-            const domainSlug = CONFIG.emailDomain.replace(/\./g, '-');
-            const txtFile = `${domainSlug}.txt`;
-            if (existsSync(txtFile)) {
-                const content = await readFile(txtFile, 'utf-8');
-                const emails = content.split('\n').map(l => l.trim()).filter(l => l && l.includes('@'));
-                console.log(`Found ${emails.length} aliases in ${txtFile}. Generating passwords...`);
-                const creds = generateUniquePasswords(emails);
-                await updateFilesWithPasswords(domainSlug, creds);
-            } else {
-                console.log(`❌ File not found: ${txtFile}`);
+            try {
+                await withDomainLock('passwords', () => runPasswordGeneration(rl));
+            } catch (e) {
+                console.error(`❌ ${e.message}`);
             }
         } else if (choice.trim() === '3') {
             console.log('Launching Cleanup Script...');
-            // Pass current config to the child process so it uses the selected domain/zone
-            const envVars = {
-                ...process.env,
-                EMAIL_DOMAIN: CONFIG.emailDomain,
-                CLOUDFLARE_ZONE_ID: CONFIG.zoneId
-            };
-            try { execSync('node cleanup-generated-aliases.js', { stdio: 'inherit', env: envVars }); } catch (e) { }
+            runScript('cleanup-generated-aliases.js');
         } else if (choice.trim() === '4') {
-            await runCredentialTest();
+            try {
+                await withDomainLock('sync', () => runSyncFlow(rl));
+            } catch (e) {
+                console.error(`❌ Sync failed: ${e.message}`);
+            }
         } else if (choice.trim() === '5') {
+            try {
+                await runDestinationsFlow(rl);
+            } catch (e) {
+                console.error(`❌ Destination addresses failed: ${e.message}`);
+            }
+        } else if (choice.trim() === '6') {
+            try {
+                await runRoutingStatus();
+            } catch (e) {
+                console.error(`❌ Could not read Email Routing status: ${e.message}`);
+            }
+        } else if (choice.trim() === '7') {
+            try {
+                await runCatchAllFlow(rl);
+            } catch (e) {
+                console.error(`❌ Catch-all update failed: ${e.message}`);
+            }
+        } else if (choice.trim() === '8') {
+            await runCredentialTest();
+        } else if (choice.trim() === '9') {
             console.log('Bye! 👋');
             process.exit(0);
         } else {
@@ -4,56 +4,39 @@
  * Cloudflare Email Routing Alias Deletion Script
  * 
  * Deletes email routing aliases created by create-email-aliases.js
- * Reads the exported JSON file and removes rules by their IDs
+ * Reads the exported JSON file and removes rules by their IDs.
+ * Selection options delete only part of the file. Either way the tracking
+ * files are rewritten without the deleted aliases instead of being removed.
  * 
  * @requires Node.js 18+ (for native fetch)
  */
 
-import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-// ============================================================================
-// ENVIRONMENT LOADER
-// ============================================================================
-
-async function loadEnvFile() {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const envPath = join(__dirname, '.env');
-
-    if (!existsSync(envPath)) {
-        return;
-    }
-
-    try {
-        const envContent = await readFile(envPath, 'utf-8');
-        const lines = envContent.split('\n');
-
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('#')) continue;
-
-            const match = trimmed.match(/^([^=]+)=(.*)$/);
-            if (match) {
-                const key = match[1].trim();
-                let value = match[2].trim();
-
-                if ((value.startsWith('"') && value.endsWith('"')) ||
-                    (value.startsWith("'") && value.endsWith("'"))) {
-                    value = value.slice(1, -1);
-                }
-
-                if (!process.env[key]) {
-                    process.env[key] = value;
-                }
-            }
-        }
-    } catch (error) {
-        console.warn(`⚠️  Could not load .env file: ${error.message}`);
-    }
-}
+import { createInterface } from 'readline';
+import {
+    loadEnvFile,
+    parseCliArgs,
+    createCloudflareClient,
+    resolveZoneId,
+    getDomainFile,
+    readTrackingFile,
+    readTrackingEntries,
+    writeTrackingEntries,
+    updateTxtFile,
+    readAliasList,
+    normalizeTags,
+    parseDateBound,
+    hasAliasCriteria,
+    createAliasFilter,
+    resolveBundleKey,
+    createTrashArchive,
+    createRateLimiter,
+    rateFromDelay,
+    runPool,
+    createJournal,
+    appendFileAtomic,
+    acquireLock
+} from './lib/index.js';
 
 await loadEnvFile();
 
@@ -61,154 +44,192 @@ await loadEnvFile();
 // CONFIGURATION
 // ============================================================================
 
+const ARGS = parseCliArgs(process.argv.slice(2), { booleans: ['dry-run', 'resume', 'yes'], aliases: { y: 'yes' } });
+
 const CONFIG = {
     apiToken: process.env.CLOUDFLARE_API_TOKEN,
     zoneId: process.env.CLOUDFLARE_ZONE_ID,
     requestDelayMs: parseInt(process.env.REQUEST_DELAY_MS || '100', 10),
-    dryRun: process.argv.includes('--dry-run'),
+    concurrency: parseInt(process.env.CONCURRENCY || '4', 10),
+    dryRun: Boolean(ARGS.flags.dryRun),
+    resume: Boolean(ARGS.flags.resume),
+    yes: Boolean(ARGS.flags.yes),
     maxRetries: 3,
     baseRetryDelayMs: 1000,
 };
 
-// ============================================================================
-// UTILITIES
-// ============================================================================
+// REQUEST_DELAY_MS is the ceiling; the limiter slows down on 429s and recovers on success
+const limiter = createRateLimiter({
+    maxRate: rateFromDelay(CONFIG.requestDelayMs),
+    onRateChange: (rate, reason) => {
+        if (reason === 'throttle') console.warn(`🐢 Rate limited - slowing down to ${rate.toFixed(1)} req/s`);
+    }
+});
 
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+const cf = createCloudflareClient({
+    apiToken: CONFIG.apiToken,
+    maxRetries: CONFIG.maxRetries,
+    baseRetryDelayMs: CONFIG.baseRetryDelayMs,
+    limiter
+});
 
 // ============================================================================
-// CLOUDFLARE API
+// SELECTION
 // ============================================================================
 
 /**
- * Deletes an email routing rule by ID
- * @param {string} ruleId - Rule ID to delete
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<object>} Deletion result
+ * Reads a flag that needs a value
  */
-async function deleteEmailRoutingRule(ruleId, retryCount = 0) {
-    const url = `https://api.cloudflare.com/client/v4/zones/${CONFIG.zoneId}/email/routing/rules/${ruleId}`;
-
-    try {
-        const response = await fetch(url, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${CONFIG.apiToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
+function textFlag(name, flagName) {
+    const value = ARGS.flags[name];
+    if (value === undefined) return null;
+    if (value === true) throw new Error(`--${flagName} needs a value`);
+    return String(value);
+}
 
-        const data = await response.json();
+/**
+ * Builds the selection criteria from the command line
+ * @returns {Promise<object>} Criteria for createAliasFilter()
+ */
+async function getSelectionCriteria() {
+    const bundle = textFlag('bundle', 'bundle');
+    const tag = textFlag('tag', 'tag');
+    const before = textFlag('before', 'before');
+    const olderThan = textFlag('olderThan', 'older-than');
+    const listFile = textFlag('list', 'list');
+
+    let until = null;
+    if (before) {
+        // "Created before 2026-01-01" excludes that day itself
+        until = new Date(parseDateBound(before).getTime() - 1);
+    }
+    if (olderThan) {
+        const days = /^(\d+)d?$/.exec(olderThan.trim());
+        if (!days) throw new Error(`Invalid --older-than "${olderThan}" (use a number of days, e.g. 90 or 90d)`);
+        const cutoff = new Date(Date.now() - parseInt(days[1], 10) * 24 * 60 * 60 * 1000);
+        until = until && until < cutoff ? until : cutoff;
+    }
 
-        // Handle rate limiting
-        if (response.status === 429) {
-            if (retryCount >= CONFIG.maxRetries) {
-                throw new Error(`Rate limited after ${CONFIG.maxRetries} retries`);
-            }
-            const retryDelay = CONFIG.baseRetryDelayMs * Math.pow(2, retryCount);
-            console.warn(`⚠️  Rate limited. Retrying in ${retryDelay}ms...`);
-            await delay(retryDelay);
-            return deleteEmailRoutingRule(ruleId, retryCount + 1);
-        }
+    return {
+        aliases: listFile ? await readAliasList(listFile) : [],
+        match: textFlag('match', 'match'),
+        regex: textFlag('regex', 'regex'),
+        bundle: bundle ? (resolveBundleKey(bundle) || bundle) : null,
+        label: textFlag('label', 'label'),
+        tags: tag ? normalizeTags(tag) : [],
+        until
+    };
+}
 
-        // Handle server errors
-        if (response.status >= 500) {
-            if (retryCount >= CONFIG.maxRetries) {
-                throw new Error(`Server error after ${CONFIG.maxRetries} retries`);
-            }
-            const retryDelay = CONFIG.baseRetryDelayMs * Math.pow(2, retryCount);
-            console.warn(`⚠️  Server error. Retrying in ${retryDelay}ms...`);
-            await delay(retryDelay);
-            return deleteEmailRoutingRule(ruleId, retryCount + 1);
-        }
+/**
+ * Asks for a y/N confirmation; refuses instead of hanging without a terminal
+ */
+async function confirmDeletion(message) {
+    if (CONFIG.yes) return;
 
-        // Handle client errors
-        if (!response.ok) {
-            const errorMsg = data.errors?.[0]?.message || `HTTP ${response.status}`;
-            throw new Error(errorMsg);
-        }
+    if (!process.stdin.isTTY) {
+        throw new Error(`${message} Re-run with --yes to confirm in non-interactive mode.`);
+    }
 
-        return { success: true };
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`⚠️  ${message} (y/N): `, resolve));
+    rl.close();
 
-    } catch (error) {
-        if (retryCount < CONFIG.maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
-            const retryDelay = CONFIG.baseRetryDelayMs * Math.pow(2, retryCount);
-            console.warn(`⚠️  Network error. Retrying in ${retryDelay}ms...`);
-            await delay(retryDelay);
-            return deleteEmailRoutingRule(ruleId, retryCount + 1);
-        }
-        throw error;
+    if (!/^y(es)?$/i.test(answer.trim())) {
+        throw new Error('Aborted by user.');
     }
 }
 
-// ============================================================================
-// MAIN
-// ============================================================================
-
 /**
- * Automatically fetches the Zone ID from Cloudflare based on the domain name.
+ * Removes deleted aliases from the tracking files next to the JSON file:
+ * the JSON entries, the TXT lines, and a deletion block in the TOON log
+ * @param {string} inputFile - Path to <domain>.json
+ * @param {Array} entries - All entries of the JSON file
+ * @param {Set<string>} deletedIds - Rule IDs that no longer exist remotely
  */
-async function fetchZoneIdByName(domain) {
-    if (!CONFIG.apiToken) return null;
+async function removeDeletedFromTrackingFiles(inputFile, entries, deletedIds) {
+    const deleted = entries.filter(e => e.ruleId && deletedIds.has(e.ruleId));
+    if (deleted.length === 0) return;
 
-    const url = `https://api.cloudflare.com/client/v4/zones?name=${domain}`;
-    try {
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${CONFIG.apiToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        const data = await response.json();
-        if (data.success && data.result.length > 0) {
-            return data.result[0].id;
-        }
-        return null;
-    } catch (error) {
-        console.warn(`⚠️  Automatic zone discovery failed: ${error.message}`);
-        return null;
+    await writeTrackingEntries(inputFile, entries.filter(e => !deleted.includes(e)));
+    console.log(`💾 Removed ${deleted.length} deleted aliases from ${inputFile}`);
+
+    const txtFile = inputFile.replace(/\.json$/, '.txt');
+    if (existsSync(txtFile)) {
+        await updateTxtFile(txtFile, { removed: deleted.map(e => e.alias) });
+        console.log(`📝 Updated ${txtFile}`);
+    }
+
+    const toonFile = inputFile.replace(/\.json$/, '.toon');
+    if (existsSync(toonFile)) {
+        const timestamp = new Date().toISOString();
+        const lines = [`deleted_aliases[${deleted.length}]{alias,rule_id,deleted_at}:`];
+        deleted.forEach(e => lines.push(`  ${e.alias},${e.ruleId},${timestamp.split('.')[0].replace('T', ' ')}`));
+        await appendFileAtomic(toonFile, '\n\n' + lines.join('\n'));
+        console.log(`🤖 Logged deletion in ${toonFile}`);
     }
 }
 
+// ============================================================================
+// MAIN
+// ============================================================================
+
 async function main() {
     console.log('🗑️  Cloudflare Email Routing Alias Deletion Script\n');
 
     // Get input file from command line
-    const inputFile = process.argv.find(arg => arg.endsWith('.json') && !arg.startsWith('--'));
+    const inputFile = [ARGS.command, ...ARGS.positionals].find(arg => arg && arg.endsWith('.json'));
 
     if (!inputFile) {
         console.error('❌ Error: No input file specified\n');
         console.error('Usage:');
-        console.error('  node delete-email-aliases.js <json-file> [--dry-run]\n');
-        console.error('Example:');
-        console.error('  node delete-email-aliases.js aeglyn-site.json\n');
+        console.error('  node delete-email-aliases.js <json-file> [--dry-run] [--resume] [--yes]');
+        console.error('         [--match <glob>] [--regex <pattern>] [--bundle <key>] [--label <glob>] [--tag a,b]');
+        console.error('         [--before <date>] [--older-than <days>] [--list <file>]\n');
+        console.error('Examples:');
+        console.error('  node delete-email-aliases.js aeglyn-site.json');
+        console.error('  node delete-email-aliases.js aeglyn-site.json --bundle tech-wizard --before 2026-01-01\n');
+        process.exit(1);
+    }
+
+    // Which domain the file tracks: its lock is shared with the other scripts
+    let domain;
+    try {
+        if (!existsSync(inputFile)) throw new Error(`${inputFile} does not exist`);
+        const { data } = await readTrackingFile(inputFile);
+        domain = data.domain || data.aliases.find(a => a.alias)?.alias.split('@')[1];
+    } catch (error) {
+        console.error(`❌ Error reading file: ${error.message}\n`);
         process.exit(1);
     }
 
-    // Read aliases from JSON file
+    // Held until the process exits, so no other run rewrites the tracking files meanwhile
+    if (!CONFIG.dryRun && domain) {
+        try {
+            await acquireLock(getDomainFile(domain, 'lock'), { command: 'delete' });
+        } catch (error) {
+            console.error(`❌ ${error.message}\n`);
+            process.exit(1);
+        }
+    }
+
+    // Read aliases from JSON file (again, now that no other run can change it)
     let aliases;
     try {
-        const fileContent = await readFile(inputFile, 'utf-8');
-        aliases = JSON.parse(fileContent);
+        aliases = await readTrackingEntries(inputFile);
     } catch (error) {
         console.error(`❌ Error reading file: ${error.message}\n`);
         process.exit(1);
     }
 
+    const criteria = await getSelectionCriteria();
+    const selective = hasAliasCriteria(criteria);
+
     // Auto-resolve Zone ID if missing
     if (!CONFIG.zoneId && aliases.length > 0 && aliases[0].alias) {
         const domain = aliases[0].alias.split('@')[1];
         if (domain) {
-            process.stdout.write(`🔍 Resolving Zone ID for ${domain}... `);
-            const autoId = await fetchZoneIdByName(domain);
-            if (autoId) {
-                CONFIG.zoneId = autoId;
-                console.log(`✅ Found: ${autoId.substring(0, 8)}...`);
-            } else {
-                console.log('❌ Failed');
-            }
+            CONFIG.zoneId = await resolveZoneId(cf, domain);
         }
     }
 
@@ -222,14 +243,28 @@ async function main() {
     }
 
     // Filter successful aliases with rule IDs
-    const deletableAliases = aliases.filter(a => a.status === 'success' && a.ruleId);
+    const selected = selective ? aliases.filter(createAliasFilter(criteria)) : aliases;
+    const deletableAliases = selected.filter(a => a.status === 'success' && a.ruleId);
+
+    if (criteria.aliases.length > 0) {
+        const known = new Set(aliases.filter(a => a.alias).flatMap(a => {
+            const address = a.alias.toLowerCase();
+            return [address, address.split('@')[0]];
+        }));
+        const unknown = criteria.aliases.filter(a => !known.has(a.toLowerCase()));
+        if (unknown.length > 0) {
+            console.warn(`⚠️  ${unknown.length} listed aliases are not in ${inputFile}: ${unknown.slice(0, 5).join(', ')}${unknown.length > 5 ? ', ...' : ''}\n`);
+        }
+    }
 
     if (deletableAliases.length === 0) {
-        console.log('⚠️  No aliases to delete (no successful entries found in file)\n');
+        console.log(selective
+            ? '⚠️  No aliases to delete (nothing in the file matches the selection)\n'
+            : '⚠️  No aliases to delete (no successful entries found in file)\n');
         return;
     }
 
-    console.log(`📋 Found ${deletableAliases.length} aliases to delete`);
+    console.log(`📋 Found ${deletableAliases.length} aliases to delete${selective ? ` (selected from ${aliases.length} entries)` : ''}`);
     console.log(`   Dry run: ${CONFIG.dryRun ? 'YES' : 'NO'}\n`);
 
     if (CONFIG.dryRun) {
@@ -241,32 +276,82 @@ async function main() {
         return;
     }
 
-    // Delete aliases
-    console.log('🗑️  Deleting email routing rules...\n');
-    let successCount = 0;
-    let failureCount = 0;
+    if (selective) {
+        deletableAliases.slice(0, 20).forEach((alias, index) => {
+            console.log(`   ${index + 1}. ${alias.alias} (ID: ${alias.ruleId})`);
+        });
+        if (deletableAliases.length > 20) console.log(`   ... and ${deletableAliases.length - 20} more`);
+        console.log('');
+        await confirmDeletion(`Delete these ${deletableAliases.length} aliases?`);
+        console.log('');
+    }
 
-    for (let i = 0; i < deletableAliases.length; i++) {
-        const alias = deletableAliases[i];
+    // Every deletion is journaled so an interrupted run can continue with --resume
+    const journal = createJournal(inputFile.replace(/\.json$/, '') + '.delete.journal.jsonl');
+    const unfinished = await journal.loadUnfinished();
+    const deletedIds = new Set();
+    let previouslyDeleted = 0;
+    let pendingAliases = deletableAliases;
+
+    if (CONFIG.resume && unfinished) {
+        unfinished.entries.filter(e => e.status === 'success').forEach(e => deletedIds.add(e.ruleId));
+        pendingAliases = deletableAliases.filter(a => !deletedIds.has(a.ruleId));
+        previouslyDeleted = deletableAliases.length - pendingAliases.length;
+        console.log(`♻️  Resuming run from ${unfinished.header.startedAt}: ${previouslyDeleted} already deleted, ${pendingAliases.length} pending\n`);
+    } else {
+        if (CONFIG.resume) console.log('ℹ️  Nothing to resume - starting a new deletion run.\n');
+        else if (unfinished) console.log(`⚠️  Discarding unfinished run in ${journal.path} (use --resume to continue it)\n`);
+        await journal.start({ job: 'delete', file: inputFile, ruleIds: deletableAliases.map(a => a.ruleId) });
+    }
 
+    // Snapshot the full rules first so `restore` can bring them back
+    if (pendingAliases.length > 0) {
         try {
-            console.log(`[${i + 1}/${deletableAliases.length}] Deleting: ${alias.alias}`);
+            const pendingIds = new Set(pendingAliases.map(a => a.ruleId));
+            const rules = (await cf.listEmailRoutingRules(CONFIG.zoneId)).filter(rule => pendingIds.has(rule.id));
+            const archivePath = await createTrashArchive({
+                domain: pendingAliases[0].alias.split('@')[1],
+                zoneId: CONFIG.zoneId,
+                source: 'delete',
+                rules,
+                entries: pendingAliases
+            });
+            console.log(`🗃️  Rules archived to ${archivePath}\n`);
+        } catch (error) {
+            throw new Error(`Could not archive the rules before deleting them (nothing was deleted): ${error.message}`);
+        }
+    }
 
-            await deleteEmailRoutingRule(alias.ruleId);
+    // Delete aliases
+    console.log('🗑️  Deleting email routing rules...\n');
+    const total = pendingAliases.length;
 
-            successCount++;
-            console.log(`✅ Deleted successfully\n`);
+    const outcomes = await runPool(pendingAliases, async (alias, i) => {
+        const entry = { alias: alias.alias, ruleId: alias.ruleId, status: 'success' };
 
+        try {
+            await cf.deleteEmailRoutingRule(CONFIG.zoneId, alias.ruleId);
+            console.log(`[${i + 1}/${total}] ✅ Deleted: ${alias.alias}`);
         } catch (error) {
-            failureCount++;
-            console.error(`❌ Failed: ${error.message}\n`);
+            if (error.status === 404) {
+                // Already gone (e.g. deleted right before a crash) - that is the goal state
+                console.log(`[${i + 1}/${total}] ✅ Already deleted: ${alias.alias}`);
+            } else {
+                entry.status = 'failed';
+                entry.error = error.message;
+                console.error(`[${i + 1}/${total}] ❌ ${alias.alias}: ${error.message}`);
+            }
         }
 
-        // Rate limiting delay
-        if (i < deletableAliases.length - 1) {
-            await delay(CONFIG.requestDelayMs);
-        }
-    }
+        await journal.record(entry);
+        if (entry.status === 'success') deletedIds.add(alias.ruleId);
+        return entry.status === 'success';
+    }, { concurrency: CONFIG.concurrency });
+
+    const successCount = previouslyDeleted + outcomes.filter(Boolean).length;
+    const failureCount = outcomes.length - outcomes.filter(Boolean).length;
+    await journal.finish({ successCount, failureCount });
+    console.log('');
 
     // Summary
     console.log('═══════════════════════════════════════════════════════');
@@ -277,30 +362,21 @@ async function main() {
     console.log(`📧 Total: ${deletableAliases.length}`);
     console.log('═══════════════════════════════════════════════════════\n');
 
-    // Clean up JSON and TXT files if deletion was successful
-    if (successCount > 0 && failureCount === 0) {
-        try {
+    // The tracking files keep everything that was not deleted (failed entries, labels, notes)
+    try {
+        await removeDeletedFromTrackingFiles(inputFile, aliases, deletedIds);
+        // The finished journal has nothing left to resume
+        if (failureCount === 0 && existsSync(journal.path)) {
             const { unlink } = await import('fs/promises');
-            const { existsSync } = await import('fs');
-
-            // Delete JSON file
-            await unlink(inputFile);
-            console.log(`🗑️  Cleaned up: ${inputFile}`);
-
-            // Delete corresponding TXT file if it exists
-            const txtFile = inputFile.replace('.json', '.txt');
-            if (existsSync(txtFile)) {
-                await unlink(txtFile);
-                console.log(`🗑️  Cleaned up: ${txtFile}`);
-            }
-
-            console.log('\n✅ All aliases deleted and tracking files removed!\n');
-        } catch (error) {
-            console.warn(`\n⚠️  Could not delete tracking files: ${error.message}`);
-            console.warn('   You may want to manually delete them.\n');
+            await unlink(journal.path);
         }
-    } else if (failureCount > 0) {
-        console.log('⚠️  Some aliases failed to delete. Keeping JSON file for retry.\n');
+        console.log('');
+    } catch (error) {
+        console.warn(`\n⚠️  Could not update tracking files: ${error.message}\n`);
+    }
+
+    if (failureCount > 0) {
+        console.log('⚠️  Some aliases failed to delete. Keeping them in the JSON file for retry.\n');
     }
 
     process.exit(failureCount > 0 ? 1 : 0);
@@ -0,0 +1,132 @@
+/**
+ * Zone Backups
+ *
+ * A backup holds every Email Routing rule of a zone, not only the aliases
+ * this tool generated: matchers, actions, priority, enabled flag and name,
+ * plus the catch-all rule. Importing rebuilds the rules into the same or
+ * another zone; rules whose matchers already exist there are skipped.
+ *
+ * @example example-com.routing-backup.2026-01-31T10-15-00.json
+ * {
+ *   "format": "email-routing-backup",
+ *   "version": 1,
+ *   "domain": "example.com",
+ *   "zoneId": "abc...",
+ *   "exportedAt": "2026-01-31T10:15:00.000Z",
+ *   "rules": [{ "matchers": [...], "actions": [...], "enabled": true, "name": "...", "priority": 0 }],
+ *   "catchAll": { "matchers": [{ "type": "all" }], "actions": [{ "type": "drop" }], "enabled": false, "name": "" }
+ * }
+ */
+
+import { readFile } from 'fs/promises';
+import { getRuleDefinition, isCatchAllRule } from './rules.js';
+
+export const ZONE_BACKUP_FORMAT = 'email-routing-backup';
+export const ZONE_BACKUP_VERSION = 1;
+
+/**
+ * Builds a backup from the zone's rules
+ * @param {object} options
+ * @param {string} options.domain - Zone name
+ * @param {string} options.zoneId - Zone ID
+ * @param {Array} options.rules - Every routing rule of the zone
+ * @param {object} [options.catchAll] - Catch-all rule
+ * @returns {object} Backup (see module example)
+ */
+export function createZoneBackup({ domain, zoneId, rules, catchAll = null }) {
+    return {
+        format: ZONE_BACKUP_FORMAT,
+        version: ZONE_BACKUP_VERSION,
+        domain,
+        zoneId,
+        exportedAt: new Date().toISOString(),
+        // The catch-all is stored separately: it cannot be created, only replaced
+        rules: rules.filter(rule => !isCatchAllRule(rule)).map(getRuleDefinition),
+        catchAll: catchAll && catchAll.actions ? getRuleDefinition(catchAll) : null
+    };
+}
+
+/**
+ * Reads and checks a backup file
+ * @param {string} filePath - Backup path
+ * @returns {Promise<object>} Backup
+ * @throws {Error} When the file is unreadable, not a backup or from a newer version
+ */
+export async function readZoneBackup(filePath) {
+    let backup;
+    try {
+        backup = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read backup ${filePath}: ${error.message}`);
+    }
+
+    if (backup?.format !== ZONE_BACKUP_FORMAT || !Array.isArray(backup.rules)) {
+        throw new Error(`${filePath} is not an Email Routing backup`);
+    }
+    if (!Number.isInteger(backup.version) || backup.version > ZONE_BACKUP_VERSION) {
+        throw new Error(`${filePath} has unsupported backup version ${backup.version} (this tool reads up to ${ZONE_BACKUP_VERSION})`);
+    }
+
+    const invalid = backup.rules.findIndex(rule => !Array.isArray(rule.matchers) || !Array.isArray(rule.actions));
+    if (invalid !== -1) {
+        throw new Error(`${filePath}: rule ${invalid + 1} has no matchers or actions`);
+    }
+    return backup;
+}
+
+/**
+ * Identity of a rule for "already exists" checks: its matchers, with
+ * addresses compared case-insensitively
+ * @param {object} rule - Routing rule or definition
+ * @returns {string}
+ */
+export function ruleMatcherKey(rule) {
+    return JSON.stringify((rule.matchers || [])
+        .map(m => [m.type || '', m.field || '', String(m.value || '').toLowerCase()])
+        .sort());
+}
+
+/**
+ * Points literal matchers of one domain at another (imports into a different zone)
+ */
+function rewriteMatchers(matchers, fromDomain, toDomain) {
+    const suffix = `@${fromDomain.toLowerCase()}`;
+    return matchers.map(m => {
+        const value = String(m.value || '');
+        return m.type === 'literal' && value.toLowerCase().endsWith(suffix)
+            ? { ...m, value: `${value.slice(0, -suffix.length)}@${toDomain}` }
+            : m;
+    });
+}
+
+/**
+ * Decides which rules of a backup an import creates
+ * @param {object} backup - Backup from readZoneBackup()
+ * @param {Array} remoteRules - Current rules of the target zone
+ * @param {object} options
+ * @param {string} options.domain - Target zone name; literal addresses of the
+ *   backup's domain are moved to it
+ * @returns {{ create: object[], existing: object[], rewritten: boolean }} Rule definitions
+ */
+export function planZoneBackupImport(backup, remoteRules, { domain }) {
+    const rewritten = backup.domain.toLowerCase() !== domain.toLowerCase();
+    const present = new Set(remoteRules.map(ruleMatcherKey));
+    const plan = { create: [], existing: [], rewritten };
+
+    for (const rule of backup.rules) {
+        const definition = rewritten
+            ? { ...rule, matchers: rewriteMatchers(rule.matchers, backup.domain, domain) }
+            : rule;
+        const key = ruleMatcherKey(definition);
+
+        if (present.has(key)) {
+            plan.existing.push(definition);
+        } else {
+            plan.create.push(definition);
+            // Duplicates inside the backup are created once
+            present.add(key);
+        }
+    }
+
+    return plan;
+}
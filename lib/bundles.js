@@ -0,0 +1,330 @@
+/**
+ * Themed Word Bundles
+ *
+ * Single source of truth for the word lists used to generate aliases and to
+ * recognise previously generated aliases during cleanup. Built-in bundles
+ * live below; extra bundles are loaded from JSON/YAML files at startup.
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { PROJECT_ROOT } from './env.js';
+import { parseSimpleYaml } from './yaml.js';
+import { DEFAULT_TEMPLATE, compileTemplate, matchesTemplate } from './templates.js';
+
+// ============================================================================
+// THEMED WORD BUNDLES FOR PRIVACY-FOCUSED ALIASES
+// ============================================================================
+
+export const WORD_BUNDLES = {
+    'privacy-guardian': {
+        name: '🛡️  Privacy Guardian',
+        description: 'Security & anonymity themed - perfect for maximum privacy',
+        prefixes: [
+            'anonymous', 'cipher', 'crypt', 'ghost', 'hidden', 'incognito', 'masked',
+            'phantom', 'private', 'secret', 'secure', 'shadow', 'shield', 'silent',
+            'stealth', 'vault', 'veiled', 'whisper', 'cloak', 'enigma', 'obscure',
+            'covert', 'discrete', 'guarded', 'keeper', 'sentinel', 'warden', 'aegis',
+            'bastion', 'fortress', 'haven', 'refuge', 'sanctuary', 'guardian', 'protector',
+            'defender', 'encrypted', 'locked', 'sealed', 'shielded', 'armored', 'fortified',
+            'invisible', 'unseen', 'untraced', 'untraceable', 'nameless', 'faceless', 'void',
+            'dark', 'night', 'twilight', 'dusk', 'shade', 'umbra', 'eclipse'
+        ],
+        suffixes: [
+            'vault', 'cipher', 'lock', 'key', 'gate', 'wall', 'shield', 'guard',
+            'keeper', 'watcher', 'sentinel', 'proxy', 'mask', 'cloak', 'veil',
+            'shadow', 'ghost', 'phantom', 'spirit', 'shade', 'wraith', 'specter',
+            'node', 'relay', 'tunnel', 'bridge', 'portal', 'passage', 'path',
+            'route', 'channel', 'conduit', 'link', 'nexus', 'hub', 'core',
+            'fortress', 'bastion', 'citadel', 'haven', 'refuge', 'sanctuary', 'asylum',
+            'den', 'lair', 'cache', 'stash', 'reserve', 'archive', 'repository',
+            'sentry', 'lookout', 'observer', 'monitor', 'scanner', 'detector'
+        ]
+    },
+
+    'tech-wizard': {
+        name: '⚡ Tech Wizard',
+        description: 'Tech & coding themed - for the digital natives',
+        prefixes: [
+            'binary', 'quantum', 'neural', 'cyber', 'digital', 'virtual', 'pixel',
+            'byte', 'nano', 'micro', 'macro', 'meta', 'proto', 'core', 'kernel',
+            'daemon', 'thread', 'async', 'sync', 'parallel', 'vector', 'matrix',
+            'logic', 'boolean', 'algorithm', 'regex', 'syntax', 'compile', 'runtime',
+            'stack', 'heap', 'cache', 'buffer', 'stream', 'pipeline', 'packet',
+            'protocol', 'network', 'mesh', 'grid', 'cloud', 'edge', 'fog',
+            'data', 'crypto', 'hash', 'token', 'session', 'instance', 'module',
+            'script', 'lambda', 'delta', 'alpha', 'beta', 'gamma', 'omega'
+        ],
+        suffixes: [
+            'bit', 'byte', 'node', 'core', 'chip', 'circuit', 'gate', 'port',
+            'socket', 'thread', 'process', 'daemon', 'service', 'worker', 'agent',
+            'bot', 'proxy', 'server', 'client', 'host', 'mesh', 'grid',
+            'network', 'cluster', 'shard', 'partition', 'segment', 'block', 'chunk',
+            'packet', 'frame', 'payload', 'header', 'footer', 'wrapper', 'container',
+            'pod', 'instance', 'replica', 'mirror', 'cache', 'buffer', 'queue',
+            'stack', 'heap', 'tree', 'graph', 'array', 'vector', 'matrix',
+            'tensor', 'scalar', 'pointer', 'reference', 'handle', 'descriptor'
+        ]
+    },
+
+    'nature-zen': {
+        name: '🌿 Nature Zen',
+        description: 'Calm & natural themed - peaceful and organic',
+        prefixes: [
+            'alpine', 'amber', 'arctic', 'autumn', 'azure', 'breeze', 'calm',
+            'cascade', 'cedar', 'cloud', 'coral', 'crystal', 'dawn', 'dusk',
+            'earth', 'emerald', 'forest', 'frost', 'glacial', 'golden', 'jade',
+            'lunar', 'maple', 'marine', 'meadow', 'misty', 'moss', 'mountain',
+            'ocean', 'olive', 'opal', 'pacific', 'pearl', 'pebble', 'pine',
+            'quartz', 'rain', 'river', 'sage', 'sand', 'sapphire', 'sky',
+            'snow', 'solar', 'spring', 'stellar', 'stone', 'summer', 'sunset',
+            'thunder', 'tide', 'timber', 'topaz', 'valley', 'verdant', 'wild'
+        ],
+        suffixes: [
+            'bay', 'beach', 'brook', 'canyon', 'cave', 'cliff', 'cloud', 'coast',
+            'cove', 'creek', 'delta', 'dune', 'falls', 'field', 'fjord', 'forest',
+            'garden', 'glacier', 'grove', 'harbor', 'haven', 'hill', 'hollow', 'island',
+            'lake', 'lagoon', 'marsh', 'meadow', 'mesa', 'mist', 'mountain', 'oasis',
+            'ocean', 'pass', 'path', 'peak', 'pine', 'plain', 'pond', 'prairie',
+            'reef', 'ridge', 'river', 'rock', 'shore', 'spring', 'stone', 'stream',
+            'summit', 'terrace', 'trail', 'tree', 'valley', 'vista', 'wave', 'wood'
+        ]
+    },
+
+    'urban-legend': {
+        name: '🏙️  Urban Legend',
+        description: 'Modern & city themed - sleek and contemporary',
+        prefixes: [
+            'apex', 'axis', 'bold', 'bright', 'chrome', 'concrete', 'core', 'edge',
+            'electric', 'epic', 'flash', 'flex', 'fusion', 'glitch', 'glow', 'grid',
+            'high', 'hyper', 'instant', 'jet', 'kinetic', 'level', 'metro', 'modern',
+            'neon', 'neural', 'nexus', 'Night', 'nova', 'omega', 'peak', 'pixel',
+            'prime', 'prism', 'pulse', 'quick', 'rapid', 'razor', 'reflex', 'rhythm',
+            'rush', 'sharp', 'signal', 'sleek', 'sonic', 'spark', 'speed', 'spike',
+            'surge', 'swift', 'sync', 'tempo', 'titan', 'turbo', 'ultra', 'urban'
+        ],
+        suffixes: [
+            'ace', 'arc', 'axis', 'beat', 'blast', 'blaze', 'block', 'bolt',
+            'buzz', 'cafe', 'chip', 'city', 'club', 'dash', 'deck', 'district',
+            'drive', 'drop', 'edge', 'flash', 'flow', 'flux', 'grid', 'hub',
+            'lane', 'level', 'line', 'link', 'loop', 'mall', 'metro', 'mode',
+            'node', 'pace', 'park', 'phase', 'pier', 'plaza', 'point', 'pulse',
+            'quest', 'rails', 'rise', 'route', 'shift', 'square', 'station', 'street',
+            'strip', 'sync', 'tower', 'track', 'trade', 'transit', 'venue', 'zone'
+        ]
+    },
+
+    'cosmic-explorer': {
+        name: '🚀 Cosmic Explorer',
+        description: 'Space & sci-fi themed - for the stargazers',
+        prefixes: [
+            'astral', 'atomic', 'aurora', 'celestial', 'cosmic', 'dark', 'distant',
+            'eternal', 'galactic', 'gravity', 'infinite', 'interstellar', 'light', 'lunar',
+            'meteor', 'nebula', 'neutron', 'nova', 'orbit', 'photon', 'plasma', 'pulsar',
+            'quantum', 'quasar', 'radiant', 'solar', 'space', 'spectral', 'star', 'stellar',
+            'super', 'void', 'warp', 'zero', 'andromeda', 'apollo', 'aries', 'atlas',
+            'aurora', 'boson', 'comet', 'corona', 'cosmos', 'eclipse', 'event', 'exo',
+            'fusion', 'gamma', 'helios', 'horizon', 'ion', 'jupiter', 'kepler', 'laser',
+            'lunar', 'mars', 'mercury', 'milky', 'orbit', 'orion', 'phoenix', 'pluto',
+            'polaris', 'radiation', 'red', 'saturn', 'sirius', 'titan', 'uranus', 'vega'
+        ],
+        suffixes: [
+            'star', 'nova', 'nebula', 'galaxy', 'cosmos', 'comet', 'meteor', 'orbit',
+            'moon', 'planet', 'satellite', 'asteroid', 'sphere', 'void', 'quasar', 'pulsar',
+            'photon', 'proton', 'neutron', 'electron', 'particle', 'wave', 'field', 'force',
+            'ray', 'beam', 'light', 'dark', 'matter', 'energy', 'space', 'time',
+            'dimension', 'portal', 'gate', 'wormhole', 'rift', 'flux', 'drift', 'shift',
+            'jump', 'leap', 'warp', 'drive', 'engine', 'reactor', 'core', 'station',
+            'base', 'outpost', 'colony', 'ship', 'craft', 'vessel', 'probe', 'explorer'
+        ]
+    },
+
+    'mystic-shadow': {
+        name: '🔮 Mystic Shadow',
+        description: 'Fantasy & mysterious themed - enigmatic and magical',
+        prefixes: [
+            'ancient', 'arcane', 'blessed', 'celestial', 'cryptic', 'cursed', 'dark',
+            'divine', 'dragon', 'dream', 'echo', 'elder', 'elven', 'enchanted', 'eternal',
+            'fabled', 'fallen', 'forbidden', 'forgotten', 'frost', 'gloom', 'grim', 'hidden',
+            'holy', 'lost', 'lunar', 'magic', 'midnight', 'mystic', 'mythic', 'night',
+            'obsidian', 'omen', 'oracle', 'phantom', 'primal', 'raven', 'rune', 'sacred',
+            'shadow', 'silent', 'silver', 'soul', 'spectral', 'spirit', 'star', 'storm',
+            'twilight', 'umbral', 'void', 'wicked', 'wild', 'witch', 'wolf', 'wraith'
+        ],
+        suffixes: [
+            'blade', 'blood', 'bone', 'book', 'cairn', 'chalice', 'circle', 'coven',
+            'crown', 'crystal', 'curse', 'dawn', 'dream', 'dusk', 'echo', 'ember',
+            'eye', 'flame', 'gate', 'gaze', 'gem', 'glyph', 'grimoire', 'grove',
+            'heart', 'keeper', 'key', 'mark', 'mirror', 'moon', 'oath', 'oracle',
+            'page', 'pendant', 'portal', 'prophecy', 'relic', 'rite', 'rune', 'scroll',
+            'seal', 'seer', 'shade', 'sigil', 'song', 'soul', 'spell', 'spirit',
+            'star', 'stone', 'talisman', 'tome', 'veil', 'vessel', 'ward', 'whisper'
+        ]
+    }
+};
+
+// ============================================================================
+// PATTERN MATCHING
+// ============================================================================
+
+/**
+ * Check if an alias was generated from one of the word bundles
+ * @param {string} alias - Full email address or local part
+ * @param {string[]} [templates] - Name templates to parse the local part against
+ * @returns {boolean} True when the local part parses back into a template of any bundle
+ */
+export function isGeneratedAlias(alias, templates = [DEFAULT_TEMPLATE]) {
+    // Extract local part (before @)
+    const localPart = alias.split('@')[0];
+
+    for (const template of new Set(templates)) {
+        let compiled;
+        try {
+            compiled = compileTemplate(template);
+        } catch (e) {
+            continue;
+        }
+
+        // Check the local part against every bundle's words
+        for (const bundle of Object.values(WORD_BUNDLES)) {
+            if (matchesTemplate(compiled, bundle, localPart)) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Resolves a bundle reference given as a key ("nature-zen") or a 1-based
+ * menu number ("3")
+ * @param {string|number} input - Bundle key or menu number
+ * @returns {string|null} Bundle key, or null when nothing matches
+ */
+export function resolveBundleKey(input) {
+    const keys = Object.keys(WORD_BUNDLES);
+    const value = String(input).trim().toLowerCase();
+
+    if (keys.includes(value)) return value;
+
+    const index = parseInt(value, 10);
+    if (String(index) === value && index >= 1 && index <= keys.length) {
+        return keys[index - 1];
+    }
+
+    return null;
+}
+
+// ============================================================================
+// CUSTOM BUNDLES
+// ============================================================================
+
+/** Default directory for custom bundle files */
+export const DEFAULT_BUNDLES_DIR = join(PROJECT_ROOT, 'bundles');
+
+const BUNDLE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Words end up in email local parts, so keep them to safe ASCII characters
+const WORD_PATTERN = /^[a-z0-9](?:[a-z0-9_-]*[a-z0-9])?$/i;
+
+/**
+ * Validates a bundle definition and returns a normalised copy
+ * @param {object} definition - Parsed bundle file
+ * @returns {object} { name, description, prefixes, suffixes }
+ * @throws {Error} Describing the first problem found
+ */
+export function validateBundle(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('bundle must be an object');
+    }
+
+    const { name, description = '' } = definition;
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('"name" must be a non-empty string');
+    }
+    if (typeof description !== 'string') {
+        throw new Error('"description" must be a string');
+    }
+
+    const words = {};
+    for (const field of ['prefixes', 'suffixes']) {
+        const list = definition[field];
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`"${field}" must be a non-empty list of words`);
+        }
+
+        const invalid = list.filter(word => typeof word !== 'string' || !WORD_PATTERN.test(word));
+        if (invalid.length > 0) {
+            throw new Error(`"${field}" contains invalid words: ${invalid.slice(0, 5).map(String).join(', ')} (letters, digits, "-" and "_" only)`);
+        }
+
+        words[field] = [...new Set(list.map(word => word.toLowerCase()))];
+    }
+
+    return {
+        name: name.trim(),
+        description: description.trim(),
+        prefixes: words.prefixes,
+        suffixes: words.suffixes
+    };
+}
+
+/**
+ * Loads custom bundles from a directory of JSON/YAML files into WORD_BUNDLES.
+ * The bundle key is the file name (e.g. bundles/acme-corp.yaml → "acme-corp").
+ * Invalid files are reported and skipped; built-in bundles cannot be overridden.
+ * @param {string} [dir] - Directory to scan (BUNDLES_DIR env var, else ./bundles)
+ * @returns {Promise<{ loaded: string[], errors: Array<{ file: string, message: string }> }>}
+ */
+export async function loadCustomBundles(dir = process.env.BUNDLES_DIR || DEFAULT_BUNDLES_DIR) {
+    const loaded = [];
+    const errors = [];
+
+    if (!existsSync(dir)) return { loaded, errors };
+
+    const files = (await readdir(dir))
+        .filter(file => BUNDLE_FILE_EXTENSIONS.includes(extname(file).toLowerCase()))
+        .sort();
+
+    for (const file of files) {
+        const key = basename(file, extname(file)).toLowerCase();
+
+        try {
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+                throw new Error('file name must be lowercase letters, digits and dashes (it becomes the bundle key)');
+            }
+            if (WORD_BUNDLES[key] && !WORD_BUNDLES[key].custom) {
+                throw new Error(`"${key}" is a built-in bundle and cannot be overridden`);
+            }
+            if (loaded.includes(key)) {
+                throw new Error(`duplicate bundle key "${key}"`);
+            }
+
+            const content = await readFile(join(dir, file), 'utf-8');
+            const definition = extname(file).toLowerCase() === '.json'
+                ? JSON.parse(content)
+                : parseSimpleYaml(content);
+
+            WORD_BUNDLES[key] = { ...validateBundle(definition), custom: true, source: file };
+            loaded.push(key);
+        } catch (error) {
+            errors.push({ file, message: error.message });
+        }
+    }
+
+    return { loaded, errors };
+}
+
+/**
+ * Loads custom bundles and prints a warning for every rejected file
+ * @returns {Promise<string[]>} Keys of the loaded bundles
+ */
+export async function loadCustomBundlesWithWarnings() {
+    const { loaded, errors } = await loadCustomBundles();
+    errors.forEach(({ file, message }) => {
+        console.warn(`⚠️  Skipping custom bundle ${file}: ${message}`);
+    });
+    return loaded;
+}
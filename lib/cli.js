@@ -0,0 +1,76 @@
+/**
+ * Command-Line Argument Parsing
+ *
+ * Tiny zero-dependency parser for `<command> [positionals] [--flags]`.
+ * Node's util.parseArgs is not available on every supported 18.x release.
+ */
+
+/**
+ * Converts a kebab-case flag name to camelCase (dry-run → dryRun)
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {object} [options]
+ * @param {string[]} [options.booleans] - Flags that never take a value
+ * @param {object} [options.aliases] - Short flag aliases (e.g. { y: 'yes' })
+ * @returns {{ command: string|null, positionals: string[], flags: object }}
+ *
+ * @example
+ * parseCliArgs(['create', '--bundle', 'nature-zen', '--count=50', '-y'], { booleans: ['yes'], aliases: { y: 'yes' } })
+ * // → { command: 'create', positionals: [], flags: { bundle: 'nature-zen', count: '50', yes: true } }
+ */
+export function parseCliArgs(argv, { booleans = [], aliases = {} } = {}) {
+    const flags = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name = arg.replace(/^--?/, '');
+        let value;
+
+        const eqIndex = name.indexOf('=');
+        if (eqIndex !== -1) {
+            value = name.slice(eqIndex + 1);
+            name = name.slice(0, eqIndex);
+        }
+
+        name = aliases[name] || name;
+
+        if (value === undefined) {
+            if (name.startsWith('no-') && booleans.includes(name.slice(3))) {
+                name = name.slice(3);
+                value = false;
+            } else if (booleans.includes(name)) {
+                value = true;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                value = argv[++i];
+            } else {
+                value = true;
+            }
+        }
+
+        flags[toCamelCase(name)] = value;
+    }
+
+    return {
+        command: positionals.length > 0 ? positionals[0] : null,
+        positionals: positionals.slice(1),
+        flags
+    };
+}
@@ -0,0 +1,478 @@
+/**
+ * Cloudflare API Client
+ *
+ * One fetch-based client used by every script. Owns authentication, the
+ * retry/backoff policy (429, 5xx and transient network errors) and the
+ * Email Routing endpoints the tool relies on (zone settings and DNS, rules,
+ * the catch-all rule and account destination addresses).
+ */
+
+import { delay } from './util.js';
+import { CATCH_ALL_ACTIONS } from './rules.js';
+import { formatRuleName } from './labels.js';
+
+const API_BASE = 'https://api.cloudflare.com/client/v4';
+
+/** Maximum page size accepted by the Email Routing rules endpoint */
+const RULES_PAGE_SIZE = 50;
+
+/** Page size used for account destination addresses */
+const ADDRESSES_PAGE_SIZE = 50;
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+/**
+ * Creates a Cloudflare API client bound to an API token
+ * @param {object} options
+ * @param {string} options.apiToken - Cloudflare API token
+ * @param {number} [options.maxRetries=3] - Retries for 429/5xx/network errors
+ * @param {number} [options.baseRetryDelayMs=1000] - Base delay for exponential backoff
+ * @param {object} [options.limiter] - Rate limiter from createRateLimiter(); every request waits on it
+ * @returns {object} Client with request helpers and Email Routing methods
+ */
+export function createCloudflareClient({ apiToken, maxRetries = 3, baseRetryDelayMs = 1000, limiter = null } = {}) {
+
+    /**
+     * Performs an API request with retries
+     * @param {string} path - API path below /client/v4 (e.g. /zones/:id/email/routing/rules)
+     * @param {object} [options]
+     * @param {string} [options.method='GET'] - HTTP method
+     * @param {object} [options.body] - JSON payload
+     * @param {number} [retryCount=0] - Current retry attempt
+     * @returns {Promise<object>} The full API envelope ({ success, result, result_info, ... })
+     */
+    async function request(path, { method = 'GET', body = null } = {}, retryCount = 0) {
+        const retry = async (reason, retryAfterMs = null) => {
+            const retryDelay = retryAfterMs ?? baseRetryDelayMs * Math.pow(2, retryCount);
+            console.warn(`⚠️  ${reason}. Retrying in ${retryDelay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
+            await delay(retryDelay);
+            return request(path, { method, body }, retryCount + 1);
+        };
+
+        if (limiter) await limiter.acquire();
+
+        let response;
+        try {
+            response = await fetch(`${API_BASE}${path}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${apiToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            const code = error.code || error.cause?.code;
+            if (retryCount < maxRetries && RETRYABLE_NETWORK_CODES.includes(code)) {
+                return retry(`Network error: ${error.cause?.message || error.message}`);
+            }
+            throw error;
+        }
+
+        // Error pages from the edge are not always JSON
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 429) {
+            const errorMsg = data.errors?.[0]?.message || 'Rate limited';
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            if (limiter) limiter.onThrottle(retryAfterMs);
+            if (retryCount >= maxRetries) {
+                throw new Error(`Rate limited after ${maxRetries} retries: ${errorMsg}`);
+            }
+            return retry(`Cloudflare says: "${errorMsg}"`, retryAfterMs);
+        }
+
+        if (response.status >= 500) {
+            const errorMsg = data.errors?.[0]?.message || `HTTP ${response.status}`;
+            if (retryCount >= maxRetries) {
+                throw new Error(`Server error after ${maxRetries} retries: ${errorMsg}`);
+            }
+            return retry(`Server error (${response.status})`);
+        }
+
+        if (!response.ok || data.success === false) {
+            const errorMsg = data.errors?.[0]?.message || `HTTP ${response.status}`;
+            const error = new Error(`Cloudflare API Error: ${errorMsg}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (limiter) limiter.onSuccess();
+        return data;
+    }
+
+    // ------------------------------------------------------------------------
+    // Account & zones
+    // ------------------------------------------------------------------------
+
+    /**
+     * Verifies the API token
+     * @returns {Promise<object>} Token status ({ id, status, ... })
+     */
+    async function verifyToken() {
+        const data = await request('/user/tokens/verify');
+        return data.result;
+    }
+
+    /**
+     * Iterates over every item of a paginated list endpoint.
+     * Follows result_info (page / total_pages / total_count) so long lists
+     * are read completely.
+     * @param {string} path - List path without query string
+     * @param {number} perPage - Page size
+     * @yields {object} List item
+     */
+    async function* iteratePages(path, perPage) {
+        let page = 1;
+
+        while (true) {
+            const data = await request(`${path}?page=${page}&per_page=${perPage}`);
+            const items = data.result || [];
+            yield* items;
+
+            const info = data.result_info || {};
+            const pageSize = info.per_page || perPage;
+            const totalPages = info.total_pages
+                || (info.total_count !== undefined ? Math.ceil(info.total_count / pageSize) : null);
+
+            if (items.length === 0) break;
+            if (totalPages !== null ? page >= totalPages : items.length < pageSize) break;
+
+            page++;
+        }
+    }
+
+    /**
+     * Automatically fetches the Zone ID from Cloudflare based on the domain name.
+     * Requires an API token with Zone:Read permissions.
+     * @param {string} domain - Zone name (e.g. example.com)
+     * @returns {Promise<string|null>} Zone ID or null when not found
+     */
+    async function fetchZoneIdByName(domain) {
+        if (!apiToken) return null;
+
+        try {
+            const data = await request(`/zones?name=${encodeURIComponent(domain)}`);
+            if (data.result?.length > 0) {
+                return data.result[0].id;
+            }
+            return null;
+        } catch (error) {
+            console.warn(`⚠️  Automatic zone discovery failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Looks up the account that owns a zone (destination addresses live there)
+     * @param {string} zoneId - Zone ID
+     * @returns {Promise<string|null>} Account ID or null when the zone has none
+     */
+    async function fetchAccountIdForZone(zoneId) {
+        const data = await request(`/zones/${zoneId}`);
+        return data.result?.account?.id || null;
+    }
+
+    // ------------------------------------------------------------------------
+    // Email Routing settings
+    // ------------------------------------------------------------------------
+
+    /**
+     * Reads the zone's Email Routing settings
+     * @param {string} zoneId - Zone ID
+     * @returns {Promise<object>} Settings ({ enabled, status, name, modified, ... });
+     *   status is "ready" once the DNS records are in place
+     */
+    async function getEmailRoutingSettings(zoneId) {
+        const data = await request(`/zones/${zoneId}/email/routing`);
+        return data.result || {};
+    }
+
+    /**
+     * Reads the DNS records Email Routing needs and any problems Cloudflare found
+     * @param {string} zoneId - Zone ID
+     * @returns {Promise<{ records: Array, errors: Array }>} Required records and missing/mismatched ones
+     */
+    async function getEmailRoutingDns(zoneId) {
+        const data = await request(`/zones/${zoneId}/email/routing/dns`);
+        const result = data.result || [];
+
+        // Older responses are a bare record list, newer ones { record, errors }
+        return {
+            records: Array.isArray(result) ? result : (result.record || []),
+            errors: Array.isArray(result) ? [] : (result.errors || [])
+        };
+    }
+
+    // ------------------------------------------------------------------------
+    // Email Routing rules
+    // ------------------------------------------------------------------------
+
+    /**
+     * Iterates over every email routing rule of a zone, page by page.
+     * Follows result_info (page / total_pages / total_count) so zones with
+     * hundreds of rules are scanned completely.
+     * @param {string} zoneId - Zone ID
+     * @param {object} [options]
+     * @param {number} [options.perPage=50] - Page size (Cloudflare caps this at 50)
+     * @yields {object} Routing rule
+     */
+    async function* iterateEmailRoutingRules(zoneId, { perPage = RULES_PAGE_SIZE } = {}) {
+        yield* iteratePages(`/zones/${zoneId}/email/routing/rules`, perPage);
+    }
+
+    /**
+     * Lists all email routing rules of a zone (every page)
+     * @param {string} zoneId - Zone ID
+     * @returns {Promise<Array>} Routing rules
+     */
+    async function listEmailRoutingRules(zoneId) {
+        const rules = [];
+        for await (const rule of iterateEmailRoutingRules(zoneId)) {
+            rules.push(rule);
+        }
+        return rules;
+    }
+
+    /**
+     * Creates a routing rule from a full definition (any matchers and actions),
+     * e.g. one read back from a trash archive
+     * @param {string} zoneId - Zone ID
+     * @param {object} definition - { matchers, actions, enabled?, name?, priority? }
+     * @returns {Promise<object>} { success, ruleId, priority }
+     */
+    async function createEmailRoutingRuleFromDefinition(zoneId, { matchers, actions, enabled = true, name, priority }) {
+        const payload = { matchers, actions, enabled };
+        if (name) payload.name = name;
+        if (priority !== undefined && priority !== null) payload.priority = priority;
+
+        const data = await request(`/zones/${zoneId}/email/routing/rules`, { method: 'POST', body: payload });
+
+        if (!data.result?.id) {
+            throw new Error('Invalid API response structure');
+        }
+
+        return {
+            success: true,
+            ruleId: data.result.id,
+            priority: data.result.priority
+        };
+    }
+
+    /**
+     * Creates a literal-match forwarding rule for an alias
+     * @param {string} zoneId - Zone ID
+     * @param {string} aliasEmail - Alias address to match
+     * @param {string|string[]} destinationEmail - Address(es) to forward to
+     * @returns {Promise<object>} { success, ruleId, priority }
+     */
+    async function createEmailRoutingRule(zoneId, aliasEmail, destinationEmail) {
+        return createEmailRoutingRuleFromDefinition(zoneId, {
+            matchers: [
+                {
+                    type: 'literal',
+                    field: 'to',
+                    value: aliasEmail
+                }
+            ],
+            actions: [
+                {
+                    type: 'forward',
+                    value: [].concat(destinationEmail)
+                }
+            ],
+            enabled: true,
+            name: formatRuleName(aliasEmail)
+        });
+    }
+
+    /**
+     * Reads one email routing rule
+     * @param {string} zoneId - Zone ID
+     * @param {string} ruleId - Rule ID
+     * @returns {Promise<object>} Routing rule
+     */
+    async function getEmailRoutingRule(zoneId, ruleId) {
+        const data = await request(`/zones/${zoneId}/email/routing/rules/${ruleId}`);
+        return data.result;
+    }
+
+    /**
+     * Changes the name, enabled state and/or actions of a rule, keeping its
+     * address and rule ID
+     * @param {string} zoneId - Zone ID
+     * @param {string} ruleId - Rule ID
+     * @param {object} changes - { enabled?, name?, actions? }
+     * @returns {Promise<object>} Updated rule
+     */
+    async function updateEmailRoutingRule(zoneId, ruleId, { enabled, name, actions } = {}) {
+        // PUT replaces the whole rule, so send back everything it already has
+        const rule = await getEmailRoutingRule(zoneId, ruleId);
+        const payload = {
+            matchers: rule.matchers,
+            actions: actions ?? rule.actions,
+            enabled: enabled ?? rule.enabled,
+            name: name ?? rule.name,
+            priority: rule.priority
+        };
+
+        const data = await request(`/zones/${zoneId}/email/routing/rules/${ruleId}`, { method: 'PUT', body: payload });
+        return data.result;
+    }
+
+    /**
+     * Enables or disables a rule, keeping its address, actions and rule ID
+     * @param {string} zoneId - Zone ID
+     * @param {string} ruleId - Rule ID
+     * @param {boolean} enabled - New state
+     * @returns {Promise<object>} Updated rule
+     */
+    async function setEmailRoutingRuleEnabled(zoneId, ruleId, enabled) {
+        return updateEmailRoutingRule(zoneId, ruleId, { enabled });
+    }
+
+    /**
+     * Deletes an email routing rule by ID
+     * @param {string} zoneId - Zone ID
+     * @param {string} ruleId - Rule ID to delete
+     * @returns {Promise<object>} Deletion result
+     */
+    async function deleteEmailRoutingRule(zoneId, ruleId) {
+        await request(`/zones/${zoneId}/email/routing/rules/${ruleId}`, { method: 'DELETE' });
+        return { success: true };
+    }
+
+    /**
+     * Reads the zone's catch-all rule (mail to addresses without a literal rule)
+     * @param {string} zoneId - Zone ID
+     * @returns {Promise<object>} Catch-all rule ({ enabled, actions, matchers, name })
+     */
+    async function getCatchAllRule(zoneId) {
+        const data = await request(`/zones/${zoneId}/email/routing/rules/catch_all`);
+        return data.result || {};
+    }
+
+    /**
+     * Replaces the zone's catch-all rule
+     * @param {string} zoneId - Zone ID
+     * @param {object} options
+     * @param {string} options.type - "forward", "drop" or "worker"
+     * @param {string[]} [options.value] - Destination addresses (forward) or Worker name (worker)
+     * @param {boolean} [options.enabled=true] - Whether the catch-all is active
+     * @param {string} [options.name='Catch-all'] - Rule name
+     * @returns {Promise<object>} Updated rule
+     */
+    async function updateCatchAllRule(zoneId, { type, value = [], enabled = true, name = 'Catch-all' }) {
+        if (!CATCH_ALL_ACTIONS.includes(type)) {
+            throw new Error(`Unknown catch-all action "${type}". Use one of: ${CATCH_ALL_ACTIONS.join(', ')}`);
+        }
+        if (type !== 'drop' && value.length === 0) {
+            throw new Error(`Catch-all action "${type}" needs ${type === 'forward' ? 'a destination address' : 'a Worker name'}`);
+        }
+
+        const payload = {
+            matchers: [{ type: 'all' }],
+            actions: [type === 'drop' ? { type } : { type, value }],
+            enabled,
+            name
+        };
+
+        const data = await request(`/zones/${zoneId}/email/routing/rules/catch_all`, { method: 'PUT', body: payload });
+        return data.result || {};
+    }
+
+    // ------------------------------------------------------------------------
+    // Destination addresses (account level)
+    // ------------------------------------------------------------------------
+
+    /**
+     * Path of the account's destination addresses
+     * @throws {Error} Without an account ID (instead of requesting /accounts/null/...)
+     */
+    function addressesPath(accountId) {
+        if (!accountId) {
+            throw new Error('Missing account ID for destination addresses. Set CLOUDFLARE_ACCOUNT_ID in .env');
+        }
+        return `/accounts/${accountId}/email/routing/addresses`;
+    }
+
+    /**
+     * Lists every destination address of an account (every page).
+     * An address can receive forwarded mail once `verified` is set.
+     * @param {string} accountId - Account ID
+     * @returns {Promise<Array>} Addresses ({ id, email, verified, created, modified })
+     */
+    async function listDestinationAddresses(accountId) {
+        const addresses = [];
+        for await (const address of iteratePages(addressesPath(accountId), ADDRESSES_PAGE_SIZE)) {
+            addresses.push(address);
+        }
+        return addresses;
+    }
+
+    /**
+     * Adds a destination address; Cloudflare emails it a verification link
+     * @param {string} accountId - Account ID
+     * @param {string} email - Address to add
+     * @returns {Promise<object>} The new address ({ id, email, verified: null, ... })
+     */
+    async function createDestinationAddress(accountId, email) {
+        const data = await request(addressesPath(accountId), { method: 'POST', body: { email } });
+        return data.result;
+    }
+
+    return {
+        request,
+        verifyToken,
+        fetchZoneIdByName,
+        fetchAccountIdForZone,
+        getEmailRoutingSettings,
+        getEmailRoutingDns,
+        iterateEmailRoutingRules,
+        listEmailRoutingRules,
+        createEmailRoutingRuleFromDefinition,
+        createEmailRoutingRule,
+        getEmailRoutingRule,
+        updateEmailRoutingRule,
+        setEmailRoutingRuleEnabled,
+        deleteEmailRoutingRule,
+        getCatchAllRule,
+        updateCatchAllRule,
+        listDestinationAddresses,
+        createDestinationAddress
+    };
+}
+
+/**
+ * Resolves a zone ID for a domain, printing progress the same way in every script
+ * @param {object} client - Client from createCloudflareClient()
+ * @param {string} domain - Zone name
+ * @returns {Promise<string|null>} Zone ID or null
+ */
+export async function resolveZoneId(client, domain) {
+    process.stdout.write(`🔍 Resolving Zone ID for ${domain}... `);
+    const zoneId = await client.fetchZoneIdByName(domain);
+    if (zoneId) {
+        console.log(`✅ Found: ${zoneId.substring(0, 8)}...`);
+    } else {
+        console.log('❌ Failed');
+    }
+    return zoneId;
+}
@@ -0,0 +1,132 @@
+/**
+ * Credential Exports
+ *
+ * Turns vault passwords and their tracking entries into files that password
+ * managers import: Bitwarden JSON, KeePass/KeePassXC CSV, 1Password CSV, a
+ * generic CSV, and the `alias:password → destination` lines of <domain>.txt.
+ * Every record has the alias as username and the alias's label (else its
+ * bundle, else the alias) as title.
+ *
+ * @example Generic CSV
+ * title,username,password,bundle,label,tags,destination,created_at
+ * GitHub,cipher.vault@example.com,xY7#...,tech-wizard,GitHub,dev work,me@gmail.com,2026-01-31T10:15:00.000Z
+ */
+
+import { randomUUID } from 'crypto';
+import { formatTxtLine } from './tracking.js';
+import { destinationList } from './destinations.js';
+
+export const CREDENTIAL_EXPORT_FORMATS = ['txt', 'bitwarden', 'keepass', '1password', 'csv'];
+
+/** Header rows of the CSV formats, in column order */
+const CSV_COLUMNS = {
+    keepass: ['Group', 'Title', 'Username', 'Password', 'URL', 'Notes'],
+    '1password': ['Title', 'Website', 'Username', 'Password', 'Notes'],
+    csv: ['title', 'username', 'password', 'bundle', 'label', 'tags', 'destination', 'created_at']
+};
+
+/**
+ * Joins vault credentials with their tracking entries
+ * @param {Array} credentials - { email, password } from the vault
+ * @param {Map<string, object>} tracked - Lowercased address → tracking entry
+ * @param {object} [options]
+ * @param {Function} [options.bundleName] - Bundle key → display name (titles of unlabelled aliases)
+ * @returns {Array} { title, username, password, bundle, label, tags, notes, destinations, createdAt }
+ */
+export function buildCredentialRecords(credentials, tracked, { bundleName = key => key } = {}) {
+    return credentials.map(({ email, password }) => {
+        const entry = tracked.get(email.toLowerCase()) || {};
+        return {
+            title: entry.label || (entry.bundle ? bundleName(entry.bundle) : null) || email,
+            username: email,
+            password,
+            bundle: entry.bundle || null,
+            label: entry.label || null,
+            tags: entry.tags || [],
+            notes: entry.notes || null,
+            destinations: destinationList(entry.destination),
+            createdAt: entry.createdAt || null
+        };
+    });
+}
+
+/**
+ * Notes of a record for password managers: the alias's notes, tags and destination
+ */
+function recordNotes(record) {
+    return [
+        record.notes,
+        record.tags.length > 0 ? `Tags: ${record.tags.join(', ')}` : null,
+        record.destinations.length > 0 ? `Forwards to: ${record.destinations.join(', ')}` : null
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Formats rows as CSV (RFC 4180 quoting)
+ */
+function formatCsv(rows) {
+    const quote = value => /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return rows.map(cells => cells.map(cell => quote(String(cell ?? ''))).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Bitwarden's unencrypted JSON export: one folder per domain, login items
+ */
+function formatBitwarden(records, domain) {
+    const folderId = randomUUID();
+    const items = records.map(record => ({
+        id: randomUUID(),
+        organizationId: null,
+        folderId,
+        type: 1,
+        reprompt: 0,
+        name: record.title,
+        notes: recordNotes(record) || null,
+        favorite: false,
+        login: { uris: [], username: record.username, password: record.password, totp: null },
+        collectionIds: null
+    }));
+    return JSON.stringify({ encrypted: false, folders: [{ id: folderId, name: domain }], items }, null, 2) + '\n';
+}
+
+/**
+ * Formats credential records for a password manager
+ * @param {Array} records - Records from buildCredentialRecords()
+ * @param {string} format - One of CREDENTIAL_EXPORT_FORMATS
+ * @param {object} options
+ * @param {string} options.domain - Alias domain (Bitwarden folder, KeePass group)
+ * @returns {string} File contents
+ * @throws {Error} On an unknown format
+ */
+export function formatCredentialExport(records, format, { domain }) {
+    switch (format) {
+        case 'txt':
+            return records.map(record => formatTxtLine({
+                email: record.username,
+                password: record.password,
+                destinations: record.destinations
+            })).join('\n') + '\n';
+
+        case 'bitwarden':
+            return formatBitwarden(records, domain);
+
+        case 'keepass':
+            return formatCsv([CSV_COLUMNS.keepass, ...records.map(record => [
+                domain, record.title, record.username, record.password, '', recordNotes(record)
+            ])]);
+
+        case '1password':
+            return formatCsv([CSV_COLUMNS['1password'], ...records.map(record => [
+                record.title, '', record.username, record.password, recordNotes(record)
+            ])]);
+
+        case 'csv':
+            return formatCsv([CSV_COLUMNS.csv, ...records.map(record => [
+                record.title, record.username, record.password, record.bundle, record.label,
+                record.tags.join(' '), record.destinations.join(','), record.createdAt
+            ])]);
+
+        default:
+            throw new Error(`Unknown export format "${format}". Use one of: ${CREDENTIAL_EXPORT_FORMATS.join(', ')}`);
+    }
+}
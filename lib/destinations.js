@@ -0,0 +1,214 @@
+/**
+ * Alias Destinations
+ *
+ * Decides where each new alias forwards to. A destination is one address or
+ * a list of addresses that all receive the mail (multi-destination forward).
+ *
+ * Resolution order for an alias:
+ *   1. `aliases` entry of the mapping file (local part or full address)
+ *   2. `bundles` entry of the mapping file
+ *   3. the base addresses (`default` of the mapping file, else --dest /
+ *      DESTINATION_EMAIL), either all together (strategy "all") or one per
+ *      alias in turn (strategy "round-robin")
+ *
+ * Also checks chosen destinations against the account's verified
+ * destination addresses, since Cloudflare drops mail for unverified ones.
+ *
+ * @example Mapping file (destinations.json)
+ * {
+ *   "default": "inbox@example.com",
+ *   "bundles": { "tech-wizard": "dev@example.com", "privacy-guardian": ["sec@example.com", "audit@example.com"] },
+ *   "aliases": { "cipher.vault": "security@example.com" }
+ * }
+ */
+
+import { readFile } from 'fs/promises';
+
+export const DESTINATION_STRATEGIES = ['all', 'round-robin'];
+
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+/**
+ * Splits a comma-separated address list and validates every address
+ * @param {string|string[]} value - "a@example.com, b@example.com" or an array
+ * @returns {string[]} Addresses (duplicates removed, order kept)
+ * @throws {Error} On an invalid address
+ */
+export function parseDestinationList(value) {
+    const list = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(address => String(address).trim())
+        .filter(Boolean);
+
+    const invalid = list.filter(address => !EMAIL_PATTERN.test(address));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid destination address: ${invalid.join(', ')}`);
+    }
+
+    const seen = new Set();
+    return list.filter(address => {
+        const key = address.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Formats a destination for the tracking file: a single address stays a
+ * string (the historical format), several addresses become an array
+ * @param {string[]} addresses - Addresses
+ * @returns {string|string[]}
+ */
+export function formatDestination(addresses) {
+    return addresses.length === 1 ? addresses[0] : [...addresses];
+}
+
+/**
+ * Reads a destination from a tracking entry back into an address list
+ * @param {string|string[]|null} destination - Stored destination
+ * @returns {string[]} Addresses
+ */
+export function destinationList(destination) {
+    return [].concat(destination || []);
+}
+
+/**
+ * Validates a destination mapping and returns a normalised copy
+ * @param {object} definition - Parsed mapping file
+ * @returns {object} { default, bundles, aliases } with address lists as values
+ * @throws {Error} Describing the first problem found
+ */
+export function validateDestinationMap(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('destination map must be an object');
+    }
+
+    const unknown = Object.keys(definition).filter(key => !['default', 'bundles', 'aliases'].includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`unknown keys: ${unknown.join(', ')} (use "default", "bundles" and "aliases")`);
+    }
+
+    const map = {
+        default: definition.default === undefined ? null : parseDestinationList(definition.default),
+        bundles: {},
+        aliases: {}
+    };
+
+    for (const field of ['bundles', 'aliases']) {
+        const section = definition[field] || {};
+        if (typeof section !== 'object' || Array.isArray(section)) {
+            throw new Error(`"${field}" must map names to addresses`);
+        }
+
+        for (const [key, value] of Object.entries(section)) {
+            const addresses = parseDestinationList(value);
+            if (addresses.length === 0) {
+                throw new Error(`"${field}.${key}" has no destination address`);
+            }
+            map[field][key.toLowerCase()] = addresses;
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Loads a JSON destination mapping file
+ * @param {string} filePath - Path to the mapping file
+ * @returns {Promise<object>} Normalised map (see validateDestinationMap)
+ * @throws {Error} When the file cannot be read or is invalid
+ */
+export async function loadDestinationMap(filePath) {
+    let definition;
+    try {
+        definition = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read destination map ${filePath}: ${error.message}`);
+    }
+
+    try {
+        return validateDestinationMap(definition);
+    } catch (error) {
+        throw new Error(`Invalid destination map ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Creates a function that picks the destination of each new alias
+ * @param {object} options
+ * @param {string[]} [options.destinations] - Base addresses (--dest / DESTINATION_EMAIL)
+ * @param {string} [options.strategy='all'] - "all" (forward to every base address) or "round-robin"
+ * @param {object} [options.map] - Mapping from loadDestinationMap()
+ * @param {string} [options.bundle] - Bundle key of the run
+ * @param {string} [options.domain] - Alias domain (for full-address keys in the map)
+ * @returns {Function} (name, index) => string[] addresses
+ * @throws {Error} When no destination can be determined
+ */
+export function createDestinationPicker({ destinations = [], strategy = 'all', map = null, bundle = null, domain = null } = {}) {
+    if (!DESTINATION_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown destination strategy "${strategy}". Use one of: ${DESTINATION_STRATEGIES.join(', ')}`);
+    }
+
+    const base = map?.default?.length ? map.default : destinations;
+    const bundleDestination = bundle ? map?.bundles[bundle.toLowerCase()] : null;
+
+    if (base.length === 0 && !bundleDestination) {
+        throw new Error('No destination address configured (set DESTINATION_EMAIL, --dest or a destination map)');
+    }
+
+    return (name, index) => {
+        const aliasDestination = map?.aliases[name.toLowerCase()]
+            || (domain ? map?.aliases[`${name}@${domain}`.toLowerCase()] : null);
+        if (aliasDestination) return aliasDestination;
+        if (bundleDestination) return bundleDestination;
+        if (base.length === 0) {
+            throw new Error(`No destination for ${name}: add it to the destination map or set a default`);
+        }
+        return strategy === 'round-robin' ? [base[index % base.length]] : base;
+    };
+}
+
+/**
+ * Short human-readable description of how destinations are chosen
+ * @param {object} options - Same options as createDestinationPicker()
+ * @returns {string} e.g. "a@example.com, b@example.com (round-robin)"
+ */
+export function describeDestinations({ destinations = [], strategy = 'all', map = null, bundle = null } = {}) {
+    const base = map?.default?.length ? map.default : destinations;
+    const bundleDestination = bundle ? map?.bundles[bundle.toLowerCase()] : null;
+
+    let description = (bundleDestination || base).join(', ');
+    if (!bundleDestination && base.length > 1) {
+        description += strategy === 'round-robin' ? ' (round-robin)' : ' (all)';
+    }
+    if (map && Object.keys(map.aliases).length > 0) {
+        description += ` + ${Object.keys(map.aliases).length} per-alias overrides`;
+    }
+    return description;
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Checks destinations against the account's destination addresses.
+ * Cloudflare only forwards to addresses whose verification link was clicked.
+ * @param {string[]} emails - Destinations a run will use
+ * @param {Array} accountAddresses - Result of client.listDestinationAddresses()
+ * @returns {{ verified: string[], unverified: string[], missing: string[] }}
+ *   unverified = added but not confirmed yet, missing = not added to the account at all
+ */
+export function checkDestinationAddresses(emails, accountAddresses) {
+    const byEmail = new Map(accountAddresses.map(a => [String(a.email).toLowerCase(), a]));
+    const report = { verified: [], unverified: [], missing: [] };
+
+    for (const email of emails) {
+        const address = byEmail.get(email.toLowerCase());
+        if (!address) report.missing.push(email);
+        else if (address.verified) report.verified.push(email);
+        else report.unverified.push(email);
+    }
+
+    return report;
+}
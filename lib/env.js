@@ -0,0 +1,52 @@
+/**
+ * Environment Loader
+ *
+ * Minimal .env parser shared by every script (zero dependencies).
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/** Project root (one level above lib/) */
+export const PROJECT_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Loads environment variables from a .env file if it exists.
+ * Variables already present in process.env are never overwritten, so values
+ * passed by a parent process or the shell always win.
+ * @param {string} [envPath] - Path to the .env file (defaults to project root)
+ */
+export async function loadEnvFile(envPath = join(PROJECT_ROOT, '.env')) {
+    if (!existsSync(envPath)) {
+        return;
+    }
+
+    try {
+        const envContent = await readFile(envPath, 'utf-8');
+        const lines = envContent.split('\n');
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+
+            const match = trimmed.match(/^([^=]+)=(.*)$/);
+            if (match) {
+                const key = match[1].trim();
+                let value = match[2].trim();
+
+                if ((value.startsWith('"') && value.endsWith('"')) ||
+                    (value.startsWith("'") && value.endsWith("'"))) {
+                    value = value.slice(1, -1);
+                }
+
+                if (!process.env[key]) {
+                    process.env[key] = value;
+                }
+            }
+        }
+    } catch (error) {
+        console.warn(`⚠️  Could not load .env file: ${error.message}`);
+    }
+}
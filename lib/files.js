@@ -0,0 +1,167 @@
+/**
+ * Safe File Writes
+ *
+ * Tracking files, the vault and trash archives are rewritten through a
+ * temporary file in the same directory that is flushed to disk and renamed
+ * over the original, so a crash leaves either the old or the new contents.
+ * The previous contents are kept as `<file>.bak`.
+ *
+ * A lock file per domain (`<domain>.lock`, see getDomainFile() in
+ * tracking.js) keeps two runs from interleaving their read-modify-write
+ * cycles. It is advisory: it only stops other runs of these scripts. A lock
+ * left behind by a process that no longer runs on this machine is taken over,
+ * and so is one that still cannot be parsed after a few seconds.
+ *
+ * @example example-com.lock
+ * { "pid": 4242, "host": "laptop", "command": "create", "startedAt": "2026-01-31T10:15:00.000Z" }
+ */
+
+import { open, readFile, writeFile, rename, copyFile, stat, unlink } from 'fs/promises';
+import { existsSync, readFileSync, unlinkSync } from 'fs';
+import { dirname, basename, join } from 'path';
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+
+/**
+ * Replaces a file's contents atomically
+ * @param {string} filePath - Target path
+ * @param {string} content - New contents (UTF-8)
+ * @param {object} [options]
+ * @param {number} [options.mode] - Permissions of a new file (existing files keep theirs)
+ * @param {boolean} [options.backup=true] - Copy the previous contents to `<file>.bak` first
+ */
+export async function writeFileAtomic(filePath, content, { mode = 0o666, backup = true } = {}) {
+    const existing = existsSync(filePath) ? await stat(filePath) : null;
+    const tempPath = join(dirname(filePath), `.${basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+
+    try {
+        const handle = await open(tempPath, 'wx', existing ? existing.mode & 0o777 : mode);
+        try {
+            await handle.writeFile(content, 'utf-8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (existing && backup) await copyFile(filePath, `${filePath}.bak`);
+        await rename(tempPath, filePath);
+    } catch (error) {
+        await unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Appends text to a file by rewriting it atomically (callers hold the domain lock)
+ * @param {string} filePath - Target path (created when missing)
+ * @param {string} text - Text to append
+ * @param {object} [options] - See writeFileAtomic()
+ */
+export async function appendFileAtomic(filePath, text, options = {}) {
+    const current = existsSync(filePath) ? await readFile(filePath, 'utf-8') : '';
+    await writeFileAtomic(filePath, current + text, options);
+}
+
+// ============================================================================
+// LOCKS
+// ============================================================================
+
+// Locks this process holds: path → number of nested acquisitions
+const heldLocks = new Map();
+
+// process.exit() skips `finally` blocks; the locks still have to go
+process.on('exit', () => {
+    for (const lockPath of heldLocks.keys()) {
+        try { unlinkSync(lockPath); } catch { /* already gone */ }
+    }
+});
+
+/**
+ * Whether a lock belongs to a process that is gone
+ */
+function isStale(holder) {
+    if (holder.host !== hostname() || !Number.isInteger(holder.pid)) return false;
+    try {
+        process.kill(holder.pid, 0);
+        return false;
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+}
+
+// A lock file is created empty and then filled in; one that still cannot be
+// parsed after this long was left by a run that died in between
+const UNREADABLE_LOCK_STALE_MS = 10_000;
+
+/**
+ * Whether an unreadable lock file is old enough to be abandoned
+ */
+async function isAbandoned(lockPath) {
+    try {
+        return Date.now() - (await stat(lockPath)).mtimeMs > UNREADABLE_LOCK_STALE_MS;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Reads who holds a lock
+ * @returns {object|null} Lock contents, or null when unreadable
+ */
+function readLockHolder(lockPath) {
+    try {
+        return JSON.parse(readFileSync(lockPath, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Takes an advisory lock. Acquiring a lock this process already holds nests.
+ * @param {string} lockPath - Lock file (e.g. example-com.lock)
+ * @param {object} [options]
+ * @param {string} [options.command] - What the lock is held for (shown to other runs)
+ * @returns {Promise<{ path: string, release: Function }>} release() gives the lock up
+ * @throws {Error} When another running process holds the lock
+ */
+export async function acquireLock(lockPath, { command = '' } = {}) {
+    const release = async () => {
+        const count = heldLocks.get(lockPath);
+        if (count > 1) {
+            heldLocks.set(lockPath, count - 1);
+            return;
+        }
+        heldLocks.delete(lockPath);
+        await unlink(lockPath).catch(() => {});
+    };
+
+    if (heldLocks.has(lockPath)) {
+        heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+        return { path: lockPath, release };
+    }
+
+    const holder = { pid: process.pid, host: hostname(), command, startedAt: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await writeFile(lockPath, JSON.stringify(holder, null, 2), { flag: 'wx' });
+            heldLocks.set(lockPath, 1);
+            return { path: lockPath, release };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const current = readLockHolder(lockPath);
+        if (current ? isStale(current) : await isAbandoned(lockPath)) {
+            await unlink(lockPath).catch(() => {});
+            continue;
+        }
+
+        const owner = current
+            ? `process ${current.pid} on ${current.host}${current.command ? ` (${current.command})` : ''} since ${current.startedAt}`
+            : 'another process (the lock file cannot be read yet)';
+        throw new Error(`${lockPath} is held by ${owner}. Wait for that run to finish, or delete ${lockPath} if it is no longer running.`);
+    }
+
+    throw new Error(`Could not take ${lockPath}: it keeps reappearing`);
+}
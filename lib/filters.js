@@ -0,0 +1,122 @@
+/**
+ * Alias Selection
+ *
+ * Turns command-line criteria into a predicate over tracking-file entries,
+ * so every command that acts on a set of aliases selects them the same way.
+ * Criteria are combined with AND; a list of aliases matches any of them.
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converts a glob (`*` any run of characters, `?` one character) to a
+ * case-insensitive, anchored regular expression
+ * @param {string} glob - Pattern such as "shop.*" or "*@example.com"
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    const source = glob
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parses a date-range bound. A plain date ("2025-01-31") covers the whole
+ * day: as a start it means 00:00, as an end 23:59:59.999 (UTC).
+ * @param {string} value - Date or ISO timestamp
+ * @param {object} [options]
+ * @param {boolean} [options.end=false] - Whether this is the end of the range
+ * @returns {Date}
+ * @throws {Error} When the value is not a valid date
+ */
+export function parseDateBound(value, { end = false } = {}) {
+    const text = String(value).trim();
+    const date = new Date(DATE_ONLY_PATTERN.test(text) && end ? `${text}T23:59:59.999Z` : text);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date "${value}" (use YYYY-MM-DD or an ISO timestamp)`);
+    }
+    return date;
+}
+
+/**
+ * Whether any selection criterion was given (commands refuse to act on
+ * every alias by accident)
+ * @param {object} criteria - Same object as createAliasFilter()
+ * @returns {boolean}
+ */
+export function hasAliasCriteria({
+    aliases = [], match = null, regex = null, bundle = null, destination = null,
+    status = null, label = null, tags = [], enabled = null, since = null, until = null
+} = {}) {
+    return aliases.length > 0 || tags.length > 0 || enabled !== null
+        || Boolean(match || regex || bundle || destination || status || label || since || until);
+}
+
+/**
+ * Creates a predicate that selects tracking entries
+ * @param {object} [criteria]
+ * @param {string[]} [criteria.aliases] - Full addresses or local parts
+ * @param {string} [criteria.match] - Glob; matched against the full address when it contains "@", else the local part
+ * @param {string} [criteria.regex] - Regular expression searched in the local part (case-insensitive)
+ * @param {string} [criteria.bundle] - Bundle key
+ * @param {string} [criteria.destination] - Destination address the alias forwards to
+ * @param {string} [criteria.status] - Entry status ("success", "failed", ...)
+ * @param {string} [criteria.label] - Glob matched against the label
+ * @param {string[]} [criteria.tags] - Tags the entry must all carry
+ * @param {boolean} [criteria.enabled] - true = active aliases only, false = paused only
+ * @param {Date} [criteria.since] - Created at or after
+ * @param {Date} [criteria.until] - Created at or before
+ * @returns {Function} entry => boolean
+ * @throws {Error} When the regular expression is invalid
+ */
+export function createAliasFilter({
+    aliases = [], match = null, regex = null, bundle = null, destination = null,
+    status = null, label = null, tags = [], enabled = null, since = null, until = null
+} = {}) {
+    const wanted = new Set(aliases.map(a => a.toLowerCase()));
+    const pattern = match ? globToRegExp(match) : null;
+    const matchFullAddress = Boolean(match && match.includes('@'));
+    const labelPattern = label ? globToRegExp(label) : null;
+
+    let localPattern = null;
+    if (regex) {
+        try {
+            localPattern = new RegExp(regex, 'i');
+        } catch (error) {
+            throw new Error(`Invalid regular expression "${regex}": ${error.message}`);
+        }
+    }
+
+    return entry => {
+        if (!entry?.alias) return false;
+        const address = entry.alias.toLowerCase();
+        const localPart = address.split('@')[0];
+
+        if (wanted.size > 0 && !wanted.has(address) && !wanted.has(localPart)) return false;
+        if (pattern && !pattern.test(matchFullAddress ? address : localPart)) return false;
+        if (localPattern && !localPattern.test(localPart)) return false;
+        if (bundle && String(entry.bundle || '').toLowerCase() !== bundle.toLowerCase()) return false;
+        if (destination) {
+            const destinations = [].concat(entry.destination || []).map(d => d.toLowerCase());
+            if (!destinations.includes(destination.toLowerCase())) return false;
+        }
+        if (status && String(entry.status || '').toLowerCase() !== status.toLowerCase()) return false;
+        if (labelPattern && !(entry.label && labelPattern.test(entry.label))) return false;
+        if (tags.length > 0 && !tags.every(tag => (entry.tags || []).includes(tag))) return false;
+        if (enabled !== null && (entry.enabled !== false) !== enabled) return false;
+        if (since || until) {
+            const created = new Date(entry.createdAt || NaN);
+            if (Number.isNaN(created.getTime())) return false;
+            if (since && created < since) return false;
+            if (until && created > until) return false;
+        }
+
+        return true;
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * Email Alias Core Library
+ *
+ * Shared building blocks for create-email-aliases.js,
+ * cleanup-generated-aliases.js and delete-email-aliases.js.
+ *
+ * @example
+ * import { loadEnvFile, WORD_BUNDLES, createCloudflareClient } from './lib/index.js';
+ */
+
+export { PROJECT_ROOT, loadEnvFile } from './env.js';
+export {
+    WORD_BUNDLES,
+    DEFAULT_BUNDLES_DIR,
+    isGeneratedAlias,
+    resolveBundleKey,
+    validateBundle,
+    loadCustomBundles,
+    loadCustomBundlesWithWarnings
+} from './bundles.js';
+export {
+    DEFAULT_TEMPLATE,
+    compileTemplate,
+    renderTemplate,
+    templateCapacity,
+    matchesTemplate
+} from './templates.js';
+export { parseSimpleYaml } from './yaml.js';
+export { parseCliArgs } from './cli.js';
+export { createCloudflareClient, resolveZoneId } from './cloudflare.js';
+export {
+    TRACKING_FORMAT,
+    TRACKING_VERSION,
+    getTrackingVersion,
+    validateTrackingData,
+    migrateTrackingData,
+    createTrackingData
+} from './schema.js';
+export {
+    getDomainFile,
+    readTrackingFile,
+    readTrackingEntries,
+    writeTrackingEntries,
+    parseTxtLine,
+    formatTxtLine,
+    updateTxtFile,
+    readAliasList
+} from './tracking.js';
+export {
+    DESTINATION_STRATEGIES,
+    parseDestinationList,
+    formatDestination,
+    destinationList,
+    validateDestinationMap,
+    loadDestinationMap,
+    createDestinationPicker,
+    describeDestinations,
+    checkDestinationAddresses
+} from './destinations.js';
+export {
+    getRuleAddress,
+    getForwardDestinations,
+    getRuleDefinition,
+    isCatchAllRule,
+    CATCH_ALL_ACTIONS,
+    describeRuleAction
+} from './rules.js';
+export { reconcileAliases } from './sync.js';
+export { globToRegExp, parseDateBound, hasAliasCriteria, createAliasFilter } from './filters.js';
+export {
+    LISTING_FORMATS,
+    LISTING_COLUMNS,
+    buildAliasListing,
+    listingCells,
+    formatListingCsv
+} from './listing.js';
+export { normalizeTags, formatRuleName, applyLabelChanges, isUnclaimed } from './labels.js';
+export {
+    TRASH_ARCHIVE_VERSION,
+    getTrashDir,
+    createTrashArchive,
+    writeTrashArchive,
+    readTrashArchive,
+    listTrashArchives,
+    trashItemDefinition,
+    markTrashItemsRestored
+} from './trash.js';
+export {
+    ZONE_BACKUP_FORMAT,
+    ZONE_BACKUP_VERSION,
+    createZoneBackup,
+    readZoneBackup,
+    ruleMatcherKey,
+    planZoneBackupImport
+} from './backup.js';
+export {
+    CHARACTER_CLASSES,
+    DEFAULT_PASSWORD_PROFILE,
+    PASSWORD_PROFILES,
+    validatePasswordProfile,
+    generatePassword,
+    passwordEntropyBits,
+    describePasswordProfile,
+    validatePasswordPolicy,
+    loadPasswordPolicy,
+    createPasswordProfilePicker
+} from './passwords.js';
+export { PASSPHRASE_WORDS } from './wordlist.js';
+export {
+    VAULT_FORMAT,
+    VAULT_VERSION,
+    MIN_PASSPHRASE_LENGTH,
+    readVaultHeader,
+    openVault,
+    scrubToonCredentials
+} from './vault.js';
+export {
+    CREDENTIAL_EXPORT_FORMATS,
+    buildCredentialRecords,
+    formatCredentialExport
+} from './credentials.js';
+export { writeFileAtomic, appendFileAtomic, acquireLock } from './files.js';
+export { createJournal } from './journal.js';
+export { createRateLimiter, rateFromDelay } from './limiter.js';
+export { runPool } from './pool.js';
+export { delay, toDomainSlug } from './util.js';
@@ -0,0 +1,104 @@
+/**
+ * Job Journal
+ *
+ * Append-only JSON Lines log that makes long runs resumable. A job is a
+ * `start` record (the full plan), one `result` record per attempted item,
+ * written as soon as the API answers, and an `end` record once the local
+ * tracking files are up to date. A journal without `end` is an unfinished
+ * job that can be resumed.
+ */
+
+import { readFile, writeFile, appendFile } from 'fs/promises';
+import { existsSync } from 'fs';
+
+/**
+ * Creates a journal bound to a file
+ * @param {string} filePath - Journal path (e.g. example-com.create.journal.jsonl)
+ * @returns {object} Journal with load(), loadUnfinished(), start(), record() and finish()
+ */
+export function createJournal(filePath) {
+
+    async function append(record) {
+        await appendFile(filePath, JSON.stringify(record) + '\n', 'utf-8');
+    }
+
+    /**
+     * Reads the job stored in the journal
+     * @returns {Promise<object|null>} { header, entries, finished } or null when there is no journal
+     */
+    async function load() {
+        if (!existsSync(filePath)) return null;
+
+        const lines = (await readFile(filePath, 'utf-8')).split('\n');
+        let header = null;
+        let entries = [];
+        let finished = false;
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                // A crash can leave a half-written last line behind
+                continue;
+            }
+
+            if (record.type === 'start') {
+                header = record;
+                entries = [];
+                finished = false;
+            } else if (record.type === 'result') {
+                entries.push(record.entry);
+            } else if (record.type === 'end') {
+                finished = true;
+            }
+        }
+
+        return header ? { header, entries, finished } : null;
+    }
+
+    /**
+     * Reads the job only if it never finished
+     * @returns {Promise<object|null>} Unfinished job or null
+     */
+    async function loadUnfinished() {
+        const job = await load();
+        return job && !job.finished ? job : null;
+    }
+
+    /**
+     * Starts a new job, replacing whatever the journal held before
+     * @param {object} header - Job plan (everything needed to resume it)
+     */
+    async function start(header) {
+        const record = { type: 'start', ...header, startedAt: new Date().toISOString() };
+        await writeFile(filePath, JSON.stringify(record) + '\n', 'utf-8');
+    }
+
+    /**
+     * Appends the outcome of one item
+     * @param {object} entry - Result object
+     */
+    async function record(entry) {
+        await append({ type: 'result', entry });
+    }
+
+    /**
+     * Marks the job as complete
+     * @param {object} [summary] - Extra fields stored with the end record
+     */
+    async function finish(summary = {}) {
+        await append({ type: 'end', ...summary, finishedAt: new Date().toISOString() });
+    }
+
+    return {
+        path: filePath,
+        load,
+        loadUnfinished,
+        start,
+        record,
+        finish
+    };
+}
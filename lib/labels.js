@@ -0,0 +1,88 @@
+/**
+ * Alias Labels
+ *
+ * Records which service an alias was handed to. A tracking entry can carry
+ * a `label` (the service), free-form `notes` and `tags`; the label and tags
+ * are mirrored into the Cloudflare rule name so the dashboard shows them too.
+ * Notes stay local: rule names are short and visible to every account member.
+ */
+
+const RULE_NAME_PREFIX = 'Auto-generated';
+
+/** Cloudflare rejects longer rule names */
+const RULE_NAME_MAX_LENGTH = 256;
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Parses a comma-separated tag list ("#Shopping, uk" → ['shopping', 'uk'])
+ * @param {string|string[]} value - Tags
+ * @returns {string[]} Lowercased, unique tags
+ * @throws {Error} On tags with characters other than letters, digits, "-" and "_"
+ */
+export function normalizeTags(value) {
+    const tags = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
+
+    const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid tag(s): ${invalid.join(', ')} (letters, digits, "-" and "_" only)`);
+    }
+
+    return [...new Set(tags)];
+}
+
+/**
+ * Builds the rule name for an alias
+ * @param {string} alias - Alias address
+ * @param {object} [entry] - Tracking entry ({ label, tags })
+ * @returns {string} e.g. "Auto-generated: ghost.relay@example.com | Acme Shop | #shopping"
+ */
+export function formatRuleName(alias, { label = '', tags = [] } = {}) {
+    const parts = [`${RULE_NAME_PREFIX}: ${alias}`];
+    if (label) parts.push(label);
+    if (tags.length > 0) parts.push(tags.map(tag => `#${tag}`).join(' '));
+
+    const name = parts.join(' | ');
+    return name.length > RULE_NAME_MAX_LENGTH ? `${name.slice(0, RULE_NAME_MAX_LENGTH - 1)}…` : name;
+}
+
+/**
+ * Applies label changes to a tracking entry
+ * @param {object} entry - Tracking entry
+ * @param {object} changes
+ * @param {string} [changes.label] - New label ("" removes it)
+ * @param {string} [changes.notes] - New notes ("" removes them)
+ * @param {string[]} [changes.tags] - Replacement tag list
+ * @param {string[]} [changes.addTags] - Tags to add
+ * @param {string[]} [changes.removeTags] - Tags to remove
+ * @returns {object} Updated copy of the entry
+ */
+export function applyLabelChanges(entry, { label, notes, tags, addTags = [], removeTags = [] }) {
+    const next = { ...entry };
+
+    for (const [field, value] of [['label', label], ['notes', notes]]) {
+        if (value === undefined) continue;
+        const text = String(value).trim();
+        if (text) next[field] = text;
+        else delete next[field];
+    }
+
+    let nextTags = tags !== undefined ? tags : (entry.tags || []);
+    nextTags = [...new Set([...nextTags, ...addTags])].filter(tag => !removeTags.includes(tag));
+    if (nextTags.length > 0) next.tags = nextTags;
+    else delete next.tags;
+
+    next.labelledAt = new Date().toISOString();
+    return next;
+}
+
+/**
+ * Whether an alias is still free to hand out: created, active and unlabelled
+ * @param {object} entry - Tracking entry
+ * @returns {boolean}
+ */
+export function isUnclaimed(entry) {
+    return entry.status === 'success' && Boolean(entry.ruleId) && entry.enabled !== false && !entry.label;
+}
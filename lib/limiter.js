@@ -0,0 +1,116 @@
+/**
+ * Adaptive Rate Limiter
+ *
+ * Token bucket shared by every request of a run. The refill rate is halved
+ * whenever Cloudflare answers 429 (honouring Retry-After) and climbs back
+ * toward the configured ceiling while requests keep succeeding (AIMD). An
+ * unlimited limiter climbs back to the rate it was throttled at, then is
+ * unlimited again.
+ */
+
+import { delay } from './util.js';
+
+/**
+ * Creates an adaptive token-bucket limiter
+ * @param {object} [options]
+ * @param {number} [options.maxRate=10] - Ceiling in requests per second (Infinity = unlimited)
+ * @param {number} [options.minRate=0.5] - Floor in requests per second
+ * @param {number} [options.burst=1] - Bucket capacity
+ * @param {Function} [options.onRateChange] - Called with (newRate, reason) when the rate changes
+ * @returns {object} Limiter with acquire(), onSuccess(), onThrottle() and a `rate` getter
+ */
+export function createRateLimiter({ maxRate = 10, minRate = 0.5, burst = 1, onRateChange = null } = {}) {
+    let rate = maxRate;
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    // Waiters are served one at a time, in arrival order
+    let queue = Promise.resolve();
+
+    // Set by onThrottle(): the climb back takes about 20 successes
+    let increaseStep = 0;
+    // Rate at which the limit is lifted again (the first throttled rate when unlimited)
+    let ceiling = maxRate;
+
+    function refill() {
+        const now = Date.now();
+        if (Number.isFinite(rate)) {
+            tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * rate);
+        } else {
+            tokens = burst;
+        }
+        lastRefill = now;
+    }
+
+    async function take() {
+        while (true) {
+            const pause = pausedUntil - Date.now();
+            if (pause > 0) {
+                await delay(pause);
+                continue;
+            }
+
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+
+            await delay(Math.ceil(((1 - tokens) / rate) * 1000));
+        }
+    }
+
+    /**
+     * Waits until a request may be sent
+     * @returns {Promise<void>}
+     */
+    function acquire() {
+        const turn = queue.then(take);
+        queue = turn.catch(() => { });
+        return turn;
+    }
+
+    /**
+     * Records a successful request (additive increase)
+     */
+    function onSuccess() {
+        if (rate >= maxRate) return;
+        refill();
+        rate += increaseStep;
+        if (rate >= ceiling) rate = maxRate;
+        if (onRateChange) onRateChange(rate, 'success');
+    }
+
+    /**
+     * Records a rate-limited request (multiplicative decrease)
+     * @param {number|null} [retryAfterMs] - Retry-After from the response, if any
+     */
+    function onThrottle(retryAfterMs = null) {
+        refill();
+        const base = Number.isFinite(rate) ? rate : (Number.isFinite(maxRate) ? maxRate : 10);
+        if (!Number.isFinite(rate)) ceiling = base;
+        increaseStep = Math.max(base / 20, 0.1);
+        rate = Math.max(minRate, base / 2);
+        tokens = Math.min(tokens, 0);
+        if (retryAfterMs) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs);
+        }
+        if (onRateChange) onRateChange(rate, 'throttle');
+    }
+
+    return {
+        acquire,
+        onSuccess,
+        onThrottle,
+        get rate() { return rate; }
+    };
+}
+
+/**
+ * Converts REQUEST_DELAY_MS into a requests-per-second ceiling
+ * @param {number} requestDelayMs - Minimum spacing between requests
+ * @returns {number} Requests per second (Infinity when the delay is 0)
+ */
+export function rateFromDelay(requestDelayMs) {
+    return requestDelayMs > 0 ? 1000 / requestDelayMs : Infinity;
+}
@@ -0,0 +1,105 @@
+/**
+ * Alias Listing
+ *
+ * Merges the entries of a <domain>.json tracking file with the zone's live
+ * routing rules into one row per alias, and formats those rows. Rows keep
+ * the field names of tracking entries, so createAliasFilter() works on them.
+ */
+
+import { reconcileAliases } from './sync.js';
+import { getForwardDestinations } from './rules.js';
+import { formatDestination, destinationList } from './destinations.js';
+
+export const LISTING_FORMATS = ['table', 'json', 'csv', 'toon'];
+
+/** Columns of the CSV and TOON output, in order */
+export const LISTING_COLUMNS = [
+    'alias', 'rule_id', 'status', 'sync', 'enabled', 'bundle',
+    'label', 'tags', 'destination', 'created_at'
+];
+
+/**
+ * Builds a listing row from a tracking entry
+ */
+function toRow(entry, rule, sync) {
+    const row = {
+        alias: entry.alias,
+        ruleId: rule?.id || entry.ruleId || null,
+        status: entry.status || null,
+        sync,
+        enabled: rule ? rule.enabled !== false : entry.enabled !== false,
+        bundle: entry.bundle || null,
+        label: entry.label || null,
+        tags: entry.tags || [],
+        notes: entry.notes || null,
+        destination: rule ? formatDestination(getForwardDestinations(rule)) : (entry.destination || null),
+        createdAt: entry.createdAt || null
+    };
+    if (entry.imported) row.imported = true;
+    return row;
+}
+
+/**
+ * Merges tracked aliases with live routing rules
+ * @param {Array} localEntries - Entries from the tracking file
+ * @param {Array|null} remoteRules - Routing rules of the zone, or null to list local data only
+ * @param {object} options
+ * @param {string} options.domain - Only addresses on this domain are listed
+ * @param {string[]} [options.defaultDestination] - Assumed destination for entries that do not record one
+ * @returns {Array} Rows; `sync` is "in-sync", "destination-changed", "local-only",
+ *   "remote-only" or "unchecked" (failed entries and local-only listings)
+ */
+export function buildAliasListing(localEntries, remoteRules, { domain, defaultDestination = null }) {
+    const entries = localEntries.filter(e => e.alias);
+
+    if (!remoteRules) {
+        return entries.map(entry => toRow(entry, null, 'unchecked'));
+    }
+
+    const report = reconcileAliases(entries, remoteRules, { domain, defaultDestination });
+    const byEntry = new Map([
+        ...report.inSync.map(({ entry, rule }) => [entry, toRow(entry, rule, 'in-sync')]),
+        ...report.destinationChanged.map(({ entry, rule }) => [entry, toRow(entry, rule, 'destination-changed')]),
+        ...report.localOnly.map(entry => [entry, toRow(entry, null, 'local-only')])
+    ]);
+
+    const rows = entries.map(entry => byEntry.get(entry) || toRow(entry, null, 'unchecked'));
+
+    for (const { rule, address } of report.remoteOnly) {
+        rows.push(toRow({ alias: address, status: 'untracked' }, rule, 'remote-only'));
+    }
+
+    return rows;
+}
+
+/**
+ * Returns the values of a row in LISTING_COLUMNS order
+ * @param {object} row - Listing row
+ * @returns {string[]} Cell values
+ */
+export function listingCells(row) {
+    return [
+        row.alias,
+        row.ruleId || '',
+        row.status || '',
+        row.sync,
+        row.enabled ? 'yes' : 'no',
+        row.bundle || '',
+        row.label || '',
+        row.tags.join(' '),
+        destinationList(row.destination).join(','),
+        row.createdAt || ''
+    ];
+}
+
+/**
+ * Formats rows as CSV (RFC 4180 quoting, header line included)
+ * @param {Array} rows - Listing rows
+ * @returns {string} CSV text
+ */
+export function formatListingCsv(rows) {
+    const quote = value => /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return [LISTING_COLUMNS, ...rows.map(listingCells)]
+        .map(cells => cells.map(quote).join(','))
+        .join('\n') + '\n';
+}
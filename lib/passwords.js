@@ -0,0 +1,328 @@
+/**
+ * Password Policies
+ *
+ * Named profiles describe what a generated password looks like: a length,
+ * the character classes it draws from (and must contain), characters to
+ * leave out, or a diceware-style passphrase of random words. Every random
+ * choice goes through crypto.randomInt(), which rejects out-of-range values
+ * instead of reducing them modulo n, so each character and word is equally
+ * likely.
+ *
+ * Resolution order for an alias:
+ *   1. `aliases` entry of the policy file (local part or full address)
+ *   2. `bundles` entry of the policy file
+ *   3. the run's profile (--password-profile / PASSWORD_PROFILE), else the
+ *      policy file's `default`, else "default"
+ *
+ * @example Policy file (password-policy.json)
+ * {
+ *   "default": "strong",
+ *   "profiles": {
+ *     "bank": { "length": 20, "classes": ["lowercase", "uppercase", "digits"], "exclude": "0O1lI" }
+ *   },
+ *   "bundles": { "tech-wizard": "passphrase" },
+ *   "aliases": { "cipher.vault": "bank" }
+ * }
+ */
+
+import { readFile } from 'fs/promises';
+import { randomInt } from 'crypto';
+import { PASSPHRASE_WORDS } from './wordlist.js';
+
+export const CHARACTER_CLASSES = {
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digits: '0123456789',
+    symbols: '!@#$%^&*()-_=+[]{}|;:,.<>?'
+};
+
+export const DEFAULT_PASSWORD_PROFILE = 'default';
+
+const ALL_CLASSES = Object.keys(CHARACTER_CLASSES);
+const LENGTH_RANGE = [8, 128];
+const WORD_RANGE = [3, 20];
+
+/** Built-in profiles (a policy file can add more or redefine these) */
+export const PASSWORD_PROFILES = {
+    default: {
+        description: '12 characters: letters, digits and symbols',
+        length: 12,
+        classes: ALL_CLASSES
+    },
+    strong: {
+        description: '24 characters: letters, digits and symbols',
+        length: 24,
+        classes: ALL_CLASSES
+    },
+    alphanumeric: {
+        description: '16 characters: letters and digits, no symbols',
+        length: 16,
+        classes: ['lowercase', 'uppercase', 'digits']
+    },
+    readable: {
+        description: '16 letters and digits without look-alikes (0/O, 1/l/I)',
+        length: 16,
+        classes: ['lowercase', 'uppercase', 'digits'],
+        exclude: '0O1lI'
+    },
+    passphrase: {
+        description: 'Six random words joined by "-"',
+        type: 'passphrase',
+        words: 6,
+        separator: '-'
+    }
+};
+
+/**
+ * Validates a profile definition and returns a normalised copy
+ * @param {object} definition - Profile definition
+ * @param {string} [name] - Profile name (for error messages)
+ * @returns {object} Characters: { type, description, length, classes, symbols, exclude, requireEach }
+ *   Passphrase: { type, description, words, separator, capitalize, digit }
+ * @throws {Error} Describing the first problem found
+ */
+export function validatePasswordProfile(definition, name = 'profile') {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`${name} must be an object`);
+    }
+
+    const type = definition.type || 'characters';
+    const description = definition.description ? String(definition.description) : '';
+
+    if (type === 'passphrase') {
+        const words = definition.words ?? 6;
+        if (!Number.isInteger(words) || words < WORD_RANGE[0] || words > WORD_RANGE[1]) {
+            throw new Error(`${name}: "words" must be a whole number from ${WORD_RANGE[0]} to ${WORD_RANGE[1]}`);
+        }
+        const separator = definition.separator ?? '-';
+        if (typeof separator !== 'string' || /[a-z\s]/i.test(separator)) {
+            throw new Error(`${name}: "separator" must be a string without letters or spaces`);
+        }
+        return {
+            type,
+            description,
+            words,
+            separator,
+            capitalize: Boolean(definition.capitalize),
+            digit: Boolean(definition.digit)
+        };
+    }
+
+    if (type !== 'characters') {
+        throw new Error(`${name}: unknown type "${type}" (use "characters" or "passphrase")`);
+    }
+
+    const length = definition.length ?? 12;
+    if (!Number.isInteger(length) || length < LENGTH_RANGE[0] || length > LENGTH_RANGE[1]) {
+        throw new Error(`${name}: "length" must be a whole number from ${LENGTH_RANGE[0]} to ${LENGTH_RANGE[1]}`);
+    }
+
+    const classes = definition.classes ?? ALL_CLASSES;
+    const unknown = [].concat(classes).filter(c => !ALL_CLASSES.includes(c));
+    if (!Array.isArray(classes) || classes.length === 0 || unknown.length > 0) {
+        throw new Error(`${name}: "classes" must list some of ${ALL_CLASSES.join(', ')}${unknown.length > 0 ? ` (unknown: ${unknown.join(', ')})` : ''}`);
+    }
+
+    const symbols = definition.symbols ?? CHARACTER_CLASSES.symbols;
+    if (typeof symbols !== 'string' || /[a-z0-9\s]/i.test(symbols)) {
+        throw new Error(`${name}: "symbols" must be a string of punctuation characters`);
+    }
+
+    const exclude = String(definition.exclude ?? '');
+    const requireEach = definition.requireEach !== false;
+    const profile = { type, description, length, classes: [...new Set(classes)], symbols, exclude, requireEach };
+
+    for (const className of profile.classes) {
+        if (classCharacters(profile, className).length === 0) {
+            throw new Error(`${name}: every "${className}" character is excluded`);
+        }
+    }
+    if (requireEach && length < profile.classes.length) {
+        throw new Error(`${name}: ${length} characters cannot contain all ${profile.classes.length} classes`);
+    }
+
+    return profile;
+}
+
+/**
+ * Characters of one class that a profile may use
+ */
+function classCharacters(profile, className) {
+    const characters = className === 'symbols' ? profile.symbols : CHARACTER_CLASSES[className];
+    return [...new Set(characters)].filter(c => !profile.exclude.includes(c)).join('');
+}
+
+/**
+ * Unbiased Fisher-Yates shuffle
+ */
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Picks one element uniformly at random
+ */
+function pick(list) {
+    return list[randomInt(list.length)];
+}
+
+/**
+ * Generates a password for a profile
+ * @param {object} profile - Normalised profile (see validatePasswordProfile)
+ * @returns {string}
+ */
+export function generatePassword(profile) {
+    if (profile.type === 'passphrase') {
+        const words = Array.from({ length: profile.words }, () => pick(PASSPHRASE_WORDS))
+            .map(word => profile.capitalize ? word[0].toUpperCase() + word.slice(1) : word);
+        if (profile.digit) {
+            const i = randomInt(words.length);
+            words[i] += String(randomInt(10));
+        }
+        return words.join(profile.separator);
+    }
+
+    const pools = profile.classes.map(className => classCharacters(profile, className));
+    const all = [...new Set(pools.join(''))].join('');
+    // One character of every class first, the rest from the whole pool
+    const characters = profile.requireEach ? pools.map(pool => pick(pool)) : [];
+    while (characters.length < profile.length) {
+        characters.push(pick(all));
+    }
+    return shuffle(characters).join('');
+}
+
+/**
+ * Approximate strength of a profile's passwords
+ * @param {object} profile - Normalised profile
+ * @returns {number} Bits of entropy (upper bound for character profiles
+ *   that require every class)
+ */
+export function passwordEntropyBits(profile) {
+    if (profile.type === 'passphrase') {
+        const digitBits = profile.digit ? Math.log2(10 * profile.words) : 0;
+        return profile.words * Math.log2(PASSPHRASE_WORDS.length) + digitBits;
+    }
+
+    const all = new Set(profile.classes.map(className => classCharacters(profile, className)).join(''));
+    return profile.length * Math.log2(all.size);
+}
+
+/**
+ * Short human-readable description of a profile
+ * @param {object} profile - Normalised profile
+ * @returns {string} e.g. "16 characters (lowercase, uppercase, digits), ≈95 bits"
+ */
+export function describePasswordProfile(profile) {
+    const bits = `≈${Math.round(passwordEntropyBits(profile))} bits`;
+    if (profile.type === 'passphrase') {
+        const extras = [profile.capitalize && 'capitalized', profile.digit && 'one digit'].filter(Boolean);
+        return `${profile.words} words joined by "${profile.separator}"${extras.length > 0 ? ` (${extras.join(', ')})` : ''}, ${bits}`;
+    }
+    const excluded = profile.exclude ? `, without ${profile.exclude}` : '';
+    return `${profile.length} characters (${profile.classes.join(', ')}${excluded}), ${bits}`;
+}
+
+// ============================================================================
+// POLICY FILE
+// ============================================================================
+
+/**
+ * Validates a password policy and returns a normalised copy
+ * @param {object} definition - Parsed policy file
+ * @returns {object} { default, profiles, bundles, aliases }; profiles include the built-ins
+ * @throws {Error} Describing the first problem found
+ */
+export function validatePasswordPolicy(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('password policy must be an object');
+    }
+
+    const unknown = Object.keys(definition).filter(key => !['default', 'profiles', 'bundles', 'aliases'].includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`unknown keys: ${unknown.join(', ')} (use "default", "profiles", "bundles" and "aliases")`);
+    }
+
+    const profiles = {};
+    for (const [name, profile] of Object.entries({ ...PASSWORD_PROFILES, ...(definition.profiles || {}) })) {
+        profiles[name.toLowerCase()] = validatePasswordProfile(profile, `profiles.${name}`);
+    }
+
+    const known = name => {
+        const key = String(name).toLowerCase();
+        if (!profiles[key]) throw new Error(`unknown profile "${name}" (available: ${Object.keys(profiles).join(', ')})`);
+        return key;
+    };
+
+    const policy = {
+        default: definition.default === undefined ? null : known(definition.default),
+        profiles,
+        bundles: {},
+        aliases: {}
+    };
+
+    for (const field of ['bundles', 'aliases']) {
+        const section = definition[field] || {};
+        if (typeof section !== 'object' || Array.isArray(section)) {
+            throw new Error(`"${field}" must map names to profile names`);
+        }
+        for (const [key, value] of Object.entries(section)) {
+            policy[field][key.toLowerCase()] = known(value);
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * Loads a JSON password policy file
+ * @param {string} filePath - Path to the policy file
+ * @returns {Promise<object>} Normalised policy (see validatePasswordPolicy)
+ * @throws {Error} When the file cannot be read or is invalid
+ */
+export async function loadPasswordPolicy(filePath) {
+    let definition;
+    try {
+        definition = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read password policy ${filePath}: ${error.message}`);
+    }
+
+    try {
+        return validatePasswordPolicy(definition);
+    } catch (error) {
+        throw new Error(`Invalid password policy ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Creates a function that picks the profile of each alias
+ * @param {object} [options]
+ * @param {string} [options.profile] - Profile of the run (--password-profile)
+ * @param {object} [options.policy] - Policy from loadPasswordPolicy()
+ * @returns {Function} (alias, bundle) => { name, profile }
+ * @throws {Error} When the run's profile does not exist
+ */
+export function createPasswordProfilePicker({ profile = null, policy = null } = {}) {
+    const profiles = policy?.profiles || Object.fromEntries(
+        Object.entries(PASSWORD_PROFILES).map(([name, definition]) => [name, validatePasswordProfile(definition, name)])
+    );
+
+    const runProfile = String(profile || policy?.default || DEFAULT_PASSWORD_PROFILE).toLowerCase();
+    if (!profiles[runProfile]) {
+        throw new Error(`Unknown password profile "${runProfile}". Use one of: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    return (alias, bundle = null) => {
+        const localPart = alias.split('@')[0].toLowerCase();
+        const name = policy?.aliases[alias.toLowerCase()]
+            || policy?.aliases[localPart]
+            || (bundle ? policy?.bundles[bundle.toLowerCase()] : null)
+            || runProfile;
+        return { name, profile: profiles[name] };
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * Bounded-Concurrency Worker Pool
+ */
+
+/**
+ * Runs an async worker over items with at most `concurrency` in flight.
+ * Results keep the order of the input items; worker errors are not caught
+ * here, so workers should return a result object instead of throwing.
+ * @param {Array} items - Work items
+ * @param {Function} worker - async (item, index) => result
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Maximum parallel workers
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function runPool(items, worker, { concurrency = 4 } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+    return results;
+}
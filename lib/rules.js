@@ -0,0 +1,63 @@
+/**
+ * Routing Rule Helpers
+ *
+ * Read-only accessors for Cloudflare Email Routing rule objects.
+ */
+
+/**
+ * Returns the literal `to` address a rule matches, if any
+ * @param {object} rule - Routing rule
+ * @returns {string|null} Address as stored in Cloudflare
+ */
+export function getRuleAddress(rule) {
+    const matcher = (rule.matchers || []).find(m => m.type === 'literal' && m.field === 'to');
+    return matcher?.value || null;
+}
+
+/**
+ * Returns every forward destination of a rule
+ * @param {object} rule - Routing rule
+ * @returns {string[]} Destination addresses
+ */
+export function getForwardDestinations(rule) {
+    return (rule.actions || [])
+        .filter(a => a.type === 'forward')
+        .flatMap(a => a.value || []);
+}
+
+/**
+ * Returns the parts of a rule that define it (without ID and tag), i.e.
+ * what is needed to create it again
+ * @param {object} rule - Routing rule
+ * @returns {object} { matchers, actions, enabled, name, priority }
+ */
+export function getRuleDefinition(rule) {
+    const { matchers = [], actions = [], enabled, name, priority } = rule;
+    return { matchers, actions, enabled: enabled !== false, name, priority };
+}
+
+/**
+ * Whether a rule is the catch-all (matches every address)
+ * @param {object} rule - Routing rule
+ * @returns {boolean}
+ */
+export function isCatchAllRule(rule) {
+    return (rule.matchers || []).some(m => m.type === 'all');
+}
+
+/** Actions a catch-all rule can take */
+export const CATCH_ALL_ACTIONS = ['forward', 'drop', 'worker'];
+
+/**
+ * Describes what a rule does with matching mail
+ * @param {object} rule - Routing rule (literal or catch-all)
+ * @returns {string} e.g. "forward → a@example.com", "drop" or "worker → my-worker"
+ */
+export function describeRuleAction(rule) {
+    const action = (rule?.actions || [])[0];
+    if (!action) return 'none';
+    if (action.type === 'drop') return 'drop';
+
+    const values = action.value || [];
+    return values.length > 0 ? `${action.type} → ${values.join(', ')}` : action.type;
+}
@@ -0,0 +1,176 @@
+/**
+ * Tracking File Schema
+ *
+ * <domain>.json holds one entry per alias this tool knows about. Older
+ * versions wrote two shapes: a bare array of entries (version 0, new files)
+ * and `{ metadata, results }` (version 1, once passwords were added). Both
+ * are migrated on read; every write stores the current version.
+ *
+ * @example example-com.json
+ * {
+ *   "format": "email-alias-tracking",
+ *   "version": 2,
+ *   "domain": "example.com",
+ *   "updatedAt": "2026-01-31T10:15:00.000Z",
+ *   "count": 1,
+ *   "vault": "example-com.vault.json",
+ *   "aliases": [{
+ *     "alias": "cipher.vault@example.com",
+ *     "ruleId": "abc...",
+ *     "createdAt": "2026-01-31T10:15:00.000Z",
+ *     "status": "success",
+ *     "bundle": "privacy-guardian",
+ *     "destination": "inbox@gmail.com"
+ *   }]
+ * }
+ *
+ * Entries may also carry template, enabled, label, notes, tags, error,
+ * passwordStoredAt, passwordProfile, imported and migratedTo.
+ */
+
+export const TRACKING_FORMAT = 'email-alias-tracking';
+export const TRACKING_VERSION = 2;
+
+/** Entry fields with a fixed type: field → check, description */
+const ENTRY_FIELDS = {
+    ruleId: [v => v === null || typeof v === 'string', 'a string or null'],
+    status: [v => typeof v === 'string', 'a string'],
+    createdAt: [v => typeof v === 'string', 'a string'],
+    bundle: [v => v === null || typeof v === 'string', 'a string or null'],
+    destination: [v => v === null || typeof v === 'string' || (Array.isArray(v) && v.every(d => typeof d === 'string')),
+        'an address or a list of addresses'],
+    enabled: [v => typeof v === 'boolean', 'true or false'],
+    label: [v => v === null || typeof v === 'string', 'a string or null'],
+    notes: [v => v === null || typeof v === 'string', 'a string or null'],
+    tags: [v => Array.isArray(v) && v.every(t => typeof t === 'string'), 'a list of strings']
+};
+
+/**
+ * Version of parsed tracking data
+ * @param {*} data - Parsed JSON
+ * @returns {number} 0 (bare array), 1 ({ metadata, results }) or the stored version
+ * @throws {Error} When the data is not a tracking file
+ */
+export function getTrackingVersion(data) {
+    if (Array.isArray(data)) return 0;
+    if (!data || typeof data !== 'object') {
+        throw new Error('not a tracking file (expected an object or an array of aliases)');
+    }
+    if (data.format === TRACKING_FORMAT) {
+        if (!Number.isInteger(data.version)) throw new Error(`invalid version ${data.version}`);
+        return data.version;
+    }
+    if (data.format === undefined && (Array.isArray(data.results) || Array.isArray(data.aliases))) return 1;
+    throw new Error('not a tracking file (no "aliases" list)');
+}
+
+/**
+ * Domain of the first entry with an address
+ * @param {Array} entries - Alias entries
+ * @returns {string|null}
+ */
+function aliasDomain(entries) {
+    const alias = entries.find(e => typeof e?.alias === 'string' && e.alias.includes('@'))?.alias;
+    return alias ? alias.split('@')[1] : null;
+}
+
+/**
+ * One upgrade per version: MIGRATIONS[n] turns version n into version n + 1
+ */
+const MIGRATIONS = [
+    // 0 → 1: wrap the bare array
+    entries => ({ metadata: {}, results: entries }),
+
+    // 1 → 2: header fields move to the top level, entries to "aliases"; very
+    // old entries named the address "email". Version 1 rebuilt metadata.domain
+    // from the file slug (my-site-com → my.site.com), so the aliases say better.
+    ({ metadata = {}, results, aliases }) => {
+        const entries = (results || aliases).map(entry => entry && typeof entry === 'object'
+            && entry.alias === undefined && typeof entry.email === 'string'
+            ? (({ email, ...rest }) => ({ alias: email, ...rest }))(entry)
+            : entry);
+        const data = {
+            format: TRACKING_FORMAT,
+            version: 2,
+            domain: aliasDomain(entries) || metadata.domain || null,
+            updatedAt: metadata.updated_at || null,
+            count: entries.length,
+            aliases: entries
+        };
+        if (metadata.vault) data.vault = metadata.vault;
+        return data;
+    }
+];
+
+/**
+ * Checks tracking data of the current version
+ * @param {object} data - Tracking data
+ * @returns {object} The same data
+ * @throws {Error} Naming the first invalid field
+ */
+export function validateTrackingData(data) {
+    if (data?.format !== TRACKING_FORMAT || data.version !== TRACKING_VERSION) {
+        throw new Error(`expected "${TRACKING_FORMAT}" version ${TRACKING_VERSION}`);
+    }
+    if (data.domain !== null && typeof data.domain !== 'string') {
+        throw new Error('"domain" must be a string or null');
+    }
+    if (!Array.isArray(data.aliases)) {
+        throw new Error('"aliases" must be a list');
+    }
+
+    data.aliases.forEach((entry, i) => {
+        const where = `aliases[${i}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`${where} must be an object`);
+        }
+        if (typeof entry.alias !== 'string' || !entry.alias.includes('@')) {
+            throw new Error(`${where}: "alias" must be an email address`);
+        }
+        for (const [field, [check, expected]] of Object.entries(ENTRY_FIELDS)) {
+            if (entry[field] !== undefined && !check(entry[field])) {
+                throw new Error(`${where} (${entry.alias}): "${field}" must be ${expected}`);
+            }
+        }
+    });
+
+    return data;
+}
+
+/**
+ * Brings parsed tracking data of any version to the current one and validates it
+ * @param {*} data - Parsed JSON
+ * @returns {{ data: object, fromVersion: number }} Current-version data and the version it was read as
+ * @throws {Error} When the data is not a tracking file, is invalid, or is from a newer version
+ */
+export function migrateTrackingData(data) {
+    const fromVersion = getTrackingVersion(data);
+    if (fromVersion > TRACKING_VERSION) {
+        throw new Error(`written by a newer version (tracking version ${fromVersion}, this tool reads up to ${TRACKING_VERSION})`);
+    }
+
+    let current = data;
+    for (let version = fromVersion; version < TRACKING_VERSION; version++) {
+        current = MIGRATIONS[version](current);
+    }
+    return { data: validateTrackingData(current), fromVersion };
+}
+
+/**
+ * Builds current-version tracking data
+ * @param {Array} entries - Alias entries
+ * @param {object} [header] - Fields kept from the existing file ({ domain, vault, ... });
+ *   the aliases' own domain wins over a stored one
+ * @returns {object} Tracking data (see module example)
+ */
+export function createTrackingData(entries, { domain = null, ...header } = {}) {
+    return {
+        format: TRACKING_FORMAT,
+        version: TRACKING_VERSION,
+        domain: aliasDomain(entries) || domain || null,
+        updatedAt: new Date().toISOString(),
+        count: entries.length,
+        ...header,
+        aliases: entries
+    };
+}
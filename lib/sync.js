@@ -0,0 +1,82 @@
+/**
+ * Local ↔ Cloudflare Reconciliation
+ *
+ * Compares the entries of a <domain>.json tracking file with the zone's
+ * routing rules. Pure function: fetching and writing is up to the caller.
+ */
+
+import { getRuleAddress, getForwardDestinations } from './rules.js';
+
+/**
+ * Normalises one or many addresses into a sorted, lowercased list
+ */
+function normaliseDestinations(value) {
+    return [].concat(value || []).map(d => d.toLowerCase()).sort();
+}
+
+/**
+ * Reconciles tracked aliases with remote routing rules
+ * @param {Array} localEntries - Entries from the tracking file
+ * @param {Array} remoteRules - Routing rules of the zone
+ * @param {object} options
+ * @param {string} options.domain - Only addresses on this domain are compared
+ * @param {string} [options.defaultDestination] - Assumed destination for entries that do not record one
+ * @returns {object} { inSync, remoteOnly, localOnly, destinationChanged, disabled, relinked }
+ */
+export function reconcileAliases(localEntries, remoteRules, { domain, defaultDestination = null }) {
+    const domainSuffix = `@${domain.toLowerCase()}`;
+
+    const remote = remoteRules
+        .map(rule => ({ rule, address: getRuleAddress(rule) }))
+        .filter(r => r.address && r.address.toLowerCase().endsWith(domainSuffix));
+
+    const remoteById = new Map(remote.map(r => [r.rule.id, r]));
+    const remoteByAddress = new Map(remote.map(r => [r.address.toLowerCase(), r]));
+    const matchedRuleIds = new Set();
+    const pausedRuleIds = new Set();
+
+    const report = {
+        inSync: [],
+        remoteOnly: [],
+        localOnly: [],
+        destinationChanged: [],
+        disabled: [],
+        relinked: []
+    };
+
+    // Only aliases that were actually created are expected to exist remotely
+    const tracked = localEntries.filter(e => e.status === 'success' && e.alias);
+
+    for (const entry of tracked) {
+        let match = entry.ruleId ? remoteById.get(entry.ruleId) : null;
+
+        if (!match) {
+            match = remoteByAddress.get(entry.alias.toLowerCase());
+            if (match) report.relinked.push({ entry, rule: match.rule });
+        }
+
+        if (!match) {
+            report.localOnly.push(entry);
+            continue;
+        }
+
+        matchedRuleIds.add(match.rule.id);
+        if (entry.enabled === false) pausedRuleIds.add(match.rule.id);
+
+        const expected = normaliseDestinations(entry.destination || defaultDestination);
+        const actual = normaliseDestinations(getForwardDestinations(match.rule));
+        if (expected.length > 0 && expected.join(',') !== actual.join(',')) {
+            report.destinationChanged.push({ entry, rule: match.rule, local: expected, remote: actual });
+        } else {
+            report.inSync.push({ entry, rule: match.rule });
+        }
+    }
+
+    for (const { rule, address } of remote) {
+        if (!matchedRuleIds.has(rule.id)) report.remoteOnly.push({ rule, address });
+        // Aliases paused with `pause` are disabled on purpose
+        if (rule.enabled === false && !pausedRuleIds.has(rule.id)) report.disabled.push({ rule, address });
+    }
+
+    return report;
+}
@@ -0,0 +1,151 @@
+/**
+ * Alias Name Templates
+ *
+ * Tiny template language for alias local parts. Placeholders:
+ *   {prefix}  random word from the bundle's prefixes
+ *   {suffix}  random word from the bundle's suffixes
+ *   {word}    random word from either list
+ *   {n}, {nn}, {nnn}, ...  random digits (one per "n")
+ * Everything else is literal text (letters, digits, ".", "-", "_").
+ *
+ * @example
+ * '{prefix}.{suffix}'          → cipher.vault   (default)
+ * '{prefix}-{suffix}{nn}'      → cipher-vault42
+ * 'shop.{prefix}.{suffix}'     → shop.cipher.vault
+ * '{prefix}.{word}.{suffix}'   → cipher.ghost.vault
+ */
+
+export const DEFAULT_TEMPLATE = '{prefix}.{suffix}';
+
+const WORD_TOKENS = ['prefix', 'suffix', 'word'];
+const PLACEHOLDER_PATTERN = /\{([a-z]+)\}/g;
+
+/**
+ * Parses and validates a template
+ * @param {string} template - Template string
+ * @returns {{ template: string, parts: Array<{ type: string, value?: string, digits?: number }> }}
+ * @throws {Error} When the template is invalid
+ */
+export function compileTemplate(template = DEFAULT_TEMPLATE) {
+    if (typeof template !== 'string' || !template.trim()) {
+        throw new Error('Template must be a non-empty string');
+    }
+
+    const source = template.trim();
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(PLACEHOLDER_PATTERN)) {
+        if (match.index > lastIndex) {
+            parts.push({ type: 'literal', value: source.slice(lastIndex, match.index) });
+        }
+
+        const token = match[1];
+        if (WORD_TOKENS.includes(token)) {
+            parts.push({ type: token });
+        } else if (/^n+$/.test(token)) {
+            parts.push({ type: 'digits', digits: token.length });
+        } else {
+            throw new Error(`Unknown placeholder {${token}} in template "${source}" (use {prefix}, {suffix}, {word} or {n}/{nn}/...)`);
+        }
+
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < source.length) {
+        parts.push({ type: 'literal', value: source.slice(lastIndex) });
+    }
+
+    const literals = parts.filter(p => p.type === 'literal').map(p => p.value).join('');
+    if (!/^[a-z0-9._-]*$/i.test(literals)) {
+        throw new Error(`Template "${source}" contains characters that are not allowed in an email address`);
+    }
+    if (!parts.some(p => WORD_TOKENS.includes(p.type))) {
+        throw new Error(`Template "${source}" needs at least one {prefix}, {suffix} or {word}`);
+    }
+
+    // Placeholders render to non-empty words/digits, so check dot placement on a stand-in
+    const skeleton = parts.map(p => p.type === 'literal' ? p.value : 'x').join('');
+    if (skeleton.startsWith('.') || skeleton.endsWith('.') || skeleton.includes('..')) {
+        throw new Error(`Template "${source}" would produce a leading, trailing or double dot`);
+    }
+
+    return { template: source, parts };
+}
+
+/**
+ * Returns the words a placeholder can produce for a bundle
+ */
+function wordsFor(type, bundle) {
+    if (type === 'prefix') return bundle.prefixes;
+    if (type === 'suffix') return bundle.suffixes;
+    return [...new Set([...bundle.prefixes, ...bundle.suffixes])];
+}
+
+/**
+ * Renders one local part
+ * @param {object} compiled - Result of compileTemplate()
+ * @param {object} bundle - Word bundle
+ * @param {Function} random - Random generator returning [0, 1)
+ * @returns {string} Local part
+ */
+export function renderTemplate(compiled, bundle, random) {
+    return compiled.parts.map(part => {
+        if (part.type === 'literal') return part.value;
+        if (part.type === 'digits') {
+            let digits = '';
+            for (let i = 0; i < part.digits; i++) digits += Math.floor(random() * 10);
+            return digits;
+        }
+        const words = wordsFor(part.type, bundle);
+        return words[Math.floor(random() * words.length)];
+    }).join('');
+}
+
+/**
+ * Number of combinations a template can produce for a bundle (upper bound:
+ * adjacent words like {prefix}{suffix} can occasionally collide)
+ * @param {object} compiled - Result of compileTemplate()
+ * @param {object} bundle - Word bundle
+ * @returns {number} Combination count
+ */
+export function templateCapacity(compiled, bundle) {
+    return compiled.parts.reduce((total, part) => {
+        if (part.type === 'literal') return total;
+        if (part.type === 'digits') return total * Math.pow(10, part.digits);
+        return total * wordsFor(part.type, bundle).length;
+    }, 1);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const matcherCache = new Map();
+
+/**
+ * Checks whether a local part could have been produced by a template and bundle
+ * @param {object} compiled - Result of compileTemplate()
+ * @param {object} bundle - Word bundle
+ * @param {string} localPart - Local part to test (case-insensitive)
+ * @returns {boolean} True when it parses back into the template
+ */
+export function matchesTemplate(compiled, bundle, localPart) {
+    let byBundle = matcherCache.get(compiled.template);
+    if (!byBundle) {
+        byBundle = new WeakMap();
+        matcherCache.set(compiled.template, byBundle);
+    }
+
+    let pattern = byBundle.get(bundle);
+    if (!pattern) {
+        const source = compiled.parts.map(part => {
+            if (part.type === 'literal') return escapeRegExp(part.value);
+            if (part.type === 'digits') return `\\d{${part.digits}}`;
+            return `(?:${wordsFor(part.type, bundle).map(escapeRegExp).join('|')})`;
+        }).join('');
+        pattern = new RegExp(`^${source}$`, 'i');
+        byBundle.set(bundle, pattern);
+    }
+
+    return pattern.test(localPart);
+}
@@ -0,0 +1,215 @@
+/**
+ * Local Tracking Files
+ *
+ * Helpers for the <domain>.json and <domain>.txt files written by
+ * create-email-aliases.js. Every script reads and writes <domain>.json
+ * through readTrackingEntries() / writeTrackingEntries(), which apply the
+ * schema and its migrations (schema.js), and finds a domain's files through
+ * getDomainFile().
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { PROJECT_ROOT } from './env.js';
+import { toDomainSlug } from './util.js';
+import { destinationList } from './destinations.js';
+import { writeFileAtomic } from './files.js';
+import { migrateTrackingData, validateTrackingData, createTrackingData } from './schema.js';
+
+// Directory picked for each domain slug, so a run never splits a domain's files
+const domainDirs = new Map();
+
+/**
+ * Directory of a domain's local files: TRACKING_DIR when set, otherwise the
+ * working directory. When it has no <domain>.json but the working directory
+ * or the project folder does (files written by a run started elsewhere, or
+ * before TRACKING_DIR was set), that directory is used instead, with a note.
+ * @param {string} slug - Domain slug
+ * @returns {string} Absolute directory
+ */
+function getDomainDir(slug) {
+    if (domainDirs.has(slug)) return domainDirs.get(slug);
+
+    const preferred = resolve(process.env.TRACKING_DIR || '.');
+    let dir = preferred;
+    if (!existsSync(join(preferred, `${slug}.json`))) {
+        const found = [resolve('.'), PROJECT_ROOT]
+            .find(candidate => candidate !== preferred && existsSync(join(candidate, `${slug}.json`)));
+        if (found) {
+            console.warn(`⚠️  No ${slug}.json in ${preferred}; using the files in ${found}. ` +
+                `Move them there, or set TRACKING_DIR=${found} to keep them where they are.`);
+            dir = found;
+        }
+    }
+    // A TRACKING_DIR that does not exist yet is created on first use
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    domainDirs.set(slug, dir);
+    return dir;
+}
+
+/**
+ * Path of one of a domain's local files. Tracking files, the vault, journals,
+ * the lock and routing backups all sit in one directory (see getDomainDir()),
+ * so every script started from there uses the same files and the same lock.
+ * Safe writes keep their `.bak` copy next to the file (see files.js).
+ * @param {string} domain - Domain (e.g. example.com)
+ * @param {string} extension - e.g. 'json', 'txt', 'toon', 'lock', 'vault.json'
+ * @returns {string} e.g. example-com.json, or a full path outside the working directory
+ */
+export function getDomainFile(domain, extension) {
+    const slug = toDomainSlug(domain);
+    const dir = getDomainDir(slug);
+    return dir === process.cwd() ? `${slug}.${extension}` : join(dir, `${slug}.${extension}`);
+}
+
+/**
+ * Reads a tracking file, migrating older shapes (see schema.js)
+ * @param {string} filePath - Path to <domain>.json
+ * @returns {Promise<{ data: object, fromVersion: number }|null>} Current-version data and the
+ *   version the file was written in; null when the file does not exist
+ * @throws {Error} When the file cannot be parsed or does not match the schema
+ */
+export async function readTrackingFile(filePath) {
+    if (!existsSync(filePath)) return null;
+
+    let json;
+    try {
+        json = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read tracking file ${filePath}: ${error.message}`);
+    }
+
+    try {
+        return migrateTrackingData(json);
+    } catch (error) {
+        throw new Error(`Invalid tracking file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the alias entries of a tracking file
+ * @param {string} filePath - Path to <domain>.json
+ * @returns {Promise<Array>} Alias entries (empty when the file does not exist)
+ * @throws {Error} When the file cannot be parsed or does not match the schema
+ */
+export async function readTrackingEntries(filePath) {
+    const file = await readTrackingFile(filePath);
+    return file ? file.data.aliases : [];
+}
+
+/**
+ * Replaces the alias entries of a tracking file. The file is written in the
+ * current schema version; header fields of the existing file are kept. A file
+ * that cannot be parsed is never overwritten.
+ * @param {string} filePath - Path to <domain>.json
+ * @param {Array} entries - Alias entries to store
+ * @param {object} [header] - Header fields to set (e.g. { vault })
+ * @throws {Error} When the existing file or an entry does not match the schema
+ */
+export async function writeTrackingEntries(filePath, entries, header = {}) {
+    const existing = await readTrackingFile(filePath);
+    const { format, version, updatedAt, count, aliases, ...kept } = existing?.data || {};
+    const data = createTrackingData(entries, { ...kept, ...header });
+
+    try {
+        validateTrackingData(data);
+    } catch (error) {
+        throw new Error(`Refusing to write ${filePath}: ${error.message}`);
+    }
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+// ============================================================================
+// TXT LIST
+// ============================================================================
+
+// Passwords never contain spaces, so the arrow cannot clash with them
+const TXT_DESTINATION_SEPARATOR = ' → ';
+
+/**
+ * Parses one line of <domain>.txt: `alias[:password][ → destination, ...]`
+ * @param {string} line - Raw line
+ * @returns {{ email: string, password: string, destinations: string[] }|null} Null for blank/foreign lines
+ */
+export function parseTxtLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.includes('@')) return null;
+
+    const [credentials, destinationPart = ''] = trimmed.split(TXT_DESTINATION_SEPARATOR);
+    const colon = credentials.indexOf(':');
+
+    return {
+        email: colon === -1 ? credentials : credentials.slice(0, colon),
+        password: colon === -1 ? '' : credentials.slice(colon + 1),
+        destinations: destinationPart.split(',').map(d => d.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Formats one line of <domain>.txt (inverse of parseTxtLine)
+ * @param {object} entry - { email, password?, destinations? }
+ * @returns {string} Line without trailing newline
+ */
+export function formatTxtLine({ email, password = '', destinations = [] }) {
+    let line = password ? `${email}:${password}` : email;
+    if (destinations.length > 0) line += `${TXT_DESTINATION_SEPARATOR}${destinations.join(', ')}`;
+    return line;
+}
+
+/**
+ * Rewrites <domain>.txt: drops removed addresses, rewrites the destinations
+ * of updated ones in place and appends new entries that are not listed yet
+ * (lines keep any password already attached)
+ * @param {string} txtFile - Path to <domain>.txt
+ * @param {object} changes - { removed: addresses, updated: tracking entries, added: tracking entries }
+ */
+export async function updateTxtFile(txtFile, { removed = [], updated = [], added = [] }) {
+    const lines = existsSync(txtFile)
+        ? (await readFile(txtFile, 'utf-8')).split('\n').map(l => l.trim()).filter(l => l.includes('@'))
+        : [];
+    const removedSet = new Set(removed.map(a => a.toLowerCase()));
+    const updatedMap = new Map(updated.map(entry => [entry.alias.toLowerCase(), entry]));
+
+    const kept = lines
+        .filter(line => !removedSet.has(parseTxtLine(line).email.toLowerCase()))
+        .map(line => {
+            const parsed = parseTxtLine(line);
+            const entry = updatedMap.get(parsed.email.toLowerCase());
+            return entry
+                ? formatTxtLine({ ...parsed, destinations: destinationList(entry.destination) })
+                : line;
+        });
+    const present = new Set(kept.map(line => parseTxtLine(line).email.toLowerCase()));
+    const appended = added
+        .filter(entry => !present.has(entry.alias.toLowerCase()))
+        .map(entry => formatTxtLine({
+            email: entry.alias,
+            password: entry.password,
+            destinations: destinationList(entry.destination)
+        }));
+
+    await writeFileAtomic(txtFile, [...kept, ...appended].join('\n') + '\n');
+}
+
+/**
+ * Reads a list of aliases, one per line: full addresses, local parts or
+ * <domain>.txt lines. Blank lines and lines starting with "#" are ignored.
+ * @param {string} filePath - Path to the list file
+ * @returns {Promise<string[]>} Addresses / local parts
+ * @throws {Error} When the file cannot be read
+ */
+export async function readAliasList(filePath) {
+    let content;
+    try {
+        content = await readFile(filePath, 'utf-8');
+    } catch (error) {
+        throw new Error(`Could not read alias list ${filePath}: ${error.message}`);
+    }
+
+    return content
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.includes('@') ? parseTxtLine(line).email : line);
+}
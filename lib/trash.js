@@ -0,0 +1,169 @@
+/**
+ * Trash Archives
+ *
+ * Before the delete and cleanup scripts remove routing rules, the full rule
+ * definitions (matchers, actions, name, enabled, priority) and their
+ * tracking entries are written to a dated archive in the trash directory.
+ * `restore` recreates rules from these archives.
+ *
+ * Archives written before the password vault existed contain plaintext
+ * passwords in their tracking entries (`vault migrate` removes them): keep
+ * the trash directory private.
+ *
+ * @example trash/example-com-2026-01-31T10-15-00-cleanup.json
+ * {
+ *   "version": 1,
+ *   "domain": "example.com",
+ *   "zoneId": "abc...",
+ *   "source": "cleanup",
+ *   "createdAt": "2026-01-31T10:15:00.000Z",
+ *   "items": [{ "address": "cipher.vault@example.com", "rule": { ... }, "entry": { ... } }]
+ * }
+ */
+
+import { readFile, readdir, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { PROJECT_ROOT } from './env.js';
+import { getRuleAddress, getRuleDefinition } from './rules.js';
+import { destinationList } from './destinations.js';
+import { toDomainSlug } from './util.js';
+import { writeFileAtomic } from './files.js';
+
+export const TRASH_ARCHIVE_VERSION = 1;
+
+/** Trash directory (TRASH_DIR or <project>/trash) */
+export function getTrashDir() {
+    return process.env.TRASH_DIR || join(PROJECT_ROOT, 'trash');
+}
+
+/**
+ * Snapshots rules (and their tracking entries) into a new trash archive
+ * @param {object} options
+ * @param {string} options.domain - Alias domain
+ * @param {string} options.zoneId - Zone the rules belong to
+ * @param {string} options.source - What is deleting them ("delete", "cleanup")
+ * @param {Array} [options.rules] - Full routing rules about to be deleted
+ * @param {Array} [options.entries] - Tracking entries of those aliases (rules that
+ *   no longer exist remotely are archived from their entry alone)
+ * @param {string} [options.dir] - Trash directory
+ * @returns {Promise<string>} Path of the archive
+ */
+export async function createTrashArchive({ domain, zoneId, source, rules = [], entries = [], dir = getTrashDir() }) {
+    const entriesByAddress = new Map(entries.filter(e => e.alias).map(e => [e.alias.toLowerCase(), e]));
+    const items = [];
+    const archived = new Set();
+
+    for (const rule of rules) {
+        const address = getRuleAddress(rule);
+        if (!address) continue;
+        items.push({ address, rule, entry: entriesByAddress.get(address.toLowerCase()) || null });
+        archived.add(address.toLowerCase());
+    }
+    for (const entry of entriesByAddress.values()) {
+        if (!archived.has(entry.alias.toLowerCase())) items.push({ address: entry.alias, rule: null, entry });
+    }
+
+    const createdAt = new Date().toISOString();
+    const archive = { version: TRASH_ARCHIVE_VERSION, domain, zoneId, source, createdAt, items };
+
+    await mkdir(dir, { recursive: true });
+    const stamp = createdAt.split('.')[0].replace(/:/g, '-');
+    const filePath = join(dir, `${toDomainSlug(domain)}-${stamp}-${source}.json`);
+    await writeTrashArchive(filePath, archive);
+    return filePath;
+}
+
+/**
+ * Writes a trash archive (owner-only permissions)
+ * @param {string} filePath - Archive path
+ * @param {object} archive - Archive contents
+ */
+export async function writeTrashArchive(filePath, archive) {
+    await writeFileAtomic(filePath, JSON.stringify(archive, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Reads and checks a trash archive
+ * @param {string} filePath - Archive path
+ * @returns {Promise<object>} Archive
+ * @throws {Error} When the file is missing, unreadable or not a trash archive
+ */
+export async function readTrashArchive(filePath) {
+    let archive;
+    try {
+        archive = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read trash archive ${filePath}: ${error.message}`);
+    }
+
+    if (!archive || !Array.isArray(archive.items) || !archive.domain) {
+        throw new Error(`${filePath} is not a trash archive`);
+    }
+    if (archive.version > TRASH_ARCHIVE_VERSION) {
+        throw new Error(`${filePath} was written by a newer version (archive version ${archive.version})`);
+    }
+    return archive;
+}
+
+/**
+ * Lists the trash archives of a domain, newest first
+ * @param {string} domain - Alias domain
+ * @param {string} [dir] - Trash directory
+ * @returns {Promise<Array>} { path, source, createdAt, count, restored }
+ */
+export async function listTrashArchives(domain, dir = getTrashDir()) {
+    if (!existsSync(dir)) return [];
+
+    const prefix = `${toDomainSlug(domain)}-`;
+    const archives = [];
+
+    for (const name of (await readdir(dir)).filter(n => n.startsWith(prefix) && n.endsWith('.json'))) {
+        try {
+            const archive = await readTrashArchive(join(dir, name));
+            if (archive.domain.toLowerCase() !== domain.toLowerCase()) continue;
+            archives.push({
+                path: join(dir, name),
+                source: archive.source,
+                createdAt: archive.createdAt,
+                count: archive.items.length,
+                restored: archive.items.filter(item => item.restoredAt).length
+            });
+        } catch {
+            // Foreign or damaged files are not listed
+        }
+    }
+
+    return archives.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Returns the rule definition to recreate for an archived item
+ * @param {object} item - Archive item
+ * @returns {object} { matchers, actions, enabled, name, priority }
+ */
+export function trashItemDefinition(item) {
+    if (item.rule) return getRuleDefinition(item.rule);
+
+    // Rule was already gone when the archive was written: rebuild it from the entry
+    return {
+        matchers: [{ type: 'literal', field: 'to', value: item.address }],
+        actions: [{ type: 'forward', value: destinationList(item.entry?.destination) }],
+        enabled: item.entry?.enabled !== false
+    };
+}
+
+/**
+ * Records restored items in the archive file
+ * @param {string} filePath - Archive path
+ * @param {object} archive - Archive as read by readTrashArchive()
+ * @param {Map<string, string>} restored - Lowercased address → new rule ID
+ */
+export async function markTrashItemsRestored(filePath, archive, restored) {
+    const restoredAt = new Date().toISOString();
+    const items = archive.items.map(item => {
+        const ruleId = restored.get(item.address.toLowerCase());
+        return ruleId ? { ...item, restoredAt, restoredRuleId: ruleId } : item;
+    });
+    await writeTrashArchive(filePath, { ...archive, items });
+}
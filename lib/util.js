@@ -0,0 +1,15 @@
+/**
+ * Small shared helpers
+ */
+
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Converts a domain into the slug used for local tracking files
+ * (e.g. example.com → example-com.json / .txt / .toon)
+ */
+export function toDomainSlug(domain) {
+    return domain.replace(/\./g, '-');
+}
@@ -0,0 +1,226 @@
+/**
+ * Password Vault
+ *
+ * Alias passwords are kept in a passphrase-encrypted file next to the
+ * tracking files instead of in the TXT/JSON/TOON exports. The key is derived
+ * with scrypt and the credentials are sealed with AES-256-GCM (both from
+ * Node's built-in crypto), so a wrong passphrase or an edited file fails
+ * to open instead of yielding garbage.
+ *
+ * @example example-com.vault.json
+ * {
+ *   "format": "email-alias-vault",
+ *   "version": 1,
+ *   "kdf": { "name": "scrypt", "N": 32768, "r": 8, "p": 1, "salt": "..." },
+ *   "cipher": "aes-256-gcm",
+ *   "iv": "...",
+ *   "tag": "...",
+ *   "data": "...",
+ *   "count": 42,
+ *   "updatedAt": "2026-01-31T10:15:00.000Z"
+ * }
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { writeFileAtomic } from './files.js';
+import { scrypt, randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+
+export const VAULT_FORMAT = 'email-alias-vault';
+export const VAULT_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const DEFAULT_KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Derives the vault key from a passphrase
+ */
+function deriveKey(passphrase, { salt, N, r, p }) {
+    return new Promise((resolve, reject) => {
+        // scrypt needs 128 * N * r bytes; the default maxmem is just short of that
+        scrypt(String(passphrase), Buffer.from(salt, 'base64'), KEY_LENGTH, { N, r, p, maxmem: 256 * N * r },
+            (error, key) => error ? reject(error) : resolve(key));
+    });
+}
+
+/**
+ * Additional authenticated data: the header cannot be altered without the
+ * tag check failing
+ */
+function headerAad({ version, kdf }) {
+    return Buffer.from(JSON.stringify([VAULT_FORMAT, version, kdf]), 'utf-8');
+}
+
+/**
+ * Reads and checks the unencrypted header of a vault file
+ * @param {string} filePath - Vault path
+ * @returns {Promise<object>} Vault file contents ({ kdf, iv, tag, data, count, updatedAt, ... })
+ * @throws {Error} When the file is unreadable, not a vault or from a newer version
+ */
+export async function readVaultHeader(filePath) {
+    let vault;
+    try {
+        vault = JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read vault ${filePath}: ${error.message}`);
+    }
+
+    if (vault?.format !== VAULT_FORMAT || vault.cipher !== CIPHER || vault.kdf?.name !== 'scrypt') {
+        throw new Error(`${filePath} is not a password vault`);
+    }
+    if (!Number.isInteger(vault.version) || vault.version > VAULT_VERSION) {
+        throw new Error(`${filePath} has unsupported vault version ${vault.version} (this tool reads up to ${VAULT_VERSION})`);
+    }
+    return vault;
+}
+
+/**
+ * Opens a vault, creating an empty one in memory when the file does not exist
+ * (it is written on the first save())
+ * @param {string} filePath - Vault path (e.g. example-com.vault.json)
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<object>} Vault with has(), get(), set(), delete(), entries() and save()
+ * @throws {Error} On a wrong passphrase, a damaged file, or a new vault with a short passphrase
+ */
+export async function openVault(filePath, passphrase) {
+    const isNew = !existsSync(filePath);
+    const credentials = new Map();
+    let kdf;
+    let key;
+
+    if (isNew) {
+        if (String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Vault passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        kdf = { ...DEFAULT_KDF, salt: randomBytes(16).toString('base64') };
+        key = await deriveKey(passphrase, kdf);
+    } else {
+        const header = await readVaultHeader(filePath);
+        kdf = header.kdf;
+        key = await deriveKey(passphrase, kdf);
+
+        let payload;
+        try {
+            const decipher = createDecipheriv(CIPHER, key, Buffer.from(header.iv, 'base64'));
+            decipher.setAAD(headerAad(header));
+            decipher.setAuthTag(Buffer.from(header.tag, 'base64'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(header.data, 'base64')), decipher.final()]);
+            payload = JSON.parse(plain.toString('utf-8'));
+        } catch {
+            throw new Error(`Could not unlock ${filePath}: wrong passphrase or damaged file`);
+        }
+
+        for (const credential of payload.credentials || []) {
+            credentials.set(credential.email.toLowerCase(), credential);
+        }
+    }
+
+    return {
+        path: filePath,
+        isNew,
+
+        get size() {
+            return credentials.size;
+        },
+
+        has(email) {
+            return credentials.has(email.toLowerCase());
+        },
+
+        /** @returns {string|null} Password */
+        get(email) {
+            return credentials.get(email.toLowerCase())?.password ?? null;
+        },
+
+        set(email, password) {
+            credentials.set(email.toLowerCase(), { email, password, updatedAt: new Date().toISOString() });
+        },
+
+        delete(email) {
+            return credentials.delete(email.toLowerCase());
+        },
+
+        /** @returns {Array} { email, password, updatedAt } in insertion order */
+        entries() {
+            return [...credentials.values()];
+        },
+
+        /**
+         * Encrypts and writes the vault (fresh IV on every write, owner-only
+         * permissions; the previous vault is kept as <file>.bak)
+         */
+        async save() {
+            const header = { format: VAULT_FORMAT, version: VAULT_VERSION, kdf, cipher: CIPHER };
+            const iv = randomBytes(IV_LENGTH);
+            const cipher = createCipheriv(CIPHER, key, iv);
+            cipher.setAAD(headerAad(header));
+            const data = Buffer.concat([
+                cipher.update(JSON.stringify({ credentials: [...credentials.values()] }), 'utf-8'),
+                cipher.final()
+            ]);
+
+            const file = {
+                ...header,
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64'),
+                count: credentials.size,
+                updatedAt: new Date().toISOString()
+            };
+            await writeFileAtomic(filePath, JSON.stringify(file, null, 2), { mode: 0o600 });
+        }
+    };
+}
+
+// ============================================================================
+// PLAINTEXT MIGRATION
+// ============================================================================
+
+const LEGACY_TOON_BLOCK = /^credentials_update\[([^\]]*)\]:$/;
+
+/**
+ * Takes the passwords out of the `credentials_update[<time>]:` blocks that
+ * older versions appended to <domain>.toon (`  email : password` lines).
+ * Scrubbed blocks list the aliases only, like the ones written today.
+ * @param {string} text - TOON file contents
+ * @returns {{ credentials: Map<string, string>, text: string }} Email → last logged
+ *   password, and the contents without passwords
+ */
+export function scrubToonCredentials(text) {
+    const credentials = new Map();
+    const lines = [];
+    let block = null;
+
+    const closeBlock = () => {
+        lines[block.index] = `credentials_update[${block.stamp}][${block.count}]{alias}:`;
+        block = null;
+    };
+
+    for (const line of text.split('\n')) {
+        const header = line.match(LEGACY_TOON_BLOCK);
+        if (header) {
+            if (block) closeBlock();
+            block = { stamp: header[1], index: lines.length, count: 0 };
+            lines.push(line);
+            continue;
+        }
+
+        const separator = line.indexOf(' : ');
+        if (block && line.startsWith('  ') && separator !== -1) {
+            const email = line.slice(0, separator).trim();
+            credentials.set(email, line.slice(separator + 3).trim());
+            lines.push(`  ${email}`);
+            block.count++;
+            continue;
+        }
+
+        if (block) closeBlock();
+        lines.push(line);
+    }
+    if (block) closeBlock();
+
+    return { credentials, text: lines.join('\n') };
+}
@@ -0,0 +1,162 @@
+/**
+ * Passphrase Word List
+ *
+ * Short, common, easy-to-type English words for diceware-style passphrases
+ * (lowercase a-z, 3-9 letters, no duplicates). Each word adds
+ * log2(1564) ≈ 10.6 bits of entropy. The list is separate from the alias
+ * bundles so passphrases do not echo the alias they belong to.
+ */
+
+export const PASSPHRASE_WORDS = Object.freeze([
+    'able', 'acid', 'acorn', 'acre', 'act', 'actor', 'adapt', 'add', 'adobe', 'adult', 'afar',
+    'affix', 'again', 'agent', 'agile', 'aging', 'agree', 'ahead', 'aid', 'aim', 'air', 'aisle',
+    'alarm', 'album', 'alert', 'algae', 'alias', 'alibi', 'alien', 'align', 'alike', 'alive',
+    'alley', 'allow', 'alloy', 'almond', 'aloe', 'alpha', 'alps', 'also', 'altar', 'alter', 'amber',
+    'amble', 'amend', 'ample', 'amuse', 'angel', 'anger', 'angle', 'angry', 'ankle', 'annex',
+    'apple', 'apply', 'apron', 'arch', 'arena', 'argue', 'arise', 'armor', 'army', 'aroma', 'arrow',
+    'art', 'ash', 'aside', 'ask', 'aspen', 'asset', 'atlas', 'atom', 'attic', 'audio', 'audit',
+    'aunt', 'aura', 'auto', 'avoid', 'awake', 'award', 'aware', 'awful', 'axis', 'baby', 'bacon',
+    'badge', 'bagel', 'baker', 'balmy', 'bamboo', 'banjo', 'barn', 'baron', 'basil', 'basin',
+    'batch', 'bath', 'baton', 'beach', 'beacon', 'bead', 'beak', 'beam', 'bean', 'bear', 'beard',
+    'beast', 'bed', 'beech', 'beef', 'beep', 'beet', 'begin', 'being', 'belt', 'bench', 'berry',
+    'bike', 'bingo', 'birch', 'bird', 'bison', 'blade', 'blank', 'blast', 'blaze', 'blend', 'bless',
+    'blimp', 'blink', 'bliss', 'block', 'bloom', 'blossom', 'blue', 'bluff', 'blunt', 'blur',
+    'board', 'boat', 'body', 'bolt', 'bonus', 'book', 'boost', 'boot', 'booth', 'borrow', 'boss',
+    'botany', 'bottle', 'bounce', 'bowl', 'boxer', 'brain', 'brake', 'brand', 'brass', 'brave',
+    'bread', 'break', 'brick', 'bride', 'brief', 'bring', 'brisk', 'broad', 'brook', 'broom',
+    'brush', 'bubble', 'bucket', 'buddy', 'budget', 'buggy', 'build', 'bulb', 'bunch', 'bunny',
+    'burst', 'bush', 'butter', 'button', 'buyer', 'buzz', 'cabin', 'cable', 'cactus', 'cadet',
+    'cage', 'cake', 'calm', 'camel', 'cameo', 'camp', 'canal', 'candle', 'candy', 'canoe', 'canopy',
+    'canvas', 'canyon', 'cape', 'card', 'cargo', 'carol', 'carpet', 'carrot', 'carry', 'cart',
+    'carve', 'case', 'cash', 'castle', 'catch', 'cattle', 'cause', 'cave', 'cedar', 'cello',
+    'cement', 'cereal', 'chair', 'chalk', 'champ', 'chant', 'chaos', 'charm', 'chart', 'chase',
+    'cheek', 'cheer', 'cheese', 'chef', 'cherry', 'chess', 'chest', 'chew', 'chick', 'chief',
+    'chili', 'chime', 'chip', 'chirp', 'chord', 'chorus', 'chunk', 'cider', 'cinema', 'circle',
+    'citrus', 'city', 'civic', 'claim', 'clamp', 'clap', 'clash', 'clasp', 'class', 'claw', 'clay',
+    'clean', 'clerk', 'click', 'cliff', 'climb', 'cling', 'clip', 'clock', 'cloth', 'cloud',
+    'clover', 'clown', 'club', 'clue', 'coach', 'coast', 'cobalt', 'cocoa', 'coffee', 'coil',
+    'coin', 'cold', 'comet', 'comic', 'comma', 'cook', 'cool', 'copper', 'coral', 'cord', 'corn',
+    'cotton', 'couch', 'count', 'cover', 'cowboy', 'coyote', 'crab', 'craft', 'crane', 'crate',
+    'crawl', 'crayon', 'cream', 'creek', 'crest', 'crew', 'cricket', 'crisp', 'crop', 'crowd',
+    'crown', 'crumb', 'crush', 'crust', 'cubby', 'cube', 'cupid', 'curb', 'curl', 'curve',
+    'cushion', 'cycle', 'cymbal', 'daily', 'dairy', 'daisy', 'dance', 'dandy', 'dart', 'dash',
+    'data', 'dawn', 'deal', 'debut', 'decal', 'decoy', 'deer', 'delta', 'demo', 'denim', 'dense',
+    'depot', 'depth', 'derby', 'desert', 'desk', 'detail', 'dial', 'diary', 'diesel', 'digit',
+    'dime', 'diner', 'dingo', 'dinner', 'dish', 'diver', 'dizzy', 'dock', 'doctor', 'dodge',
+    'dolphin', 'dome', 'donor', 'donut', 'door', 'dose', 'dough', 'dove', 'dozen', 'draft',
+    'dragon', 'drama', 'drape', 'dream', 'dress', 'drift', 'drill', 'drink', 'drive', 'drizzle',
+    'drone', 'drum', 'dryer', 'duck', 'duet', 'dune', 'dusk', 'dust', 'duty', 'dwell', 'eager',
+    'eagle', 'early', 'earth', 'easel', 'east', 'easy', 'echo', 'eclair', 'edge', 'edit', 'eel',
+    'effort', 'eight', 'elbow', 'elder', 'elect', 'elm', 'elope', 'email', 'ember', 'emblem',
+    'emerge', 'emu', 'enact', 'end', 'endure', 'energy', 'engine', 'enjoy', 'enter', 'entry',
+    'envoy', 'equal', 'equip', 'erase', 'errand', 'essay', 'ethic', 'even', 'event', 'exact',
+    'exam', 'excel', 'exit', 'exotic', 'expand', 'expert', 'extra', 'fable', 'fabric', 'facet',
+    'fact', 'fade', 'fairy', 'faith', 'fall', 'fame', 'family', 'fancy', 'fang', 'farm', 'fast',
+    'fauna', 'feast', 'feather', 'fence', 'fern', 'ferry', 'festival', 'fetch', 'fever', 'fiber',
+    'fiddle', 'field', 'fifty', 'figure', 'film', 'filter', 'final', 'finch', 'finger', 'fire',
+    'firm', 'fish', 'fixer', 'flag', 'flake', 'flame', 'flannel', 'flap', 'flash', 'flask', 'fleet',
+    'flick', 'flight', 'flint', 'flip', 'float', 'flock', 'flood', 'floor', 'flora', 'flour',
+    'flower', 'fluid', 'flute', 'foam', 'focus', 'fog', 'folder', 'folk', 'font', 'food', 'force',
+    'forest', 'forge', 'fork', 'form', 'fossil', 'found', 'fox', 'frame', 'fresh', 'fridge', 'frog',
+    'frost', 'fruit', 'fudge', 'fuel', 'funnel', 'fur', 'fuzzy', 'gable', 'gadget', 'galaxy',
+    'gallon', 'game', 'garage', 'garden', 'garlic', 'gas', 'gate', 'gather', 'gauge', 'gazebo',
+    'gecko', 'gem', 'genie', 'gentle', 'giant', 'gift', 'ginger', 'giraffe', 'glad', 'glass',
+    'glide', 'globe', 'glove', 'glow', 'glue', 'goal', 'goat', 'gold', 'golf', 'goose', 'gorge',
+    'gospel', 'gown', 'grace', 'grade', 'grain', 'grand', 'grape', 'graph', 'grass', 'gravel',
+    'gravy', 'great', 'green', 'grid', 'grill', 'grin', 'grip', 'grove', 'growl', 'guard', 'guava',
+    'guess', 'guest', 'guide', 'guitar', 'gulf', 'gull', 'gumbo', 'gust', 'habit', 'haiku', 'hair',
+    'hammer', 'hammock', 'hand', 'happy', 'harbor', 'hardy', 'harp', 'harvest', 'hatch', 'haven',
+    'hawk', 'hazel', 'head', 'heap', 'heart', 'heat', 'hedge', 'heel', 'height', 'helmet', 'help',
+    'hen', 'herb', 'hero', 'heron', 'hiccup', 'hike', 'hill', 'hinge', 'hippo', 'hobby', 'hockey',
+    'hold', 'holly', 'home', 'honey', 'hood', 'hoof', 'hook', 'hop', 'horizon', 'horn', 'horse',
+    'host', 'hotel', 'hound', 'hour', 'house', 'hover', 'hub', 'hug', 'hull', 'human', 'humble',
+    'humor', 'hunch', 'hurry', 'husky', 'hut', 'hybrid', 'hymn', 'icicle', 'icon', 'idea', 'idle',
+    'igloo', 'image', 'imply', 'inch', 'index', 'indoor', 'infant', 'inlet', 'input', 'insect',
+    'inside', 'invent', 'iris', 'iron', 'island', 'issue', 'item', 'ivory', 'ivy', 'jacket', 'jade',
+    'jaguar', 'jam', 'jar', 'jazz', 'jeans', 'jelly', 'jet', 'jewel', 'jigsaw', 'job', 'jockey',
+    'jog', 'join', 'joke', 'jolly', 'journal', 'joy', 'judge', 'juice', 'jumbo', 'jump', 'jungle',
+    'junior', 'jury', 'kale', 'karate', 'kayak', 'keen', 'kettle', 'key', 'kick', 'kid', 'kilt',
+    'kind', 'king', 'kiosk', 'kit', 'kite', 'kitten', 'kiwi', 'knack', 'knee', 'knife', 'knit',
+    'knob', 'knot', 'koala', 'label', 'lace', 'ladder', 'ladle', 'lady', 'lagoon', 'lake', 'lamb',
+    'lamp', 'lance', 'land', 'lane', 'lantern', 'lap', 'large', 'laser', 'latch', 'latte', 'laugh',
+    'lava', 'lawn', 'layer', 'leaf', 'league', 'lean', 'learn', 'lease', 'leash', 'leather',
+    'ledge', 'legend', 'lemon', 'lens', 'lentil', 'level', 'lever', 'liberty', 'library', 'lid',
+    'light', 'lilac', 'lily', 'limb', 'lime', 'limit', 'linen', 'lion', 'liquid', 'list', 'little',
+    'live', 'lizard', 'llama', 'load', 'loaf', 'lobby', 'lobster', 'local', 'lock', 'locket',
+    'lodge', 'loft', 'logic', 'lolly', 'long', 'loop', 'lotus', 'loud', 'lounge', 'love', 'loyal',
+    'lucky', 'lumber', 'lunar', 'lunch', 'lyric', 'macaw', 'magic', 'magnet', 'maid', 'mail',
+    'major', 'malt', 'mammal', 'mango', 'manor', 'map', 'maple', 'marble', 'march', 'margin',
+    'marine', 'market', 'marsh', 'mascot', 'mask', 'mason', 'match', 'math', 'matrix', 'meadow',
+    'meal', 'medal', 'melody', 'melon', 'memo', 'mentor', 'menu', 'merit', 'merry', 'mesa', 'metal',
+    'meteor', 'method', 'metro', 'middle', 'mild', 'mile', 'milk', 'mill', 'mimic', 'mind', 'mint',
+    'minute', 'mirror', 'mist', 'mitten', 'mixer', 'moat', 'model', 'modem', 'mold', 'moment',
+    'monkey', 'month', 'moose', 'morning', 'mosaic', 'moss', 'motel', 'moth', 'motor', 'mound',
+    'mount', 'mouse', 'mouth', 'movie', 'mud', 'muffin', 'mug', 'mule', 'mural', 'muscle', 'museum',
+    'music', 'mustard', 'myth', 'nacho', 'nail', 'name', 'nap', 'napkin', 'narrow', 'native',
+    'nature', 'navy', 'neat', 'nectar', 'needle', 'neon', 'nerve', 'nest', 'net', 'never', 'new',
+    'niche', 'nickel', 'night', 'nimble', 'noble', 'nod', 'noise', 'noodle', 'normal', 'north',
+    'nose', 'notch', 'note', 'novel', 'number', 'nurse', 'nut', 'nutmeg', 'nylon', 'oak', 'oasis',
+    'oat', 'object', 'ocean', 'octave', 'odor', 'offer', 'office', 'often', 'oil', 'okay', 'olive',
+    'omelet', 'onion', 'onset', 'open', 'opera', 'optic', 'orange', 'orbit', 'orchid', 'order',
+    'organ', 'orient', 'origin', 'otter', 'ounce', 'outdoor', 'outer', 'oval', 'oven', 'owl',
+    'owner', 'oxygen', 'oyster', 'pace', 'pacific', 'packet', 'paddle', 'page', 'pagoda', 'paint',
+    'pair', 'palace', 'palm', 'panda', 'panel', 'panic', 'pantry', 'paper', 'parade', 'parcel',
+    'park', 'parrot', 'party', 'pass', 'pasta', 'paste', 'patch', 'path', 'patio', 'pause', 'paw',
+    'peace', 'peach', 'peak', 'peanut', 'pear', 'pebble', 'pecan', 'pedal', 'pelican', 'pen',
+    'pencil', 'penny', 'pepper', 'perch', 'permit', 'pet', 'petal', 'piano', 'picnic', 'pie',
+    'pier', 'pigeon', 'pike', 'pilgrim', 'pillow', 'pilot', 'pine', 'pink', 'pint', 'pioneer',
+    'pipe', 'pirate', 'pitch', 'pixel', 'pizza', 'place', 'plaid', 'plain', 'plan', 'planet',
+    'plank', 'plant', 'plate', 'play', 'plaza', 'plenty', 'plot', 'plug', 'plum', 'plume', 'plus',
+    'pocket', 'poem', 'poet', 'point', 'polar', 'polka', 'pond', 'pony', 'pool', 'poppy', 'porch',
+    'port', 'pose', 'pouch', 'powder', 'power', 'prairie', 'press', 'pretzel', 'price', 'pride',
+    'prime', 'print', 'prism', 'prize', 'prose', 'proud', 'prune', 'puddle', 'pulse', 'pump',
+    'punch', 'puppy', 'purple', 'puzzle', 'pyramid', 'quail', 'quake', 'quart', 'quartz', 'queen',
+    'quest', 'quick', 'quiet', 'quill', 'quilt', 'quirk', 'quiver', 'quiz', 'quota', 'quote',
+    'rabbit', 'race', 'radar', 'radio', 'radish', 'raft', 'rail', 'rain', 'raisin', 'rally', 'ramp',
+    'ranch', 'range', 'rapid', 'raven', 'razor', 'ready', 'realm', 'recipe', 'record', 'reef',
+    'region', 'relax', 'relay', 'relic', 'remedy', 'remote', 'rent', 'reply', 'rescue', 'rest',
+    'retro', 'rhyme', 'rhythm', 'ribbon', 'rice', 'ride', 'ridge', 'rifle', 'ring', 'rinse',
+    'ripple', 'rise', 'river', 'road', 'roast', 'robin', 'robot', 'rock', 'rocket', 'rodeo', 'roll',
+    'roof', 'room', 'root', 'rope', 'rose', 'rotor', 'round', 'route', 'rover', 'royal', 'ruby',
+    'rudder', 'rug', 'rugby', 'ruler', 'rumor', 'rush', 'rustic', 'sable', 'saddle', 'safari',
+    'saga', 'sage', 'sail', 'salad', 'salmon', 'salon', 'salsa', 'salt', 'salute', 'sample', 'sand',
+    'sandal', 'satin', 'sauce', 'sauna', 'savory', 'scale', 'scarf', 'scene', 'scent', 'school',
+    'science', 'scoop', 'scooter', 'score', 'scout', 'scrap', 'screen', 'script', 'scroll', 'sea',
+    'seal', 'season', 'seat', 'second', 'secret', 'seed', 'seesaw', 'select', 'sense', 'sequel',
+    'serene', 'series', 'sesame', 'settle', 'seven', 'shade', 'shadow', 'shake', 'shallow', 'shape',
+    'share', 'shark', 'sharp', 'sheep', 'shelf', 'shell', 'shelter', 'sheriff', 'shift', 'shine',
+    'ship', 'shirt', 'shock', 'shoe', 'shore', 'short', 'shovel', 'show', 'shrimp', 'shrub', 'shy',
+    'sign', 'silk', 'silver', 'simple', 'siren', 'sister', 'sitcom', 'skate', 'sketch', 'ski',
+    'skill', 'skirt', 'skull', 'sky', 'slate', 'sled', 'sleep', 'sleeve', 'slice', 'slide', 'slim',
+    'slope', 'slot', 'smart', 'smile', 'smoke', 'snack', 'snail', 'snake', 'snow', 'soap', 'soccer',
+    'sock', 'soda', 'sofa', 'soft', 'solar', 'solid', 'solo', 'sonic', 'soup', 'south', 'space',
+    'spade', 'spark', 'speak', 'spear', 'speed', 'spell', 'spice', 'spider', 'spike', 'spin',
+    'spiral', 'splash', 'spoke', 'sponge', 'spoon', 'sport', 'spot', 'spray', 'spring', 'sprout',
+    'spruce', 'squad', 'square', 'squid', 'stable', 'stack', 'staff', 'stage', 'stair', 'stamp',
+    'stand', 'star', 'start', 'state', 'statue', 'steam', 'steel', 'stem', 'step', 'stereo', 'stew',
+    'stick', 'still', 'sting', 'stock', 'stone', 'stool', 'storm', 'story', 'stove', 'straw',
+    'stream', 'street', 'stripe', 'stroll', 'studio', 'sugar', 'suit', 'summer', 'summit', 'sun',
+    'sunny', 'super', 'surf', 'swamp', 'swan', 'sweater', 'sweet', 'swift', 'swing', 'switch',
+    'symbol', 'syrup', 'system', 'table', 'tablet', 'taco', 'tail', 'talent', 'tango', 'tank',
+    'tape', 'target', 'task', 'taste', 'tavern', 'taxi', 'tea', 'teacher', 'team', 'teapot',
+    'tempo', 'tennis', 'tent', 'term', 'test', 'text', 'thank', 'theme', 'thick', 'thimble',
+    'thorn', 'thread', 'thumb', 'thunder', 'ticket', 'tide', 'tiger', 'tile', 'timber', 'time',
+    'tiny', 'tip', 'title', 'toast', 'today', 'token', 'tomato', 'tonic', 'tool', 'topaz', 'torch',
+    'total', 'totem', 'towel', 'tower', 'town', 'toy', 'trace', 'track', 'trade', 'trail', 'train',
+    'tram', 'travel', 'tray', 'treat', 'tree', 'trend', 'trial', 'tribe', 'trick', 'trio', 'trophy',
+    'truck', 'trumpet', 'trunk', 'trust', 'tube', 'tulip', 'tuna', 'tune', 'tunnel', 'turkey',
+    'turtle', 'tutor', 'tuxedo', 'twig', 'twin', 'twist', 'type', 'ukulele', 'ultra', 'umbrella',
+    'uncle', 'under', 'unicorn', 'union', 'unit', 'universe', 'update', 'upper', 'urban', 'usage',
+    'usher', 'utmost', 'vacuum', 'valley', 'value', 'valve', 'vanilla', 'vapor', 'vase', 'vector',
+    'velvet', 'vendor', 'venue', 'verb', 'verse', 'vest', 'veteran', 'video', 'view', 'villa',
+    'vine', 'vinyl', 'violet', 'violin', 'virtue', 'visa', 'vision', 'visit', 'visor', 'vital',
+    'vivid', 'vocal', 'voice', 'volcano', 'volume', 'vote', 'voyage', 'wafer', 'wage', 'wagon',
+    'waist', 'walk', 'wall', 'walnut', 'waltz', 'wand', 'warm', 'wash', 'wasp', 'watch', 'water',
+    'wave', 'wax', 'way', 'wealth', 'weather', 'weave', 'wedge', 'week', 'weight', 'well', 'west',
+    'whale', 'wheat', 'wheel', 'whisk', 'whistle', 'white', 'wick', 'widget', 'width', 'wild',
+    'willow', 'wind', 'window', 'wing', 'winter', 'wire', 'wisdom', 'wish', 'wizard', 'wolf',
+    'wonder', 'wood', 'wool', 'word', 'work', 'world', 'worm', 'wrap', 'wreath', 'wren', 'wrist',
+    'writer', 'yacht', 'yard', 'yarn', 'year', 'yeast', 'yellow', 'yodel', 'yoga', 'yogurt', 'yolk',
+    'young', 'yoyo', 'yummy', 'zebra', 'zero', 'zesty', 'zigzag', 'zinc', 'zipper', 'zodiac',
+    'zone', 'zoom'
+]);
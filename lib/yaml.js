@@ -0,0 +1,122 @@
+/**
+ * Minimal YAML Reader
+ *
+ * Zero-dependency parser for the flat YAML used by custom bundle files:
+ * top-level `key: value` pairs, block lists (`- item`) and inline lists
+ * (`[a, b]`), with comments and quoted strings. Nested mappings are not
+ * supported and raise an error instead of being misread.
+ */
+
+/**
+ * Parses a scalar (quoted string, number, boolean, null or plain string)
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if ((value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))) {
+        return value.slice(1, -1);
+    }
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    return value;
+}
+
+/**
+ * Splits an inline list body on commas that are not inside quotes
+ */
+function parseInlineList(raw) {
+    const body = raw.trim().slice(1, -1);
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) quote = null;
+            current += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) items.push(current);
+
+    return items.map(parseScalar);
+}
+
+/**
+ * Removes a trailing `# comment` that is not inside quotes
+ */
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Parses flat YAML into an object
+ * @param {string} text - YAML source
+ * @returns {object} Parsed key/value pairs
+ * @throws {Error} On unsupported or malformed lines (message includes the line number)
+ */
+export function parseSimpleYaml(text) {
+    const result = {};
+    let currentList = null;
+
+    text.split('\n').forEach((rawLine, index) => {
+        const line = stripComment(rawLine).replace(/\s+$/, '');
+        if (!line.trim() || line.trim() === '---') return;
+
+        const listItem = line.match(/^\s*-\s+(.*)$/);
+        if (listItem) {
+            if (!currentList) {
+                throw new Error(`Line ${index + 1}: list item without a key`);
+            }
+            currentList.push(parseScalar(listItem[1]));
+            return;
+        }
+
+        if (/^\s/.test(line)) {
+            throw new Error(`Line ${index + 1}: nested mappings are not supported`);
+        }
+
+        const pair = line.match(/^([A-Za-z0-9_-]+)\s*:(.*)$/);
+        if (!pair) {
+            throw new Error(`Line ${index + 1}: expected "key: value"`);
+        }
+
+        const [, key, rest] = pair;
+        const value = rest.trim();
+
+        if (value === '') {
+            currentList = [];
+            result[key] = currentList;
+        } else if (value.startsWith('[') && value.endsWith(']')) {
+            currentList = null;
+            result[key] = parseInlineList(value);
+        } else {
+            currentList = null;
+            result[key] = parseScalar(value);
+        }
+    });
+
+    return result;
+}
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, readdir, writeFile, utimes } from 'fs/promises';
+import { existsSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir, hostname } from 'os';
+import { join } from 'path';
+import { writeFileAtomic, appendFileAtomic, acquireLock } from '../lib/files.js';
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'files-test-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+const writeHolder = (lockPath, holder) => writeFile(lockPath, JSON.stringify({ host: hostname(), command: 'create', startedAt: '2026-01-31T10:15:00.000Z', ...holder }));
+
+test('writeFileAtomic replaces the contents and keeps the previous ones as .bak', async () => {
+    const file = join(dir, 'ex-com.json');
+    await writeFileAtomic(file, 'first');
+    assert.equal(existsSync(`${file}.bak`), false, 'a new file has nothing to back up');
+
+    await writeFileAtomic(file, 'second');
+    assert.equal(await readFile(file, 'utf-8'), 'second');
+    assert.equal(await readFile(`${file}.bak`, 'utf-8'), 'first');
+
+    await writeFileAtomic(file, 'third', { backup: false });
+    assert.equal(await readFile(`${file}.bak`, 'utf-8'), 'first');
+    assert.ok(!(await readdir(dir)).some(name => name.endsWith('.tmp')), 'no temporary files are left');
+});
+
+test('appendFileAtomic creates the file and appends to it', async () => {
+    const file = join(dir, 'ex-com.toon');
+    await appendFileAtomic(file, 'a\n');
+    await appendFileAtomic(file, 'b\n');
+    assert.equal(await readFile(file, 'utf-8'), 'a\nb\n');
+});
+
+test('a lock nests within one process and is removed by the last release', async () => {
+    const lockPath = join(dir, 'nested.lock');
+    const outer = await acquireLock(lockPath, { command: 'create' });
+    const inner = await acquireLock(lockPath, { command: 'passwords' });
+    assert.equal(JSON.parse(await readFile(lockPath, 'utf-8')).pid, process.pid);
+
+    await inner.release();
+    assert.ok(existsSync(lockPath), 'the outer acquisition still holds it');
+    await outer.release();
+    assert.equal(existsSync(lockPath), false);
+});
+
+test('a lock held by a running process is refused with its holder', async () => {
+    const lockPath = join(dir, 'busy.lock');
+    await writeHolder(lockPath, { pid: process.ppid });
+
+    await assert.rejects(acquireLock(lockPath), error => {
+        assert.match(error.message, new RegExp(`held by process ${process.ppid} on ${hostname()} \\(create\\)`));
+        assert.match(error.message, /delete .*busy\.lock if it is no longer running/);
+        return true;
+    });
+    assert.equal(JSON.parse(await readFile(lockPath, 'utf-8')).pid, process.ppid, 'the lock is left alone');
+});
+
+test('a lock left by a process that is gone is taken over', async () => {
+    const lockPath = join(dir, 'stale.lock');
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await writeHolder(lockPath, { pid });
+
+    const lock = await acquireLock(lockPath, { command: 'delete' });
+    assert.equal(JSON.parse(await readFile(lockPath, 'utf-8')).pid, process.pid);
+    await lock.release();
+});
+
+test('a lock from another host is never taken over', async () => {
+    const lockPath = join(dir, 'remote.lock');
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await writeHolder(lockPath, { pid, host: `not-${hostname()}` });
+
+    await assert.rejects(acquireLock(lockPath), /held by process/);
+});
+
+test('an unreadable lock is refused while fresh and taken over once old', async () => {
+    const lockPath = join(dir, 'empty.lock');
+    await writeFile(lockPath, '');
+
+    await assert.rejects(acquireLock(lockPath), /cannot be read yet.*delete .*empty\.lock/);
+
+    const minuteAgo = new Date(Date.now() - 60_000);
+    await utimes(lockPath, minuteAgo, minuteAgo);
+    const lock = await acquireLock(lockPath);
+    assert.equal(JSON.parse(await readFile(lockPath, 'utf-8')).pid, process.pid);
+    await lock.release();
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, parseDateBound, hasAliasCriteria, createAliasFilter } from '../lib/filters.js';
+
+const entries = [
+    { alias: 'cipher.vault@ex.com', status: 'success', bundle: 'tech-wizard', createdAt: '2025-01-31T00:00:00.000Z', destination: 'me@dest.com', tags: ['shop', 'eu'], label: 'Amazon' },
+    { alias: 'ghost.node@ex.com', status: 'success', bundle: 'mystic-shadow', createdAt: '2025-01-31T23:59:59.000Z', destination: ['a@dest.com', 'Me@dest.com'], enabled: false },
+    { alias: 'nova.port@ex.com', status: 'failed', bundle: 'tech-wizard', createdAt: '2025-02-01T00:00:00.000Z' }
+];
+const select = criteria => entries.filter(createAliasFilter(criteria)).map(e => e.alias.split('@')[0]);
+
+test('globs match the whole string, case-insensitively, with literal dots', () => {
+    const pattern = globToRegExp('shop.*');
+    assert.ok(pattern.test('SHOP.cipher'));
+    assert.ok(!pattern.test('shopXcipher'));
+    assert.ok(!pattern.test('my.shop.cipher'));
+    assert.ok(globToRegExp('cipher.???lt').test('cipher.vault'));
+});
+
+test('a plain start date means 00:00 UTC of that day', () => {
+    assert.equal(parseDateBound('2025-01-31').toISOString(), '2025-01-31T00:00:00.000Z');
+});
+
+test('a plain end date covers the whole day', () => {
+    assert.equal(parseDateBound('2025-01-31', { end: true }).toISOString(), '2025-01-31T23:59:59.999Z');
+    // Timestamps are taken as given
+    assert.equal(parseDateBound('2025-01-31T12:00:00Z', { end: true }).toISOString(), '2025-01-31T12:00:00.000Z');
+});
+
+test('invalid dates are rejected', () => {
+    assert.throws(() => parseDateBound('31/01/2025'), /Invalid date "31\/01\/2025"/);
+    assert.throws(() => parseDateBound('soon'), /YYYY-MM-DD/);
+});
+
+test('date bounds are inclusive', () => {
+    const day = { since: parseDateBound('2025-01-31'), until: parseDateBound('2025-01-31', { end: true }) };
+    assert.deepEqual(select(day), ['cipher.vault', 'ghost.node']);
+    assert.deepEqual(select({ since: parseDateBound('2025-02-01') }), ['nova.port']);
+    // Entries without a creation date never match a date range
+    assert.equal(createAliasFilter(day)({ alias: 'x@ex.com' }), false);
+});
+
+test('criteria are combined with AND', () => {
+    assert.deepEqual(select({ bundle: 'TECH-WIZARD' }), ['cipher.vault', 'nova.port']);
+    assert.deepEqual(select({ bundle: 'tech-wizard', status: 'success' }), ['cipher.vault']);
+    assert.deepEqual(select({ destination: 'me@dest.com' }), ['cipher.vault', 'ghost.node']);
+    assert.deepEqual(select({ tags: ['shop', 'eu'] }), ['cipher.vault']);
+    assert.deepEqual(select({ tags: ['shop', 'us'] }), []);
+    assert.deepEqual(select({ label: 'amaz*' }), ['cipher.vault']);
+    assert.deepEqual(select({ enabled: false }), ['ghost.node']);
+    assert.deepEqual(select({ enabled: true }), ['cipher.vault', 'nova.port']);
+});
+
+test('aliases match by address or local part, globs by local part unless they contain @', () => {
+    assert.deepEqual(select({ aliases: ['CIPHER.VAULT', 'nova.port@ex.com'] }), ['cipher.vault', 'nova.port']);
+    assert.deepEqual(select({ match: '*.node' }), ['ghost.node']);
+    assert.deepEqual(select({ match: '*@ex.com' }), ['cipher.vault', 'ghost.node', 'nova.port']);
+    assert.deepEqual(select({ regex: '^(cipher|nova)\\.' }), ['cipher.vault', 'nova.port']);
+    assert.throws(() => createAliasFilter({ regex: '(' }), /Invalid regular expression/);
+});
+
+test('hasAliasCriteria only counts criteria that were given', () => {
+    assert.equal(hasAliasCriteria({}), false);
+    assert.equal(hasAliasCriteria({ aliases: [], tags: [] }), false);
+    assert.equal(hasAliasCriteria({ enabled: false }), true);
+    assert.equal(hasAliasCriteria({ until: new Date() }), true);
+});
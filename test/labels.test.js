@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTags, formatRuleName, applyLabelChanges, isUnclaimed } from '../lib/labels.js';
+
+test('normalizeTags lowercases, strips "#" and drops duplicates and blanks', () => {
+    assert.deepEqual(normalizeTags('#Shopping, uk,, shopping '), ['shopping', 'uk']);
+    assert.deepEqual(normalizeTags(['A', '#a', 'b_2']), ['a', 'b_2']);
+    assert.deepEqual(normalizeTags(''), []);
+});
+
+test('normalizeTags rejects tags with other characters', () => {
+    assert.throws(() => normalizeTags('ok, not ok, -dash'), /Invalid tag\(s\): not ok, -dash/);
+});
+
+test('formatRuleName mirrors label and tags', () => {
+    assert.equal(formatRuleName('a@ex.com'), 'Auto-generated: a@ex.com');
+    assert.equal(
+        formatRuleName('a@ex.com', { label: 'Acme Shop', tags: ['shopping', 'uk'] }),
+        'Auto-generated: a@ex.com | Acme Shop | #shopping #uk'
+    );
+});
+
+test('formatRuleName stays within the Cloudflare limit', () => {
+    const name = formatRuleName('a@ex.com', { label: 'x'.repeat(400) });
+    assert.equal(name.length, 256);
+    assert.ok(name.endsWith('…'));
+});
+
+test('applyLabelChanges sets, clears and edits fields without touching the original', () => {
+    const entry = { alias: 'a@ex.com', label: 'Old', notes: 'keep', tags: ['a', 'b'] };
+
+    const next = applyLabelChanges(entry, { label: ' New ', addTags: ['c', 'a'], removeTags: ['b'] });
+    assert.equal(next.label, 'New');
+    assert.equal(next.notes, 'keep');
+    assert.deepEqual(next.tags, ['a', 'c']);
+    assert.ok(!Number.isNaN(Date.parse(next.labelledAt)));
+    assert.deepEqual(entry.tags, ['a', 'b']);
+
+    const cleared = applyLabelChanges(next, { label: '', notes: '', tags: [] });
+    assert.equal('label' in cleared, false);
+    assert.equal('notes' in cleared, false);
+    assert.equal('tags' in cleared, false);
+});
+
+test('isUnclaimed only offers created, active, unlabelled aliases', () => {
+    const base = { alias: 'a@ex.com', status: 'success', ruleId: 'r1' };
+    assert.equal(isUnclaimed(base), true);
+    assert.equal(isUnclaimed({ ...base, label: 'Shop' }), false);
+    assert.equal(isUnclaimed({ ...base, enabled: false }), false);
+    assert.equal(isUnclaimed({ ...base, ruleId: null }), false);
+    assert.equal(isUnclaimed({ ...base, status: 'failed' }), false);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, rateFromDelay } from '../lib/limiter.js';
+
+test('rateFromDelay turns a request delay into requests per second', () => {
+    assert.equal(rateFromDelay(100), 10);
+    assert.equal(rateFromDelay(250), 4);
+    assert.equal(rateFromDelay(0), Infinity);
+});
+
+test('a throttle halves the rate and successes climb back to the ceiling', () => {
+    const changes = [];
+    const limiter = createRateLimiter({ maxRate: 10, onRateChange: (rate, reason) => changes.push(reason) });
+
+    limiter.onThrottle();
+    assert.equal(limiter.rate, 5);
+
+    for (let i = 0; i < 9; i++) limiter.onSuccess();
+    assert.ok(limiter.rate > 5 && limiter.rate < 10, `rate ${limiter.rate} should be climbing`);
+
+    limiter.onSuccess();
+    assert.equal(limiter.rate, 10);
+    assert.deepEqual(changes, ['throttle', ...Array(10).fill('success')]);
+
+    // At the ceiling successes change nothing
+    limiter.onSuccess();
+    assert.equal(limiter.rate, 10);
+    assert.equal(changes.length, 11);
+});
+
+test('the rate never drops below the floor', () => {
+    const limiter = createRateLimiter({ maxRate: 2, minRate: 0.5 });
+    for (let i = 0; i < 10; i++) limiter.onThrottle();
+    assert.equal(limiter.rate, 0.5);
+});
+
+test('an unlimited limiter recovers back to unlimited', () => {
+    const limiter = createRateLimiter({ maxRate: Infinity });
+
+    limiter.onThrottle();
+    assert.equal(limiter.rate, 5);
+
+    for (let i = 0; i < 10; i++) limiter.onSuccess();
+    assert.equal(limiter.rate, Infinity);
+});
+
+test('an unlimited limiter throttled twice climbs back to the first throttled rate', () => {
+    const limiter = createRateLimiter({ maxRate: Infinity });
+
+    limiter.onThrottle();
+    limiter.onThrottle();
+    assert.equal(limiter.rate, 2.5);
+
+    // 2.5 → 10 in steps of 0.25, then the limit is lifted
+    for (let i = 0; i < 29; i++) limiter.onSuccess();
+    assert.ok(Number.isFinite(limiter.rate));
+    limiter.onSuccess();
+    assert.equal(limiter.rate, Infinity);
+});
+
+test('acquire spaces requests at the current rate', async () => {
+    const limiter = createRateLimiter({ maxRate: 20 });
+    const start = Date.now();
+    for (let i = 0; i < 3; i++) await limiter.acquire();
+    // One token is available at once, the next two take 50 ms each
+    assert.ok(Date.now() - start >= 90, `took ${Date.now() - start} ms`);
+});
+
+test('acquire waits out Retry-After', async () => {
+    const limiter = createRateLimiter({ maxRate: Infinity });
+    limiter.onThrottle(150);
+    const start = Date.now();
+    await limiter.acquire();
+    assert.ok(Date.now() - start >= 140, `took ${Date.now() - start} ms`);
+});
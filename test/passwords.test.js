@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CHARACTER_CLASSES,
+    PASSWORD_PROFILES,
+    validatePasswordProfile,
+    generatePassword,
+    passwordEntropyBits,
+    validatePasswordPolicy,
+    createPasswordProfilePicker
+} from '../lib/passwords.js';
+import { PASSPHRASE_WORDS } from '../lib/wordlist.js';
+
+const profile = name => validatePasswordProfile(PASSWORD_PROFILES[name], name);
+
+test('character passwords have the length and contain every class', () => {
+    const defaults = profile('default');
+    for (let i = 0; i < 50; i++) {
+        const password = generatePassword(defaults);
+        assert.equal(password.length, 12);
+        for (const characters of Object.values(CHARACTER_CLASSES)) {
+            assert.ok([...password].some(c => characters.includes(c)), `${password} misses a class`);
+        }
+    }
+});
+
+test('excluded characters never appear', () => {
+    const readable = profile('readable');
+    for (let i = 0; i < 50; i++) {
+        assert.doesNotMatch(generatePassword(readable), /[0O1lI]/);
+    }
+});
+
+test('passphrases are words from the list', () => {
+    const passphrase = validatePasswordProfile({ type: 'passphrase', words: 4, separator: '.', capitalize: true, digit: true });
+    const words = generatePassword(passphrase).split('.');
+    assert.equal(words.length, 4);
+    assert.equal(words.filter(w => /\d$/.test(w)).length, 1);
+    for (const word of words) {
+        assert.ok(PASSPHRASE_WORDS.includes(word.replace(/\d$/, '').toLowerCase()), `${word} is not a list word`);
+        assert.match(word, /^[A-Z]/);
+    }
+});
+
+test('characters are spread evenly', () => {
+    // 12 000 draws over 10 digits: every digit should land near 1 200
+    const digits = validatePasswordProfile({ length: 100, classes: ['digits'] });
+    const counts = new Array(10).fill(0);
+    for (let i = 0; i < 120; i++) {
+        for (const c of generatePassword(digits)) counts[c]++;
+    }
+    for (const count of counts) assert.ok(count > 1000 && count < 1400, `uneven counts ${counts}`);
+});
+
+test('entropy follows pool size and length', () => {
+    assert.equal(passwordEntropyBits(validatePasswordProfile({ length: 10, classes: ['digits'] })), 10 * Math.log2(10));
+    assert.equal(passwordEntropyBits(profile('passphrase')), 6 * Math.log2(PASSPHRASE_WORDS.length));
+});
+
+test('invalid profiles are rejected', () => {
+    assert.throws(() => validatePasswordProfile({ length: 4 }, 'p'), /p: "length" must be a whole number from 8 to 128/);
+    assert.throws(() => validatePasswordProfile({ classes: ['emoji'] }, 'p'), /unknown: emoji/);
+    assert.throws(() => validatePasswordProfile({ classes: ['digits'], exclude: '0123456789' }, 'p'), /every "digits" character is excluded/);
+    assert.throws(() => validatePasswordProfile({ type: 'passphrase', separator: 'x' }, 'p'), /separator/);
+    assert.throws(() => validatePasswordProfile({ type: 'pin' }, 'p'), /unknown type "pin"/);
+});
+
+test('the policy picks alias, then bundle, then run profile', () => {
+    const policy = validatePasswordPolicy({
+        default: 'strong',
+        profiles: { bank: { length: 20, classes: ['lowercase', 'digits'] } },
+        bundles: { 'Tech-Wizard': 'passphrase' },
+        aliases: { 'cipher.vault': 'bank' }
+    });
+
+    const pick = createPasswordProfilePicker({ policy });
+    assert.equal(pick('Cipher.Vault@ex.com', 'tech-wizard').name, 'bank');
+    assert.equal(pick('ghost.node@ex.com', 'tech-wizard').name, 'passphrase');
+    assert.equal(pick('ghost.node@ex.com', 'nature-zen').name, 'strong');
+    assert.equal(createPasswordProfilePicker({ profile: 'readable', policy })('x@ex.com').name, 'readable');
+    assert.equal(createPasswordProfilePicker()('x@ex.com').name, 'default');
+});
+
+test('policies naming unknown profiles are rejected', () => {
+    assert.throws(() => validatePasswordPolicy({ bundles: { 'tech-wizard': 'nope' } }), /unknown profile "nope"/);
+    assert.throws(() => validatePasswordPolicy({ extra: 1 }), /unknown keys: extra/);
+    assert.throws(() => createPasswordProfilePicker({ profile: 'nope' }), /Unknown password profile "nope"/);
+});
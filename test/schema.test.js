@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TRACKING_FORMAT,
+    TRACKING_VERSION,
+    getTrackingVersion,
+    migrateTrackingData,
+    validateTrackingData,
+    createTrackingData
+} from '../lib/schema.js';
+
+const entry = { alias: 'cipher.vault@my-site.com', ruleId: 'r1', createdAt: '2025-01-31T00:00:00.000Z', status: 'success', bundle: 'tech-wizard' };
+
+test('versions are recognised by shape', () => {
+    assert.equal(getTrackingVersion([]), 0);
+    assert.equal(getTrackingVersion({ metadata: {}, results: [] }), 1);
+    assert.equal(getTrackingVersion({ format: TRACKING_FORMAT, version: 2, aliases: [] }), 2);
+    assert.throws(() => getTrackingVersion('x'), /not a tracking file/);
+    assert.throws(() => getTrackingVersion({ rules: [] }), /no "aliases" list/);
+});
+
+test('a bare array (version 0) migrates to the current version', () => {
+    const { data, fromVersion } = migrateTrackingData([entry]);
+    assert.equal(fromVersion, 0);
+    assert.equal(data.format, TRACKING_FORMAT);
+    assert.equal(data.version, TRACKING_VERSION);
+    assert.equal(data.domain, 'my-site.com');
+    assert.equal(data.count, 1);
+    assert.deepEqual(data.aliases, [entry]);
+});
+
+test('{ metadata, results } (version 1) migrates with its header fields', () => {
+    const { data, fromVersion } = migrateTrackingData({
+        metadata: { domain: 'my-site.com', updated_at: '2025-02-01T00:00:00.000Z', vault: 'my-site-com.vault.json' },
+        results: [{ email: 'ghost.node@my-site.com', status: 'success' }]
+    });
+    assert.equal(fromVersion, 1);
+    assert.equal(data.updatedAt, '2025-02-01T00:00:00.000Z');
+    assert.equal(data.vault, 'my-site-com.vault.json');
+    assert.deepEqual(data.aliases, [{ alias: 'ghost.node@my-site.com', status: 'success' }]);
+});
+
+test('the aliases decide the domain of hyphenated version 1 files', () => {
+    // Version 1 rebuilt the domain from the file slug: my-site-com → my.site.com
+    const { data } = migrateTrackingData({ metadata: { domain: 'my.site.com' }, results: [entry] });
+    assert.equal(data.domain, 'my-site.com');
+
+    // Without aliases the stored value is all there is
+    assert.equal(migrateTrackingData({ metadata: { domain: 'ex.com' }, results: [] }).data.domain, 'ex.com');
+    assert.equal(migrateTrackingData([]).data.domain, null);
+});
+
+test('current-version data passes through unchanged', () => {
+    const current = createTrackingData([entry], { vault: 'v.json' });
+    const { data, fromVersion } = migrateTrackingData(structuredClone(current));
+    assert.equal(fromVersion, TRACKING_VERSION);
+    assert.deepEqual(data, current);
+});
+
+test('files from a newer version are refused', () => {
+    assert.throws(
+        () => migrateTrackingData({ format: TRACKING_FORMAT, version: TRACKING_VERSION + 1, aliases: [] }),
+        /written by a newer version/
+    );
+});
+
+test('invalid entries are named in the error', () => {
+    const data = aliases => ({ format: TRACKING_FORMAT, version: TRACKING_VERSION, domain: null, aliases });
+    assert.throws(() => validateTrackingData(data([null])), /aliases\[0\] must be an object/);
+    assert.throws(() => validateTrackingData(data([{ alias: 'no-at' }])), /aliases\[0\]: "alias" must be an email address/);
+    assert.throws(() => validateTrackingData(data([entry, { ...entry, enabled: 'yes' }])), /aliases\[1\] \(cipher\.vault@my-site\.com\): "enabled" must be true or false/);
+    assert.throws(() => validateTrackingData(data([{ ...entry, tags: 'a' }])), /"tags" must be a list of strings/);
+    assert.throws(() => validateTrackingData({ ...data([]), domain: 1 }), /"domain" must be a string or null/);
+});
+
+test('createTrackingData prefers the aliases over a stored domain', () => {
+    assert.equal(createTrackingData([entry], { domain: 'my.site.com' }).domain, 'my-site.com');
+    assert.equal(createTrackingData([], { domain: 'ex.com' }).domain, 'ex.com');
+    assert.equal(createTrackingData([entry]).count, 1);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileAliases } from '../lib/sync.js';
+
+const rule = (id, address, destinations, extra = {}) => ({
+    id,
+    enabled: true,
+    matchers: [{ type: 'literal', field: 'to', value: address }],
+    actions: [{ type: 'forward', value: [].concat(destinations) }],
+    ...extra
+});
+
+const entry = (alias, ruleId, extra = {}) => ({ alias, ruleId, status: 'success', ...extra });
+
+test('sorts aliases into in sync, local only and remote only', () => {
+    const report = reconcileAliases([
+        entry('a@ex.com', 'r1', { destination: 'me@dest.com' }),
+        entry('gone@ex.com', 'r9'),
+        { alias: 'failed@ex.com', ruleId: null, status: 'failed' }
+    ], [
+        rule('r1', 'a@ex.com', 'me@dest.com'),
+        rule('r2', 'manual@ex.com', 'me@dest.com'),
+        rule('r3', 'other@elsewhere.com', 'me@dest.com')
+    ], { domain: 'ex.com' });
+
+    assert.deepEqual(report.inSync.map(r => r.entry.alias), ['a@ex.com']);
+    assert.deepEqual(report.localOnly.map(e => e.alias), ['gone@ex.com']);
+    // Other domains are ignored, failed entries are not expected remotely
+    assert.deepEqual(report.remoteOnly.map(r => r.address), ['manual@ex.com']);
+});
+
+test('relinks an entry whose rule ID changed by its address', () => {
+    const report = reconcileAliases(
+        [entry('A@ex.com', 'old', { destination: 'me@dest.com' })],
+        [rule('new', 'a@ex.com', 'me@dest.com')],
+        { domain: 'ex.com' }
+    );
+
+    assert.equal(report.relinked.length, 1);
+    assert.equal(report.relinked[0].rule.id, 'new');
+    assert.equal(report.inSync.length, 1);
+    assert.equal(report.remoteOnly.length, 0);
+});
+
+test('reports changed destinations, comparing lists without order or case and falling back to the default', () => {
+    const report = reconcileAliases([
+        entry('same@ex.com', 'r1', { destination: ['B@dest.com', 'a@dest.com'] }),
+        entry('moved@ex.com', 'r2', { destination: 'old@dest.com' }),
+        entry('unknown@ex.com', 'r3')
+    ], [
+        rule('r1', 'same@ex.com', ['a@dest.com', 'b@dest.com']),
+        rule('r2', 'moved@ex.com', 'new@dest.com'),
+        rule('r3', 'unknown@ex.com', 'new@dest.com')
+    ], { domain: 'ex.com', defaultDestination: 'me@dest.com' });
+
+    assert.deepEqual(report.inSync.map(r => r.entry.alias), ['same@ex.com']);
+    assert.deepEqual(report.destinationChanged.map(r => [r.entry.alias, r.local, r.remote]), [
+        ['moved@ex.com', ['old@dest.com'], ['new@dest.com']],
+        ['unknown@ex.com', ['me@dest.com'], ['new@dest.com']]
+    ]);
+});
+
+test('only reports disabled rules that were not paused on purpose', () => {
+    const report = reconcileAliases([
+        entry('paused@ex.com', 'r1', { enabled: false }),
+        entry('off@ex.com', 'r2')
+    ], [
+        rule('r1', 'paused@ex.com', 'me@dest.com', { enabled: false }),
+        rule('r2', 'off@ex.com', 'me@dest.com', { enabled: false })
+    ], { domain: 'ex.com' });
+
+    assert.deepEqual(report.disabled.map(r => r.address), ['off@ex.com']);
+});
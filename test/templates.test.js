@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_TEMPLATE,
+    compileTemplate,
+    renderTemplate,
+    templateCapacity,
+    matchesTemplate
+} from '../lib/templates.js';
+
+const bundle = { prefixes: ['cipher', 'ghost', 'nova'], suffixes: ['vault', 'ghost'] };
+
+test('compiles placeholders and literals', () => {
+    const { template, parts } = compileTemplate(' shop.{prefix}-{suffix}{nn} ');
+    assert.equal(template, 'shop.{prefix}-{suffix}{nn}');
+    assert.deepEqual(parts, [
+        { type: 'literal', value: 'shop.' },
+        { type: 'prefix' },
+        { type: 'literal', value: '-' },
+        { type: 'suffix' },
+        { type: 'digits', digits: 2 }
+    ]);
+});
+
+test('rejects invalid templates', () => {
+    assert.throws(() => compileTemplate(''), /non-empty/);
+    assert.throws(() => compileTemplate('{prefix}.{color}'), /Unknown placeholder \{color\}/);
+    assert.throws(() => compileTemplate('{prefix}+{suffix}'), /not allowed/);
+    assert.throws(() => compileTemplate('shop{nn}'), /at least one/);
+    assert.throws(() => compileTemplate('.{prefix}'), /leading, trailing or double dot/);
+    assert.throws(() => compileTemplate('{prefix}..{suffix}'), /double dot/);
+});
+
+test('capacity multiplies the choices of every placeholder', () => {
+    assert.equal(templateCapacity(compileTemplate(DEFAULT_TEMPLATE), bundle), 3 * 2);
+    assert.equal(templateCapacity(compileTemplate('{prefix}.{suffix}{nn}'), bundle), 3 * 2 * 100);
+    // {word} draws from both lists without duplicates
+    assert.equal(templateCapacity(compileTemplate('{word}.x'), bundle), 4);
+});
+
+test('renders names that match the template they came from', () => {
+    const compiled = compileTemplate('{prefix}-{suffix}{nnn}');
+    let seed = 0;
+    const random = () => (seed = (seed + 0.37) % 1);
+
+    for (let i = 0; i < 20; i++) {
+        const name = renderTemplate(compiled, bundle, random);
+        assert.match(name, /^(cipher|ghost|nova)-(vault|ghost)\d{3}$/);
+        assert.ok(matchesTemplate(compiled, bundle, name));
+    }
+});
+
+test('matches names case-insensitively and only with the bundle words', () => {
+    const compiled = compileTemplate(DEFAULT_TEMPLATE);
+    assert.ok(matchesTemplate(compiled, bundle, 'Cipher.Vault'));
+    assert.ok(!matchesTemplate(compiled, bundle, 'cipher.vaults'));
+    assert.ok(!matchesTemplate(compiled, bundle, 'john.smith'));
+    assert.ok(!matchesTemplate(compileTemplate('{prefix}.{suffix}{n}'), bundle, 'cipher.vault'));
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDomainFile, readTrackingFile, readTrackingEntries, writeTrackingEntries, updateTxtFile } from '../lib/tracking.js';
+
+const cwd = process.cwd();
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'tracking-test-'));
+    process.chdir(dir);
+});
+
+after(async () => {
+    process.chdir(cwd);
+    delete process.env.TRACKING_DIR;
+    await rm(dir, { recursive: true, force: true });
+});
+
+// getDomainFile() remembers its choice per domain, so each case uses its own domain
+
+test('domain files sit in the working directory by default', () => {
+    assert.equal(getDomainFile('my-site.com', 'json'), 'my-site-com.json');
+    assert.equal(getDomainFile('my-site.com', 'vault.json'), 'my-site-com.vault.json');
+});
+
+test('TRACKING_DIR moves them and is created when missing', () => {
+    process.env.TRACKING_DIR = join(dir, 'tracking');
+    try {
+        assert.equal(getDomainFile('moved.com', 'lock'), join(dir, 'tracking', 'moved-com.lock'));
+    } finally {
+        delete process.env.TRACKING_DIR;
+    }
+});
+
+test('an existing tracking file in the working directory wins over an empty TRACKING_DIR', async () => {
+    await writeFile(join(dir, 'kept-com.json'), '[]');
+    await mkdir(join(dir, 'empty'));
+    process.env.TRACKING_DIR = join(dir, 'empty');
+    try {
+        assert.equal(getDomainFile('kept.com', 'json'), 'kept-com.json');
+        assert.equal(getDomainFile('kept.com', 'lock'), 'kept-com.lock');
+    } finally {
+        delete process.env.TRACKING_DIR;
+    }
+});
+
+test('writes keep header fields and store the current version', async () => {
+    const file = getDomainFile('ex.com', 'json');
+    await writeFile(file, JSON.stringify({ metadata: { domain: 'ex.com', vault: 'ex-com.vault.json' }, results: [{ alias: 'a@ex.com', status: 'success' }] }));
+    assert.equal((await readTrackingFile(file)).fromVersion, 1);
+
+    const entries = await readTrackingEntries(file);
+    await writeTrackingEntries(file, [...entries, { alias: 'b@ex.com', status: 'failed' }]);
+
+    const { data, fromVersion } = await readTrackingFile(file);
+    assert.equal(fromVersion, 2);
+    assert.equal(data.vault, 'ex-com.vault.json');
+    assert.deepEqual(data.aliases.map(e => e.alias), ['a@ex.com', 'b@ex.com']);
+});
+
+test('an unreadable tracking file is never overwritten', async () => {
+    const file = getDomainFile('broken.com', 'json');
+    await writeFile(file, '{ not json');
+    await assert.rejects(writeTrackingEntries(file, []), /Could not read tracking file/);
+    assert.equal(await readFile(file, 'utf-8'), '{ not json');
+});
+
+test('updateTxtFile removes, updates and appends lines', async () => {
+    const file = getDomainFile('txt.com', 'txt');
+    await writeFile(file, 'a@txt.com:pw-a\nb@txt.com:pw-b\n');
+
+    await updateTxtFile(file, {
+        removed: ['B@txt.com'],
+        updated: [{ alias: 'a@txt.com', destination: 'me@dest.com' }],
+        added: [{ alias: 'a@txt.com' }, { alias: 'c@txt.com', password: 'pw-c' }]
+    });
+    assert.equal(await readFile(file, 'utf-8'), 'a@txt.com:pw-a → me@dest.com\nc@txt.com:pw-c\n');
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openVault, readVaultHeader, scrubToonCredentials, VAULT_FORMAT } from '../lib/vault.js';
+
+const PASSPHRASE = 'correct horse battery';
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'vault-test-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('a saved vault opens again with the same passphrase', async () => {
+    const file = join(dir, 'round-trip.vault.json');
+
+    const vault = await openVault(file, PASSPHRASE);
+    assert.equal(vault.isNew, true);
+    assert.equal(existsSync(file), false, 'nothing is written before save()');
+    vault.set('Cipher.Vault@ex.com', 's3cret!');
+    vault.set('ghost.node@ex.com', 'hunter2');
+    await vault.save();
+
+    const reopened = await openVault(file, PASSPHRASE);
+    assert.equal(reopened.isNew, false);
+    assert.equal(reopened.size, 2);
+    assert.equal(reopened.get('cipher.vault@ex.com'), 's3cret!');
+    assert.ok(reopened.has('GHOST.NODE@ex.com'));
+    assert.deepEqual(reopened.entries().map(c => c.email), ['Cipher.Vault@ex.com', 'ghost.node@ex.com']);
+});
+
+test('the file holds no plaintext and is owner-only', async () => {
+    const file = join(dir, 'sealed.vault.json');
+    const vault = await openVault(file, PASSPHRASE);
+    vault.set('a@ex.com', 'plain-text-password');
+    await vault.save();
+
+    const content = await readFile(file, 'utf-8');
+    assert.ok(!content.includes('plain-text-password'));
+    assert.ok(!content.includes('a@ex.com'));
+    assert.equal((await readVaultHeader(file)).format, VAULT_FORMAT);
+    if (process.platform !== 'win32') assert.equal((await stat(file)).mode & 0o777, 0o600);
+});
+
+test('a wrong passphrase fails instead of returning garbage', async () => {
+    const file = join(dir, 'wrong.vault.json');
+    const vault = await openVault(file, PASSPHRASE);
+    vault.set('a@ex.com', 'pw');
+    await vault.save();
+
+    await assert.rejects(openVault(file, 'not the passphrase'), /wrong passphrase or damaged file/);
+});
+
+test('an edited file fails to open', async () => {
+    const file = join(dir, 'edited.vault.json');
+    const vault = await openVault(file, PASSPHRASE);
+    vault.set('a@ex.com', 'pw');
+    await vault.save();
+
+    const data = JSON.parse(await readFile(file, 'utf-8'));
+    const bytes = Buffer.from(data.data, 'base64');
+    bytes[0] ^= 1;
+    await writeFile(file, JSON.stringify({ ...data, data: bytes.toString('base64') }));
+
+    await assert.rejects(openVault(file, PASSPHRASE), /wrong passphrase or damaged file/);
+});
+
+test('a new vault needs a long enough passphrase', async () => {
+    await assert.rejects(openVault(join(dir, 'short.vault.json'), 'short'), /at least 8 characters/);
+});
+
+test('files that are not vaults are rejected', async () => {
+    const file = join(dir, 'other.json');
+    await writeFile(file, JSON.stringify({ aliases: [] }));
+    await assert.rejects(openVault(file, PASSPHRASE), /is not a password vault/);
+});
+
+test('scrubToonCredentials takes passwords out of old TOON blocks', () => {
+    const { credentials, text } = scrubToonCredentials([
+        'aliases[1]{alias}:',
+        '  a@ex.com',
+        'credentials_update[2025-01-01]:',
+        '  a@ex.com : old',
+        '  b@ex.com : pw-b',
+        'credentials_update[2025-02-01]:',
+        '  a@ex.com : new'
+    ].join('\n'));
+
+    assert.deepEqual([...credentials], [['a@ex.com', 'new'], ['b@ex.com', 'pw-b']]);
+    assert.equal(text, [
+        'aliases[1]{alias}:',
+        '  a@ex.com',
+        'credentials_update[2025-01-01][2]{alias}:',
+        '  a@ex.com',
+        '  b@ex.com',
+        'credentials_update[2025-02-01][1]{alias}:',
+        '  a@ex.com'
+    ].join('\n'));
+});